@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+import { rarityWeight, weightedRandomItem } from "./rarity.js";
+
+// =========================
+// BOOSTER TEMPLATES (data/<jeu>/boosters.json)
+// =========================
+// {
+//   "default": { "name": "...", "price": 55, "slots": [...] },  -> tout le catalogue / sets sans template
+//   "sets": { "<setId>": { ...même format... } }                -> template propre à un set
+// }
+// slot = { "id": "rare", "label": "Rare ou mieux", "count": 1, "rarities": ["R", "SR"], "foil": false }
+// "rarities" absent -> n'importe quelle rareté. Dans un slot, le tirage reste pondéré par rarities.json.
+
+const BOOSTERS_FILE = "boosters.json";
+
+const boostersCache = new Map(); // game -> fichier | null
+
+function readBoosters(dataDir, game) {
+  const filePath = path.join(dataDir, BOOSTERS_FILE);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    console.log(`🎁 Boosters ${game}: ${Object.keys(parsed?.sets || {}).length} sets + ${parsed?.default ? "default" : "pas de default"}`);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (e) {
+    console.log(`Boosters ${game} load error:`, e.message);
+    return null;
+  }
+}
+
+export function clearBoosterTemplates(game = null) {
+  if (game) boostersCache.delete(game);
+  else boostersCache.clear();
+}
+
+function cleanSlots(slots) {
+  return (Array.isArray(slots) ? slots : [])
+    .map((s, i) => ({
+      id: String(s?.id || `slot${i + 1}`),
+      label: String(s?.label || s?.id || `Slot ${i + 1}`),
+      count: Math.max(0, Number(s?.count || 0) | 0),
+      rarities: Array.isArray(s?.rarities) ? s.rarities.map(r => String(r).toLowerCase()) : null,
+      foil: Boolean(s?.foil)
+    }))
+    .filter(s => s.count > 0);
+}
+
+// Template du set (ou default du jeu), null si le jeu n'a pas de booster
+export function getBoosterTemplate(adapter, setId = null) {
+  if (!adapter?.dataDir) return null;
+  if (!boostersCache.has(adapter.id)) {
+    boostersCache.set(adapter.id, readBoosters(adapter.dataDir, adapter.id));
+  }
+
+  const file = boostersCache.get(adapter.id);
+  const raw = (setId && file?.sets?.[setId]) || file?.default || null;
+  if (!raw) return null;
+
+  const slots = cleanSlots(raw.slots);
+  if (!slots.length) return null;
+
+  return {
+    name: String(raw.name || "Booster"),
+    price: Number(raw.price) > 0 ? Number(raw.price) | 0 : null,
+    size: slots.reduce((n, s) => n + s.count, 0),
+    slots
+  };
+}
+
+// Tire TOUT le booster (en mémoire) ou lève une erreur : rien n'est tiré à moitié.
+// source = { label, pool, weights } : pool du catalogue offline (null si inconnu), weights = table
+// de rarities.json ou null (voir drawPoolSnapshot côté serveur) -> [{ raw, slot }]
+export function drawBooster(source, template, rng = Math.random) {
+  const { label, pool, weights } = source;
+  if (!pool?.length) throw new Error(`${label}: pas de catalogue pour ce booster`);
+
+  const weightOf = c => (weights ? rarityWeight(weights, c?.rarity) : 1);
+
+  const out = [];
+  for (const slot of template.slots) {
+    const slotPool = slot.rarities
+      ? pool.filter(c => slot.rarities.includes(String(c?.rarity || "").toLowerCase()))
+      : pool;
+
+    for (let i = 0; i < slot.count; i++) {
+      const raw = weightedRandomItem(slotPool, weightOf, rng);
+      if (!raw) throw new Error(`${label}: slot "${slot.label}" impossible à remplir`);
+      out.push({ raw, slot });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,130 @@
+// =========================
+// UPSTREAM CACHE (TCGdex, OPTCG, Lorcast)
+// =========================
+// Cache des réponses des API externes, persistant (table upstream_cache) :
+//  - frais (< ttlMs)      -> servi directement
+//  - périmé               -> servi tout de suite + rafraîchi en arrière-plan
+//  - jamais chargé        -> on attend l'API
+//  - échec récent (< failTtlMs) -> on relève l'erreur sans rappeler l'API
+// Tant que server.js n'a pas branché de store (setUpstreamCacheStore), le cache reste en mémoire.
+
+const DEFAULT_FAIL_TTL_MS = 2 * 60 * 1000; // 2 min
+
+// store = { load(ns, key) -> entry | null, save(ns, key, entry) }
+let store = null;
+
+export function setUpstreamCacheStore(s) {
+  store = s;
+}
+
+// Store Postgres (table créée par initDb)
+export function createPgCacheStore(pool) {
+  return {
+    async load(ns, key) {
+      const q = await pool.query(
+        `SELECT value, at, failedAt, error FROM upstream_cache WHERE ns=$1 AND key=$2`,
+        [ns, key]
+      );
+      const row = q.rows[0];
+      if (!row) return null;
+      return {
+        value: row.value,
+        at: Number(row.at || 0),
+        failedAt: Number(row.failedat ?? row.failedAt ?? 0),
+        error: row.error || null
+      };
+    },
+
+    async save(ns, key, e) {
+      await pool.query(
+        `INSERT INTO upstream_cache (ns, key, value, at, failedAt, error)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         ON CONFLICT (ns, key) DO UPDATE SET
+           value = EXCLUDED.value,
+           at = EXCLUDED.at,
+           failedAt = EXCLUDED.failedAt,
+           error = EXCLUDED.error`,
+        [ns, key, JSON.stringify(e.value ?? null), e.at, e.failedAt, e.error]
+      );
+    }
+  };
+}
+
+// name = namespace dans upstream_cache, ex: "tcgdex_sets"
+export function createUpstreamCache(name, { ttlMs, failTtlMs = DEFAULT_FAIL_TTL_MS }) {
+  const mem = new Map();      // key -> { value, at, failedAt, error }
+  const inflight = new Map(); // key -> Promise (un seul appel API à la fois par clé)
+
+  async function entryFor(key) {
+    if (mem.has(key)) return mem.get(key);
+
+    let e = null;
+    if (store) {
+      try {
+        e = await store.load(name, key);
+      } catch (err) {
+        console.log(`Upstream cache ${name} load error:`, err.message);
+      }
+    }
+
+    // un refresh a pu finir pendant le load : il est plus récent
+    if (mem.has(key)) return mem.get(key);
+
+    e = e || { value: null, at: 0, failedAt: 0, error: null };
+    mem.set(key, e);
+    return e;
+  }
+
+  function persist(key, e) {
+    if (!store) return;
+    store.save(name, key, e).catch(err => {
+      console.log(`Upstream cache ${name} save error:`, err.message);
+    });
+  }
+
+  function refresh(key, fetcher) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = (async () => {
+      const prev = mem.get(key) || { value: null, at: 0 };
+      try {
+        const value = await fetcher();
+        const e = { value, at: Date.now(), failedAt: 0, error: null };
+        mem.set(key, e);
+        persist(key, e);
+        return value;
+      } catch (err) {
+        // on garde l'ancienne valeur (périmée) et on note l'échec
+        const e = { ...prev, failedAt: Date.now(), error: err?.message || "upstream failed" };
+        mem.set(key, e);
+        persist(key, e);
+        throw err;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    async get(key, fetcher) {
+      const k = String(key);
+      const e = await entryFor(k);
+      const now = Date.now();
+      const failedRecently = e.failedAt > 0 && now - e.failedAt < failTtlMs;
+
+      if (e.at > 0) {
+        if (now - e.at < ttlMs) return e.value;
+
+        // stale-while-revalidate
+        if (!failedRecently) refresh(k, fetcher).catch(() => {});
+        return e.value;
+      }
+
+      if (failedRecently) throw new Error(e.error || `${name} failed`);
+      return await refresh(k, fetcher);
+    }
+  };
+}
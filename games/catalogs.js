@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { ROOT_DIR } from "./common.js";
+import { getGameAdapter, hasGame, listGameAdapters } from "./registry.js";
+import { clearRarityWeights } from "./rarity.js";
+import { clearBoosterTemplates } from "./boosters.js";
+
+// =========================
+// HOT RELOAD DES CATALOGUES OFFLINE
+// =========================
+// adapter.reload() relit data/<jeu>/cards.json + sets.json en mode strict :
+// le nouveau catalogue est validé en entier AVANT de remplacer l'ancien
+// (les maps sont réaffectées d'un bloc, sans await au milieu),
+// et s'il est invalide il lève -> l'ancien catalogue reste en place.
+
+const WATCH_INTERVAL_MS = 2000;
+const WATCH_DEBOUNCE_MS = 1000;
+
+export function listReloadableGames() {
+  return listGameAdapters().filter(a => typeof a.reload === "function").map(a => a.id);
+}
+
+// -> { game, ok, cards, sets } ou { game, ok: false, error }
+export function reloadCatalog(game) {
+  const id = String(game || "").toLowerCase();
+  if (!hasGame(id)) return { game: id, ok: false, error: "Jeu inconnu" };
+
+  const adapter = getGameAdapter(id);
+  if (typeof adapter.reload !== "function") {
+    return { game: id, ok: false, error: "Pas de catalogue offline" };
+  }
+
+  try {
+    const cat = adapter.reload();
+    // rarities.json / boosters.json sont relus au prochain tirage
+    clearRarityWeights(id);
+    clearBoosterTemplates(id);
+
+    console.log(`♻️ Catalog ${id} reloaded: ${cat.cards.length} cards, ${cat.sets.length} sets`);
+    return { game: id, ok: true, cards: cat.cards.length, sets: cat.sets.length };
+  } catch (e) {
+    console.log(`❌ Catalog ${id} reload rejected (ancien catalogue conservé):`, e.message);
+    return { game: id, ok: false, error: e.message };
+  }
+}
+
+// Jeux sans cards.json (catalogue jamais généré) ignorés
+export function reloadAllCatalogs() {
+  return listReloadableGames()
+    .filter(id => fs.existsSync(path.join(getGameAdapter(id).dataDir || "", "cards.json")))
+    .map(reloadCatalog);
+}
+
+// =========================
+// RARETÉ D'UNE CARTE DU CATALOGUE
+// =========================
+// index cardId -> rareté, reconstruit quand reload() remplace le tableau du catalogue
+const rarityIndex = new WeakMap(); // searchPool() -> Map
+
+export function catalogRarity(game, cardId) {
+  const id = String(game || "").toLowerCase();
+  if (!hasGame(id) || !cardId) return null;
+
+  const adapter = getGameAdapter(id);
+  const cards = adapter.searchPool?.();
+  if (!Array.isArray(cards)) return null;
+
+  if (!rarityIndex.has(cards)) {
+    const index = new Map();
+    for (const raw of cards) {
+      if (!raw || typeof raw !== "object") continue;
+      const c = adapter.normalizeCard(raw);
+      if (c.cardId && c.rarity) index.set(String(c.cardId), c.rarity);
+    }
+    rarityIndex.set(cards, index);
+  }
+  return rarityIndex.get(cards).get(String(cardId)) || null;
+}
+
+// Surveille data/<jeu>/cards.json (polling : survit aux fichiers remplacés par les scripts de build)
+export function watchCatalogs() {
+  for (const adapter of listGameAdapters()) {
+    if (typeof adapter.reload !== "function" || !adapter.dataDir) continue;
+
+    const file = path.join(adapter.dataDir, "cards.json");
+    let timer = null;
+
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs) return;
+
+      // un build écrit souvent le fichier en plusieurs fois -> on attend qu'il se calme
+      clearTimeout(timer);
+      timer = setTimeout(() => reloadCatalog(adapter.id), WATCH_DEBOUNCE_MS);
+    });
+
+    console.log(`👀 Watching ${path.relative(ROOT_DIR, file)}`);
+  }
+}
@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Racine du projet (games/ -> ..)
+export const ROOT_DIR = path.join(__dirname, "..");
+export const DATA_DIR = path.join(ROOT_DIR, "data");
+
+// FORCE_OFFLINE=1 -> les jeux qui ont un catalogue offline n'appellent plus leur API
+export const FORCE_OFFLINE = process.env.FORCE_OFFLINE === "1";
+
+// Après une panne d'API, on reste sur le catalogue offline ce temps-là avant de retenter
+export const ONLINE_RETRY_MS = 5 * 60 * 1000;
+
+// =========================
+// HELPERS PARTAGÉS ENTRE LES JEUX
+// =========================
+
+// ----- HTTP fetch with timeout -----
+export async function fetchWithTimeout(url, ms = 20000) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), ms);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// Essayez plusieurs clés possibles (API peut varier selon les cartes)
+export function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+export function randomItem(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+// =========================
+// OFFLINE CATALOG (data/<jeu>/cards.json + sets.json)
+// =========================
+function readJsonArray(filePath, label, kind, strict) {
+  if (!fs.existsSync(filePath)) {
+    if (strict) throw new Error(`${label} ${kind} introuvable`);
+    console.log(`📦 No offline ${label} ${kind} found at`, filePath);
+    return [];
+  }
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (strict && !Array.isArray(parsed)) throw new Error(`${label} ${kind} n'est pas un tableau`);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+// Chaque carte doit au moins avoir cardId + setId (sinon pas d'idKey ni de binder)
+export function validateOfflineCards(cards, label) {
+  const bad = cards.findIndex(c =>
+    !c || typeof c !== "object" || !String(c.cardId || "").trim() || !String(c.setId || "").trim()
+  );
+  if (bad >= 0) throw new Error(`${label} cards.json: carte #${bad} sans cardId/setId`);
+}
+
+export function groupCardsBySet(cards) {
+  const bySet = new Map();
+  for (const c of cards) {
+    const setId = String(c?.setId || "").trim();
+    if (!setId) continue;
+    if (!bySet.has(setId)) bySet.set(setId, []);
+    bySet.get(setId).push(c);
+  }
+  return bySet;
+}
+
+// Lit cards.json + sets.json d'un jeu.
+// Par défaut ne lève jamais : un fichier cassé donne un catalogue vide (démarrage).
+// strict=true (reload à chaud) : lève si un fichier manque ou est invalide,
+// l'appelant garde alors son catalogue actuel.
+export function readOfflineCatalog({ cardsPath, setsPath, label, strict = false }) {
+  try {
+    const cards = readJsonArray(cardsPath, label, "cards.json", strict);
+    const sets = readJsonArray(setsPath, label, "sets.json", strict);
+    if (strict) validateOfflineCards(cards, label);
+
+    console.log(`📦 Offline ${label} sets: ${sets.length}`);
+    console.log(`📦 Offline ${label} cards: ${cards.length}`);
+
+    return { cards, sets, cardsBySet: groupCardsBySet(cards) };
+  } catch (e) {
+    if (strict) throw e;
+    console.log(`Offline ${label} load error:`, e.message);
+    return { cards: [], sets: [], cardsBySet: new Map() };
+  }
+}
+
+// Repli automatique API -> catalogue offline (jeux "en ligne" avec data/<jeu>/cards.json)
+// hasOffline() : le catalogue offline est-il chargé ?
+export function createOfflineFallback(label, hasOffline) {
+  let downUntil = 0;
+
+  const isOffline = () => hasOffline() && (FORCE_OFFLINE || Date.now() < downUntil);
+
+  // online() d'abord ; s'il lève et qu'on a un catalogue, offline() prend le relais
+  async function run(online, offline) {
+    if (isOffline()) return offline();
+    try {
+      return await online();
+    } catch (e) {
+      if (!hasOffline()) throw e;
+      downUntil = Date.now() + ONLINE_RETRY_MS;
+      console.log(`📦 ${label} API indisponible (${e.message}) -> catalogue offline`);
+      return offline();
+    }
+  }
+
+  return { isOffline, run };
+}
+
+// Fabrique la liste des sets à partir des cartes (quand sets.json est absent ou incomplet)
+export function setsFromCards(cards, nameKeys = ["set", "setName"]) {
+  const bySet = new Map();
+
+  for (const c of cards) {
+    const setId = String(c?.setId || "").trim();
+    if (!setId) continue;
+
+    if (!bySet.has(setId)) {
+      const name = nameKeys.map(k => c?.[k]).find(Boolean) || setId;
+      bySet.set(setId, { id: setId, name: String(name).trim() || setId });
+    }
+  }
+
+  return Array.from(bySet.values()).sort((a, b) =>
+    a.id.localeCompare(b.id, undefined, { numeric: true, sensitivity: "base" })
+  );
+}
+
+// Format d'une carte dans le binder (/api/set_cards)
+export function toBinderCard(c) {
+  return {
+    cardId: c.cardId || "",
+    localId: String(c.localId || ""),
+    name: c.name || "",
+    image: c.image || null,
+    imageHigh: c.imageHigh || c.image || null
+  };
+}
@@ -0,0 +1,86 @@
+import path from "path";
+import { DATA_DIR, readOfflineCatalog, randomItem, setsFromCards, toBinderCard } from "./common.js";
+
+// =========================
+// OFFLINE DRAGON BALL
+// =========================
+const OFFLINE_DRAGONBALL_DIR = path.join(DATA_DIR, "dragonball");
+const OFFLINE_DRAGONBALL_CARDS_PATH = path.join(OFFLINE_DRAGONBALL_DIR, "cards.json");
+const OFFLINE_DRAGONBALL_SETS_PATH = path.join(OFFLINE_DRAGONBALL_DIR, "sets.json");
+
+export let offlineDragonballCards = [];
+export let offlineDragonballSets = [];
+export let offlineDragonballCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineDragonball({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_DRAGONBALL_CARDS_PATH,
+    setsPath: OFFLINE_DRAGONBALL_SETS_PATH,
+    label: "Dragon Ball",
+    strict
+  });
+  offlineDragonballCards = cat.cards;
+  offlineDragonballSets = cat.sets;
+  offlineDragonballCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineDragonball();
+
+// Cartes tirables (setId optionnel -> limité à ce set)
+function dragonballDrawPool(setId = null) {
+  return setId ? (offlineDragonballCardsBySet.get(setId) || []) : offlineDragonballCards;
+}
+
+export function drawOfflineDragonballCard(setId = null) {
+  const pool = dragonballDrawPool(setId);
+  if (!pool?.length) {
+    throw new Error("Offline Dragon Ball pool empty");
+  }
+  return randomItem(pool);
+}
+
+function normalizeCard(c) {
+  return {
+    cardId:   c.cardId   || null,
+    setId:    c.setId    || null,
+    localId:  c.localId  || null,
+    name:     c.name     || "Unknown",
+    set:      c.set || c.setName || c.setId || "Dragon Ball",
+    rarity:   c.rarity   || "",
+    image:    c.image    || null,
+    imageHigh: c.imageHigh || c.image || null
+  };
+}
+
+export default {
+  id: "dragonball",
+  label: "Dragon Ball",
+  dataDir: OFFLINE_DRAGONBALL_DIR,
+
+  // depuis les cartes : seuls les sets qui ont au moins une carte tirable
+  async listSets() {
+    return setsFromCards(offlineDragonballCards, ["set", "setName"]);
+  },
+
+  async listSetCards(setId) {
+    return (offlineDragonballCardsBySet.get(setId) || []).map(toBinderCard);
+  },
+
+  async draw() {
+    const c = drawOfflineDragonballCard();
+    console.log("📦 source=OFFLINE_DRAGONBALL");
+    return normalizeCard(c);
+  },
+
+  async drawFromSet(setId) {
+    return normalizeCard(drawOfflineDragonballCard(setId));
+  },
+
+  drawPool: dragonballDrawPool,
+
+  reload: () => loadOfflineDragonball({ strict: true }),
+  searchPool: () => offlineDragonballCards,
+
+  normalizeCard
+};
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+
+// =========================
+// PROVABLY FAIR
+// =========================
+// Le serveur s'engage sur sha256(serverSeed) avant de jouer, le joueur choisit son clientSeed.
+// Chaque tirage (carte, booster, spin) consomme un nonce. Les flottants [0, 1) viennent de
+//   HMAC-SHA256(clé = serverSeed, message = `${clientSeed}:${nonce}:${stream}:${cursor}`)
+// découpé en 8 entiers de 4 octets (big-endian) divisés par 2^32, cursor = 0, 1, 2...
+// Un stream par usage ("card", "grade", "slots") : le nombre de flottants consommés pour la
+// carte ne décale pas ceux du grade.
+
+export const FAIR_ALGORITHM = "HMAC-SHA256(serverSeed, clientSeed:nonce:stream:cursor) -> uint32 big-endian / 2^32";
+
+export function newServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function newClientSeed() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash("sha256").update(String(serverSeed)).digest("hex");
+}
+
+// Client seed choisi par le joueur : pas de ":" (séparateur du message)
+export function cleanClientSeed(raw) {
+  const s = String(raw ?? "").trim();
+  return /^[A-Za-z0-9_-]{1,64}$/.test(s) ? s : null;
+}
+
+// Générateur déterministe, même interface que Math.random
+export function fairRng(serverSeed, clientSeed, nonce, stream) {
+  let cursor = 0;
+  let buf = null;
+  let offset = 32;
+
+  return () => {
+    if (offset >= 32) {
+      buf = crypto
+        .createHmac("sha256", String(serverSeed))
+        .update(`${clientSeed}:${nonce}:${stream}:${cursor++}`)
+        .digest();
+      offset = 0;
+    }
+    const n = buf.readUInt32BE(offset);
+    offset += 4;
+    return n / 0x100000000;
+  };
+}
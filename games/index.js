@@ -0,0 +1,20 @@
+import { registerGame } from "./registry.js";
+
+import pokemon from "./pokemon.js";
+import onepiece from "./onepiece.js";
+import lorcana from "./lorcana.js";
+import dragonball from "./dragonball.js";
+import unionarena from "./unionarena.js";
+import senpaigodesshaven from "./senpaigodesshaven.js";
+import magic from "./magic.js";
+
+// Ajouter un jeu = un nouveau module dans games/ + une ligne ici
+registerGame(pokemon);
+registerGame(onepiece);
+registerGame(lorcana);
+registerGame(dragonball);
+registerGame(unionarena);
+registerGame(senpaigodesshaven);
+registerGame(magic);
+
+export * from "./registry.js";
@@ -0,0 +1,243 @@
+import path from "path";
+import {
+  DATA_DIR, createOfflineFallback, fetchWithTimeout, pickFirst, randomItem,
+  readOfflineCatalog, setsFromCards, toBinderCard
+} from "./common.js";
+import { createUpstreamCache } from "./cache.js";
+
+// =========================
+// OFFLINE LORCANA (script/build-lorcana-offline.mjs)
+// =========================
+const OFFLINE_LORCANA_DIR = path.join(DATA_DIR, "lorcana");
+const OFFLINE_LORCANA_CARDS_PATH = path.join(OFFLINE_LORCANA_DIR, "cards.json");
+const OFFLINE_LORCANA_SETS_PATH = path.join(OFFLINE_LORCANA_DIR, "sets.json");
+
+export let offlineLorcanaCards = [];
+export let offlineLorcanaSets = [];
+export let offlineLorcanaCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineLorcana({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_LORCANA_CARDS_PATH,
+    setsPath: OFFLINE_LORCANA_SETS_PATH,
+    label: "Lorcana",
+    strict
+  });
+  offlineLorcanaCards = cat.cards;
+  offlineLorcanaSets = cat.sets;
+  offlineLorcanaCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineLorcana();
+
+// Cartes tirables (setId optionnel -> limité à ce set)
+function lorcanaOfflinePool(setId = null) {
+  return setId ? (offlineLorcanaCardsBySet.get(setId) || []) : offlineLorcanaCards;
+}
+
+export function drawOfflineLorcanaCard(setId = null) {
+  const pool = lorcanaOfflinePool(setId);
+  if (!pool?.length) {
+    throw new Error("Offline Lorcana pool empty");
+  }
+  return randomItem(pool);
+}
+
+const fallback = createOfflineFallback("Lorcana", () => offlineLorcanaCards.length > 0);
+
+function drawOfflineNormalized(setId = null) {
+  const c = normalizeCard(drawOfflineLorcanaCard(setId));
+  console.log("📦 source=OFFLINE_LORCANA");
+  return c;
+}
+
+// =========================
+// LORCANA (LORCAST) ONLINE CACHE
+// =========================
+const LORCANA_BASE = "https://api.lorcast.com/v0"; // docs: Lorcast API
+const LORCANA_SETS_TTL_MS  = 6 * 60 * 60 * 1000;   // 6h
+const LORCANA_CARDS_TTL_MS = 6 * 60 * 60 * 1000;   // 6h (par set)
+
+const lorSetsCache = createUpstreamCache("lorcast_sets", { ttlMs: LORCANA_SETS_TTL_MS });
+const lorSetCardsCache = createUpstreamCache("lorcast_set_cards", { ttlMs: LORCANA_CARDS_TTL_MS });
+
+export async function getLorcanaSets(){
+  return await lorSetsCache.get("all", async () => {
+    const r = await fetchWithTimeout(`${LORCANA_BASE}/sets`, 20000);
+    if (!r.ok) throw new Error(`LORCAST sets failed HTTP ${r.status}`);
+
+    const data = await r.json().catch(()=> null);
+
+    // ✅ /sets -> { results: [...] }
+    const list = Array.isArray(data) ? data : (data?.results || []);
+    if (!Array.isArray(list) || !list.length) throw new Error("LORCAST sets empty");
+
+    console.log(`🌐 cached Lorcana sets: ${list.length}`);
+    return list;
+  });
+}
+
+export async function getLorcanaCardsForSet(code){
+  return await lorSetCardsCache.get(code, async () => {
+    const r = await fetchWithTimeout(`${LORCANA_BASE}/sets/${encodeURIComponent(code)}/cards`, 20000);
+    if (!r.ok) throw new Error("LORCAST set cards failed HTTP " + r.status);
+
+    const json = await r.json().catch(()=> null);
+    const list = Array.isArray(json) ? json : (json?.data || json?.cards || []);
+    if (!Array.isArray(list) || !list.length) throw new Error("LORCAST set cards empty");
+
+    return list;
+  });
+}
+
+export function pickImageLorcana(card){
+  const u = card?.image_uris?.digital || card?.image_uris || null;
+
+  // ✅ on évite "small" comme image principale (souvent trop petite)
+  const low  = u?.normal || u?.large || u?.small || null;
+  const high = u?.large  || u?.normal || u?.small || null;
+
+  return { low, high };
+}
+
+// c = carte Lorcast (ou carte offline déjà normalisée), s = set Lorcast (optionnel, pour le nom du set)
+function normalizeCard(c, s = {}) {
+  // ✅ offline (cards.json)
+  if (c?.cardId) {
+    return {
+      cardId:   c.cardId   || null,
+      setId:    c.setId    || "lorcana",
+      localId:  String(c.localId || ""),
+      name:     c.name     || "Unknown",
+      set:      c.set || c.setName || `Set ${c.setId}`,
+      rarity:   c.rarity   || "",
+      image:    c.image    || null,
+      imageHigh: c.imageHigh || c.image || null
+    };
+  }
+
+  const setCode = pickFirst(s, ["code", "set_code", "setCode", "id"]) || null;
+  const { low, high } = pickImageLorcana(c);
+
+  return {
+    // ✅ binder-friendly ids (setId / localId / cardId)
+    cardId: pickFirst(c, ["id", "card_id", "cardId", "uuid"]) || null,
+    setId: String(setCode || "lorcana"),
+    localId: String(pickFirst(c, ["collector_number", "collectorNumber", "number", "card_number", "localId", "local_id"]) || ""),
+    name: pickFirst(c, ["name", "card_name", "title"]) || "Unknown",
+    set:
+      pickFirst(s, ["name", "set_name"]) ||
+      pickFirst(c, ["set_name", "setName"]) ||
+      `Set ${setCode}`,
+    rarity: pickFirst(c, ["rarity"]) || "",
+    image: low,
+    imageHigh: high || low
+  };
+}
+
+// Tire une carte avec image dans un set Lorcast (null si rien trouvé)
+async function drawFromLorcanaSet(s) {
+  const setCode = pickFirst(s, ["code", "set_code", "setCode", "id"]);
+  if (!setCode) return null;
+
+  const cards = await getLorcanaCardsForSet(setCode);
+  if (!Array.isArray(cards) || !cards.length) return null;
+
+  // On tente plusieurs cartes dans ce set pour être sûr d'avoir une image
+  for (let pickTry = 0; pickTry < 12; pickTry++) {
+    const c = normalizeCard(randomItem(cards) || {}, s);
+    if (!c.image) continue;
+
+    console.log("🌐 source=LORCAST");
+    return c;
+  }
+
+  return null;
+}
+
+// lorcast: code + name
+async function listOnlineSets() {
+  const list = await getLorcanaSets();
+  return list.map(s => ({
+    id: String(s.code || s.id || ""),
+    name: String(s.name || s.code || "Set")
+  })).filter(s => s.id);
+}
+
+async function listOnlineSetCards(setId) {
+  const cards = await getLorcanaCardsForSet(setId);
+  return cards.map(c => {
+    const { low, high } = pickImageLorcana(c);
+    return {
+      cardId: String(c.id || c.card_id || c.uuid || ""),
+      localId: String(c.collector_number || c.number || c.card_number || ""),
+      name: String(c.name || ""),
+      image: low || null,
+      imageHigh: high || low || null,
+    };
+  }).filter(x => x.cardId);
+}
+
+async function drawOnline() {
+  // ✅ IMPORTANT: on récupère les sets UNE seule fois (pas de shadow "const sets" dans le loop)
+  const sets = await getLorcanaSets();
+
+  // On tente plusieurs sets si jamais une réponse est vide
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const s = randomItem(sets) || {};
+    const c = await drawFromLorcanaSet(s).catch(() => null);
+    if (c) return c;
+  }
+
+  throw new Error("Lorcana: impossible de trouver une carte avec image");
+}
+
+async function drawOnlineFromSet(setId) {
+  const sets = await getLorcanaSets();
+  const s = sets.find(x => String(x.code || x.id || "") === setId) || { code: setId };
+
+  const c = await drawFromLorcanaSet(s);
+  if (!c) throw new Error("Lorcana: impossible de trouver une carte avec image");
+  return c;
+}
+
+export default {
+  id: "lorcana",
+  label: "Lorcana",
+  dataDir: OFFLINE_LORCANA_DIR,
+
+  async listSets() {
+    return await fallback.run(
+      listOnlineSets,
+      () => offlineLorcanaSets.length
+        ? offlineLorcanaSets.map(s => ({ id: String(s.id), name: String(s.name || s.id) }))
+        : setsFromCards(offlineLorcanaCards)
+    );
+  },
+
+  async listSetCards(setId) {
+    return await fallback.run(
+      () => listOnlineSetCards(setId),
+      () => (offlineLorcanaCardsBySet.get(setId) || []).map(toBinderCard)
+    );
+  },
+
+  async draw() {
+    return await fallback.run(drawOnline, () => drawOfflineNormalized());
+  },
+
+  async drawFromSet(setId) {
+    return await fallback.run(() => drawOnlineFromSet(setId), () => drawOfflineNormalized(setId));
+  },
+
+  // pool connu seulement quand on tourne sur le catalogue offline
+  drawPool(setId = null) {
+    return fallback.isOffline() ? lorcanaOfflinePool(setId) : null;
+  },
+
+  reload: () => loadOfflineLorcana({ strict: true }),
+  searchPool: () => offlineLorcanaCards,
+
+  normalizeCard
+};
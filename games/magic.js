@@ -0,0 +1,109 @@
+import path from "path";
+import { DATA_DIR, readOfflineCatalog, randomItem } from "./common.js";
+
+// =========================
+// OFFLINE MAGIC
+// =========================
+const OFFLINE_MAGIC_DIR        = path.join(DATA_DIR, "magic");
+const OFFLINE_MAGIC_CARDS_PATH = path.join(OFFLINE_MAGIC_DIR, "cards.json");
+const OFFLINE_MAGIC_SETS_PATH  = path.join(OFFLINE_MAGIC_DIR, "sets.json");
+
+export let offlineMagicCards = [];
+export let offlineMagicSets  = [];
+export let offlineMagicCardsBySet = new Map();
+
+// URL publique R2 pour les images Magic
+const MAGIC_R2_BASE = "https://pub-383a4299f072470d88f0b64b2318b52d.r2.dev/magic";
+
+export function rewriteMagicImageUrl(url) {
+  if (!url) return url;
+  // Si l'image est déjà sur R2 ou externe, on la laisse telle quelle
+  if (url.startsWith("https://pub-383a4299f072470d88f0b64b2318b52d.r2.dev")) return url;
+  // Si c'est un chemin local généré par le script (ex: /data/magic/images/fin__1.jpg)
+  const match = url.match(/\/data\/magic\/images\/(.+)$/);
+  if (match) return `${MAGIC_R2_BASE}/${match[1]}`;
+  return url;
+}
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineMagic({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_MAGIC_CARDS_PATH,
+    setsPath: OFFLINE_MAGIC_SETS_PATH,
+    label: "Magic",
+    strict
+  });
+  offlineMagicCards = cat.cards;
+  offlineMagicSets = cat.sets;
+  offlineMagicCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineMagic();
+
+// Cartes tirables = avec image (setId optionnel -> limité à ce set)
+function magicDrawPool(setId = null) {
+  const pool = setId ? (offlineMagicCardsBySet.get(setId) || []) : offlineMagicCards;
+  return pool.filter(c => c?.image || c?.imageHigh);
+}
+
+export function drawOfflineMagicCard(setId = null) {
+  const pool = setId ? (offlineMagicCardsBySet.get(setId) || []) : offlineMagicCards;
+  if (!pool?.length) {
+    throw new Error("Offline Magic pool empty");
+  }
+  const valid = magicDrawPool(setId);
+  if (!valid.length) throw new Error("Magic: no valid images");
+  return randomItem(valid);
+}
+
+function normalizeCard(c) {
+  const img = rewriteMagicImageUrl(c.imageHigh || c.image) || null;
+  return {
+    cardId:   c.cardId   || null,
+    setId:    c.setId    || null,
+    localId:  c.localId  || null,
+    name:     c.name     || "Unknown",
+    set:      c.setName  || "Magic",
+    rarity:   c.rarity   || "",
+    image:    img,
+    imageHigh: img
+  };
+}
+
+export default {
+  id: "magic",
+  label: "Magic",
+  dataDir: OFFLINE_MAGIC_DIR,
+
+  async listSets() {
+    return offlineMagicSets.map(s => ({ id: s.id, name: s.name }));
+  },
+
+  async listSetCards(setId) {
+    return (offlineMagicCardsBySet.get(setId) || []).map(c => {
+      const n = normalizeCard(c);
+      return {
+        cardId:    n.cardId || "",
+        localId:   String(n.localId || ""),
+        name:      c.name || "",
+        image:     n.image,
+        imageHigh: n.imageHigh
+      };
+    });
+  },
+
+  async draw() {
+    return normalizeCard(drawOfflineMagicCard());
+  },
+
+  async drawFromSet(setId) {
+    return normalizeCard(drawOfflineMagicCard(setId));
+  },
+
+  drawPool: magicDrawPool,
+
+  reload: () => loadOfflineMagic({ strict: true }),
+  searchPool: () => offlineMagicCards,
+
+  normalizeCard
+};
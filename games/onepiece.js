@@ -0,0 +1,238 @@
+import path from "path";
+import {
+  DATA_DIR, createOfflineFallback, fetchWithTimeout, pickFirst, randomItem,
+  readOfflineCatalog, setsFromCards, toBinderCard
+} from "./common.js";
+import { createUpstreamCache } from "./cache.js";
+
+// =========================
+// OFFLINE ONE PIECE (script/build-onepiece-offline.mjs)
+// =========================
+const OFFLINE_ONEPIECE_DIR = path.join(DATA_DIR, "onepiece");
+const OFFLINE_ONEPIECE_CARDS_PATH = path.join(OFFLINE_ONEPIECE_DIR, "cards.json");
+const OFFLINE_ONEPIECE_SETS_PATH = path.join(OFFLINE_ONEPIECE_DIR, "sets.json");
+
+export let offlineOnePieceCards = [];
+export let offlineOnePieceSets = [];
+export let offlineOnePieceCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineOnePiece({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_ONEPIECE_CARDS_PATH,
+    setsPath: OFFLINE_ONEPIECE_SETS_PATH,
+    label: "One Piece",
+    strict
+  });
+  offlineOnePieceCards = cat.cards;
+  offlineOnePieceSets = cat.sets;
+  offlineOnePieceCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineOnePiece();
+
+// Cartes tirables (setId optionnel -> limité à ce set)
+function onePieceOfflinePool(setId = null) {
+  return setId ? (offlineOnePieceCardsBySet.get(setId) || []) : offlineOnePieceCards;
+}
+
+export function drawOfflineOnePieceCard(setId = null) {
+  const pool = onePieceOfflinePool(setId);
+  if (!pool?.length) {
+    throw new Error("Offline One Piece pool empty");
+  }
+  return randomItem(pool);
+}
+
+const fallback = createOfflineFallback("One Piece", () => offlineOnePieceCards.length > 0);
+
+function drawOfflineNormalized(setId = null) {
+  const c = normalizeCard(drawOfflineOnePieceCard(setId));
+  console.log("📦 source=OFFLINE_ONEPIECE");
+  return c;
+}
+
+// =========================
+// ONE PIECE (OPTCG) ONLINE CACHE
+// =========================
+const OP_LIST_TTL_MS = 6 * 60 * 60 * 1000;      // 6h
+const OP_DETAIL_TTL_MS = 24 * 60 * 60 * 1000;   // 24h
+
+const opBriefCache = createUpstreamCache("optcg_cards", { ttlMs: OP_LIST_TTL_MS });
+const opDetailCache = createUpstreamCache("optcg_card_detail", { ttlMs: OP_DETAIL_TTL_MS });
+
+export async function getOpBriefList() {
+  return await opBriefCache.get("all", async () => {
+    const r = await fetchWithTimeout("https://optcgapi.com/api/allSetCards/", 20000);
+    if (!r.ok) throw new Error("OPTCG list failed");
+
+    const list = await r.json().catch(() => null);
+    if (!Array.isArray(list) || !list.length) throw new Error("OPTCG list empty");
+
+    console.log(`🌐 cached One Piece list: ${list.length} cards`);
+    return list;
+  });
+}
+
+export async function getOpCardDetail(cardId) {
+  const data = await opDetailCache.get(cardId, async () => {
+    const r = await fetchWithTimeout(
+      `https://optcgapi.com/api/sets/card/${encodeURIComponent(cardId)}/`,
+      20000
+    );
+    if (!r.ok) throw new Error("OPTCG detail failed");
+
+    const json = await r.json().catch(() => null);
+    if (!json) throw new Error("OPTCG detail invalid");
+    return json;
+  });
+
+  // ✅ l’API renvoie souvent un ARRAY -> on prend une variante (random)
+  return Array.isArray(data)
+    ? (randomItem(data) || data[0])
+    : data;
+}
+
+function opSetIdOf(c) {
+  return pickFirst(c, ["set_id", "setId", "set_code", "setCode", "series_id"]) ||
+    pickFirst(c, ["set_name", "setName", "set", "series"]) ||
+    "One Piece";
+}
+
+// Le détail (d) est prioritaire, la ligne de la liste (pick) sert de repli.
+// Les cartes offline (cards.json) passent aussi par ici : cardId / setId / image sont dans les clés.
+function normalizeCard(d, pick = {}) {
+  const from = (keys) => pickFirst(d, keys) || pickFirst(pick, keys);
+
+  const cardId = from(["card_set_id", "cardSetId", "card_id", "cardId", "id"]);
+  const image = from(["card_image", "image_url", "imageUrl", "image", "img"]);
+  const name = from(["card_name", "name", "cardName", "title"]) || "Unknown";
+  const setName = from(["set_name", "setName", "set", "series"]) || "One Piece";
+
+  // ✅ binder-friendly ids (setId / localId)
+  const setId = from(["set_id", "setId", "set_code", "setCode"]) || setName || "onepiece";
+  const localId = from(["card_number", "number", "localId", "local_id"]) || "";
+
+  return {
+    cardId,
+    setId,
+    localId: String(localId || ""),
+    name,
+    set: setName,
+    rarity: pickFirst(d, ["rarity"]) || "",
+    image,
+    imageHigh: from(["imageHigh"]) || image
+  };
+}
+
+async function drawFromBriefList(list) {
+  if (!list.length) throw new Error("One Piece: aucune carte dans ce set");
+
+  // On tente plusieurs fois de trouver une carte valide avec image
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const pick = randomItem(list) || {};
+
+    const cardId = pickFirst(pick, ["card_set_id", "cardSetId", "card_id", "cardId", "id"]);
+    if (!cardId) continue;
+
+    let d;
+    try {
+      d = await getOpCardDetail(cardId); // déjà array-safe
+    } catch {
+      continue;
+    }
+
+    const c = normalizeCard(d, pick);
+    if (!c.image) continue;
+
+    console.log("🌐 source=OPTCG (working)");
+    return { ...c, cardId };
+  }
+
+  throw new Error("One Piece: impossible de trouver une carte avec image");
+}
+
+// on fabrique des "sets" à partir des champs existants
+async function listOnlineSets() {
+  const list = await getOpBriefList();
+
+  const map = new Map();
+  for (const c of list) {
+    const setName = pickFirst(c, ["set_name", "setName", "set", "series"]) || "One Piece";
+    const id = String(opSetIdOf(c));
+    if (!map.has(id)) map.set(id, { id, name: String(setName) });
+  }
+
+  return Array.from(map.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function listOnlineSetCards(setId) {
+  const list = await getOpBriefList();
+
+  return list
+    .filter(c => String(opSetIdOf(c)) === setId)
+    .map(c => {
+      const cardId  = pickFirst(c, ["card_set_id", "cardSetId", "card_id", "cardId", "id"]) || "";
+      const localId = pickFirst(c, ["card_number", "number", "collector_number", "collectorNumber"]) || "";
+      const name    = pickFirst(c, ["card_name", "name", "title"]) || "";
+      const image   = pickFirst(c, ["card_image", "image_url", "imageUrl", "image", "img"]) || null;
+
+      return {
+        cardId: String(cardId),
+        localId: String(localId),
+        name: String(name),
+        image,
+        imageHigh: image
+      };
+    })
+    .filter(x => x.cardId);
+}
+
+export default {
+  id: "onepiece",
+  label: "One Piece",
+  dataDir: OFFLINE_ONEPIECE_DIR,
+
+  async listSets() {
+    return await fallback.run(
+      listOnlineSets,
+      () => offlineOnePieceSets.length
+        ? offlineOnePieceSets.map(s => ({ id: String(s.id), name: String(s.name || s.id) }))
+        : setsFromCards(offlineOnePieceCards)
+    );
+  },
+
+  async listSetCards(setId) {
+    return await fallback.run(
+      () => listOnlineSetCards(setId),
+      () => (offlineOnePieceCardsBySet.get(setId) || []).map(toBinderCard)
+    );
+  },
+
+  async draw() {
+    return await fallback.run(
+      async () => await drawFromBriefList(await getOpBriefList()),
+      () => drawOfflineNormalized()
+    );
+  },
+
+  async drawFromSet(setId) {
+    return await fallback.run(
+      async () => {
+        const list = await getOpBriefList();
+        return await drawFromBriefList(list.filter(c => String(opSetIdOf(c)) === setId));
+      },
+      () => drawOfflineNormalized(setId)
+    );
+  },
+
+  // pool connu seulement quand on tourne sur le catalogue offline
+  drawPool(setId = null) {
+    return fallback.isOffline() ? onePieceOfflinePool(setId) : null;
+  },
+
+  reload: () => loadOfflineOnePiece({ strict: true }),
+  searchPool: () => offlineOnePieceCards,
+
+  normalizeCard
+};
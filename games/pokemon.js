@@ -0,0 +1,424 @@
+import path from "path";
+import { DATA_DIR, FORCE_OFFLINE, fetchWithTimeout, readOfflineCatalog, randomItem, toBinderCard } from "./common.js";
+import { createUpstreamCache } from "./cache.js";
+
+// =========================
+// OFFLINE POKEMON CATALOG
+// =========================
+const OFFLINE_POKEMON_DIR = path.join(DATA_DIR, "pokemon");
+const OFFLINE_POKEMON_CARDS_PATH = path.join(OFFLINE_POKEMON_DIR, "cards.json");
+const OFFLINE_POKEMON_SETS_PATH = path.join(OFFLINE_POKEMON_DIR, "sets.json");
+
+export let offlinePokemonCards = [];
+export let offlinePokemonSets = [];
+export let offlinePokemonCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflinePokemon({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_POKEMON_CARDS_PATH,
+    setsPath: OFFLINE_POKEMON_SETS_PATH,
+    label: "Pokémon",
+    strict
+  });
+  offlinePokemonCards = cat.cards;
+  offlinePokemonSets = cat.sets;
+  offlinePokemonCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflinePokemon();
+
+// Cartes tirables (setId optionnel -> limité à ce set)
+function offlinePokemonPool(setId = null) {
+  return setId ? (offlinePokemonCardsBySet.get(setId) || []) : offlinePokemonCards;
+}
+
+export function drawOfflinePokemonCard(setId = null) {
+  const pool = offlinePokemonPool(setId);
+  if (!pool?.length) {
+    throw new Error("Offline Pokémon pool empty");
+  }
+  return randomItem(pool);
+}
+
+// =========================
+// TCGDEX IMAGES (séries candidates + probe)
+// =========================
+function getTcgdexSerieCandidates(setId, card = null) {
+  const s = String(setId || "").trim().toLowerCase();
+  if (!s) return [];
+
+  const fromCardSerie =
+    card?.set?.serie?.id ||
+    card?.set?.serieId ||
+    card?.set?.serie ||
+    null;
+
+  const specialMap = {
+    basep: "base",
+    bwp: "bw",
+    xyp: "xy",
+    smp: "sm",
+    swshp: "swsh",
+    svp: "sv",
+    hgssp: "hgss",
+    np: "bw",
+    dvp: "dp",
+  };
+
+  const strippedTrailingDigits = s.replace(/[0-9]+$/g, "");
+  const strippedLeadingDigits  = s.replace(/^[0-9]+/g, "");
+
+  const inferredByPrefix =
+    s.startsWith("dp")   ? "dp" :
+    s.startsWith("pl")   ? "pl" :
+    s.startsWith("hgss") ? "hgss" :
+    s.startsWith("bw")   ? "bw" :
+    s.startsWith("xy")   ? "xy" :
+    s.startsWith("sm")   ? "sm" :
+    s.startsWith("swsh") ? "swsh" :
+    s.startsWith("sv")   ? "sv" :
+    s.startsWith("ex")   ? "ex" :
+    s.startsWith("neo")  ? "neo" :
+    s.startsWith("base") ? "base" :
+    null;
+
+  return [...new Set([
+    fromCardSerie,
+    specialMap[s],
+    inferredByPrefix,
+    strippedTrailingDigits,
+    strippedLeadingDigits,
+    s
+  ].map(x => String(x || "").trim()).filter(Boolean))];
+}
+
+const TCGDEX_IMAGES_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7j (null = aucune image trouvée)
+
+const tcgdexImageCache = createUpstreamCache("tcgdex_images", { ttlMs: TCGDEX_IMAGES_TTL_MS });
+
+async function probeTcgdexImages(setId, localId, card) {
+  const langs = ["fr", "en"];
+  const series = getTcgdexSerieCandidates(setId, card);
+  let networkError = null;
+
+  for (const lang of langs) {
+    for (const serie of series) {
+      const low = `https://assets.tcgdex.net/${lang}/${serie}/${setId}/${localId}/low.webp`;
+      const high = `https://assets.tcgdex.net/${lang}/${serie}/${setId}/${localId}/high.webp`;
+
+      try {
+        const r = await fetchWithTimeout(low, 2500);
+        if (r.ok) return { image: low, imageHigh: high, lang, serie };
+      } catch (e) {
+        networkError = e;
+      }
+    }
+  }
+
+  // que des 404 -> vraiment pas d'image (gardé 7j) ; réseau KO -> échec (retenté plus tard)
+  if (networkError) throw networkError;
+  return null;
+}
+
+async function firstWorkingTcgdexImages(setId, localId, card = null) {
+  const key = `${String(setId || "").trim()}__${String(localId || "").trim()}`;
+  if (!setId || !localId) return null;
+
+  return await tcgdexImageCache
+    .get(key, () => probeTcgdexImages(setId, localId, card))
+    .catch(() => null);
+}
+
+// =========================
+// BINDER CACHE (SETS + SET_CARDS)
+// =========================
+const SETS_TTL_MS = 6 * 60 * 60 * 1000;      // 6h
+const SET_CARDS_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+
+const setsCache = createUpstreamCache("tcgdex_sets", { ttlMs: SETS_TTL_MS });
+const setCardsCache = createUpstreamCache("tcgdex_set_cards", { ttlMs: SET_CARDS_TTL_MS });
+
+export async function getPokemonSetsCached() {
+  return await setsCache.get("fr", async () => {
+    const r = await fetchWithTimeout("https://api.tcgdex.net/v2/fr/sets", 20000);
+    if (!r.ok) throw new Error("TCGdex sets failed");
+
+    const list = await r.json().catch(() => []);
+    return Array.isArray(list) ? list : [];
+  });
+}
+
+export async function getPokemonSetCardsCached(setId) {
+  async function fetchSet(lang) {
+    const r = await fetchWithTimeout(
+      `https://api.tcgdex.net/v2/${lang}/sets/${encodeURIComponent(setId)}`,
+      20000
+    );
+    if (!r.ok) return null;
+
+    const data = await r.json().catch(() => null);
+    const cards = Array.isArray(data?.cards) ? data.cards : [];
+    if (!cards.length) return null;
+
+    return {
+      lang,
+      serieId: data?.serie?.id || null,
+      cards
+    };
+  }
+
+  // set introuvable -> set vide (mis en cache aussi) ; réseau KO -> erreur (retenue par le cache)
+  return await setCardsCache.get(setId, async () => {
+    let result = await fetchSet("fr");
+    if (!result) result = await fetchSet("en");
+
+    return result || { lang: "fr", serieId: null, cards: [] };
+  });
+}
+
+// =========================
+// TCGDEX PERF: CACHE LIST + CACHE DETAILS
+// =========================
+const CARDS_LIST_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+const CARD_DETAIL_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+
+const cardsBriefCache = createUpstreamCache("tcgdex_cards", { ttlMs: CARDS_LIST_TTL_MS });
+const cardDetailCache = createUpstreamCache("tcgdex_card_detail", { ttlMs: CARD_DETAIL_TTL_MS });
+
+async function getCardsBriefList() {
+  return await cardsBriefCache.get("fr", async () => {
+    const r = await fetchWithTimeout("https://api.tcgdex.net/v2/fr/cards", 20000);
+    if (!r.ok) throw new Error("TCGdex list failed");
+
+    const list = await r.json().catch(() => null);
+    if (!Array.isArray(list) || !list.length) throw new Error("TCGdex list empty");
+
+    console.log(`🌐 cached cards list: ${list.length} items`);
+    return list;
+  });
+}
+
+async function getCardDetailById(id, preferredLang = "fr") {
+  async function fetchCard(lang) {
+    const r = await fetchWithTimeout(`https://api.tcgdex.net/v2/${lang}/cards/${encodeURIComponent(id)}`, 20000);
+    if (!r.ok) return null;
+    return await r.json().catch(() => null);
+  }
+
+  return await cardDetailCache.get(`${preferredLang}:${id}`, async () => {
+    // ✅ try preferred lang, then english
+    let data = await fetchCard(preferredLang);
+    if (!data) data = await fetchCard("en");
+
+    if (!data) throw new Error("TCGdex detail failed");
+    return data;
+  });
+}
+
+// =========================
+// IMAGE URL NORMALIZATION
+// low.webp pour afficher vite, high.webp pour zoom
+// =========================
+function buildTcgdexAsset(urlBaseOrWithExt, quality = "low", ext = "webp") {
+  if (!urlBaseOrWithExt || typeof urlBaseOrWithExt !== "string") return null;
+
+  const u = urlBaseOrWithExt.replace(/\/$/, "");
+
+  if (/\.(png|jpe?g|webp)(\?|$)/i.test(u)) return u;
+  if (/(\/low|\/high)$/i.test(u)) return `${u}.${ext}`;
+
+  return `${u}/${quality}.${ext}`;
+}
+
+function normalizeImageField(imageField, quality = "low", ext = "webp") {
+  if (!imageField) return null;
+
+  let base = imageField;
+  if (typeof imageField === "object") {
+    base =
+      imageField[quality] ||
+      imageField.high ||
+      imageField.low ||
+      imageField.large ||
+      imageField.medium ||
+      imageField.small ||
+      imageField.url ||
+      null;
+  }
+  if (typeof base !== "string") return null;
+
+  return buildTcgdexAsset(base, quality, ext);
+}
+
+// Carte TCGdex (détail) ou carte du catalogue offline -> format commun
+function normalizeCard(c) {
+  // déjà au format offline (script/build-pokemon-offline.mjs)
+  if (c.cardId !== undefined || typeof c.set === "string") {
+    return {
+      cardId:   c.cardId   || null,
+      setId:    c.setId    || null,
+      localId:  c.localId  || null,
+      name:     c.name     || "Unknown",
+      set:      c.set || c.setName || "Unknown",
+      rarity:   c.rarity   || "",
+      image:    c.image    || null,
+      imageHigh: c.imageHigh || c.image || null
+    };
+  }
+
+  const low = normalizeImageField(c.image, "low", "webp");
+  const high = normalizeImageField(c.image, "high", "webp");
+
+  return {
+    cardId: c.id || null,
+    setId: c.set?.id || null,
+    localId: String(c.localId || "").trim(),
+    name: c.name || "Unknown",
+    set: c.set?.name || c.set?.id || "Unknown",
+    rarity: c.rarity || "",
+    image: low,
+    imageHigh: high || low,
+  };
+}
+
+function drawOfflineNormalized(source, setId = null) {
+  const c = normalizeCard(drawOfflinePokemonCard(setId));
+  console.log(`📦 source=${source}`);
+  return c;
+}
+
+// Tire une carte dans une liste "brief" TCGdex (id + localId) puis charge le détail.
+// null si aucune carte avec image n'a été trouvée.
+async function drawFromBriefList(list) {
+  const MAX_TRIES = 6;
+
+  for (let attempt = 0; attempt < MAX_TRIES; attempt++) {
+    const pick = randomItem(list);
+    if (!pick?.id) continue;
+
+    let raw;
+    try {
+      raw = await getCardDetailById(pick.id);
+    } catch {
+      continue;
+    }
+
+    const c = normalizeCard(raw);
+    c.cardId = c.cardId || pick.id;
+    if (c.name === "Unknown" && pick.name) c.name = pick.name;
+
+    if (!c.image && c.setId && c.localId) {
+      const found = await firstWorkingTcgdexImages(c.setId, c.localId, raw);
+      if (found) {
+        c.image = found.image;
+        c.imageHigh = found.imageHigh;
+        console.log(`🌐 source=TCGDEX assets lang=${found.lang} serie=${found.serie} set=${c.setId}`);
+      }
+    }
+
+    if (!c.image) continue;
+
+    console.log(`🌐 source=TCGDEX set=${c.setId}`);
+    return c;
+  }
+
+  return null;
+}
+
+export default {
+  id: "pokemon",
+  label: "Pokémon",
+  dataDir: OFFLINE_POKEMON_DIR,
+
+  async listSets() {
+    if (FORCE_OFFLINE && offlinePokemonSets.length) {
+      return offlinePokemonSets.map(s => ({ id: s.id, name: s.name }));
+    }
+
+    const list = await getPokemonSetsCached();
+    return list.map(s => ({ id: s.id, name: s.name }));
+  },
+
+  async listSetCards(setId) {
+    if (FORCE_OFFLINE && offlinePokemonCards.length) {
+      return (offlinePokemonCardsBySet.get(setId) || []).map(toBinderCard);
+    }
+
+    const data = await getPokemonSetCardsCached(setId);
+    const cards = Array.isArray(data.cards) ? data.cards : [];
+
+    const out = [];
+    for (const c of cards) {
+      const localId = String(c.localId || "").trim();
+
+      let low = normalizeImageField(c.image, "low", "webp");
+      let high = normalizeImageField(c.image, "high", "webp");
+
+      if (!low && setId && localId) {
+        const found = await firstWorkingTcgdexImages(setId, localId, c);
+        if (found) {
+          low = found.image;
+          high = found.imageHigh;
+        } else {
+          console.log(`❌ no image found for set=${setId} localId=${localId} cardId=${c.id || ""}`);
+        }
+      }
+
+      out.push({
+        cardId: c.id,
+        localId,
+        name: c.name || "",
+        image: low || null,
+        imageHigh: high || low || null
+      });
+    }
+
+    return out;
+  },
+
+  // ----- POKEMON OFFLINE / ONLINE (TCGDEX) -----
+  async draw() {
+    if (FORCE_OFFLINE) return drawOfflineNormalized("OFFLINE_POKEMON");
+
+    let list;
+    try {
+      list = await getCardsBriefList();
+    } catch {
+      list = null;
+    }
+
+    const c = list?.length ? await drawFromBriefList(list) : null;
+    if (c) return c;
+
+    if (offlinePokemonCards?.length) return drawOfflineNormalized("OFFLINE_POKEMON_FALLBACK");
+
+    throw new Error("No card available (TCGdex + offline empty)");
+  },
+
+  async drawFromSet(setId) {
+    if (FORCE_OFFLINE) return drawOfflineNormalized("OFFLINE_POKEMON", setId);
+
+    const data = await getPokemonSetCardsCached(setId);
+    const cards = Array.isArray(data.cards) ? data.cards : [];
+
+    const c = cards.length ? await drawFromBriefList(cards) : null;
+    if (c) return c;
+
+    if (offlinePokemonCardsBySet.get(setId)?.length) {
+      return drawOfflineNormalized("OFFLINE_POKEMON_FALLBACK", setId);
+    }
+
+    throw new Error(`No card available for set ${setId}`);
+  },
+
+  // pool connu seulement en mode offline (sinon tirage en ligne)
+  drawPool(setId = null) {
+    return FORCE_OFFLINE ? offlinePokemonPool(setId) : null;
+  },
+
+  reload: () => loadOfflinePokemon({ strict: true }),
+  searchPool: () => offlinePokemonCards,
+
+  normalizeCard
+};
@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+
+// =========================
+// RARITY WEIGHTS (data/<jeu>/rarities.json)
+// =========================
+// {
+//   "default": 10,                 -> poids d'une rareté absente de la table
+//   "weights": { "C": 100, ... },  -> poids PAR CARTE de cette rareté
+//   "pity": {                      -> optionnel : pity sur la rareté
+//     "rarities": ["SR", "SCR"],   -> raretés qui remettent le compteur à 0
+//     "soft": 40,                  -> à partir de N ouvertures sans, leurs chances montent
+//     "hard": 60                   -> la N-ième ouverture sans en donne une à coup sûr
+//   }
+// }
+// Une carte de poids 100 sort 100x plus souvent qu'une carte de poids 1.
+
+const RARITY_FILE = "rarities.json";
+
+const weightsCache = new Map(); // game -> table | null
+
+function readRarityTable(dataDir, game) {
+  const filePath = path.join(dataDir, RARITY_FILE);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    const table = parseRarityTable(JSON.parse(fs.readFileSync(filePath, "utf-8")));
+    console.log(`🎲 Rarity weights ${game}: ${table.byLower.size} raretés`);
+    return table;
+  } catch (e) {
+    console.log(`Rarity weights ${game} load error:`, e.message);
+    return null;
+  }
+}
+
+// Contenu de rarities.json (ou de rarityTableJson) -> table utilisée par rarityWeight / isPityRarity
+export function parseRarityTable(parsed) {
+  const weights = parsed?.weights && typeof parsed.weights === "object" ? parsed.weights : {};
+  const byLower = new Map(
+    Object.entries(weights).map(([k, v]) => [k.toLowerCase(), Math.max(0, Number(v) || 0)])
+  );
+  const def = Math.max(0, Number(parsed?.default ?? 1) || 0);
+  const max = Math.max(def, ...byLower.values());
+  return { byLower, default: def, max, pity: readPity(parsed?.pity) };
+}
+
+// Table -> même format que rarities.json, clés triées (snapshot stable pour le provably fair)
+export function rarityTableJson(table) {
+  const weights = Object.fromEntries([...table.byLower.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+  const pity = table.pity
+    ? { rarities: [...table.pity.rarities].sort(), soft: table.pity.soft, hard: table.pity.hard }
+    : null;
+  return { default: table.default, weights, pity };
+}
+
+function readPity(raw) {
+  const rarities = Array.isArray(raw?.rarities) ? raw.rarities.map(r => String(r).toLowerCase()) : [];
+  const hard = Math.max(0, Number(raw?.hard) | 0);
+  if (!rarities.length || !hard) return null;
+
+  const soft = Math.min(hard, Math.max(0, Number(raw?.soft ?? hard) | 0));
+  return { rarities: new Set(rarities), soft, hard };
+}
+
+// Table du jeu (null = tirage uniforme)
+export function getRarityWeights(adapter) {
+  if (!adapter?.dataDir) return null;
+  if (!weightsCache.has(adapter.id)) {
+    weightsCache.set(adapter.id, readRarityTable(adapter.dataDir, adapter.id));
+  }
+  return weightsCache.get(adapter.id);
+}
+
+export function clearRarityWeights(game = null) {
+  if (game) weightsCache.delete(game);
+  else weightsCache.clear();
+}
+
+export function rarityWeight(table, rarity) {
+  const key = String(rarity || "").trim().toLowerCase();
+  return table.byLower.has(key) ? table.byLower.get(key) : table.default;
+}
+
+export function isPityRarity(pity, rarity) {
+  return Boolean(pity?.rarities.has(String(rarity || "").trim().toLowerCase()));
+}
+
+// 0 avant le soft pity, monte linéairement jusqu'à 1 au hard pity.
+// count = ouvertures déjà faites sans toucher la cible (celle-ci est la count+1-ième).
+export function pityRamp(count, soft, hard) {
+  const n = (Number(count) || 0) + 1;
+  if (n >= hard) return 1;
+  if (n <= soft) return 0;
+  return (n - soft) / (hard - soft);
+}
+
+// Tirage pondéré dans une liste (poids <= 0 -> jamais tiré)
+// rng : Math.random ou générateur provably fair (games/fair.js)
+export function weightedRandomItem(list, weightOf, rng = Math.random) {
+  let total = 0;
+  const weights = list.map(x => {
+    const w = Math.max(0, Number(weightOf(x)) || 0);
+    total += w;
+    return w;
+  });
+  if (total <= 0) return null;
+
+  let r = rng() * total;
+  for (let i = 0; i < list.length; i++) {
+    r -= weights[i];
+    if (r < 0) return list[i];
+  }
+  return list[list.length - 1];
+}
@@ -0,0 +1,63 @@
+// =========================
+// GAME ADAPTERS (REGISTRY)
+// =========================
+// Chaque jeu s'enregistre ici avec :
+//   id              -> clé utilisée dans ?game=, idKey, colonnes "game"
+//   label           -> nom affiché
+//   listSets()      -> [{ id, name }]
+//   listSetCards(s) -> [{ cardId, localId, name, image, imageHigh }]
+//   draw()          -> carte normalisée (voir normalizeCard)
+//   drawFromSet(s)  -> idem, limité au set s (booster d'un set précis)
+//   normalizeCard(c)-> { cardId, setId, localId, name, set, rarity, image, imageHigh }
+// Optionnel :
+//   dataDir         -> dossier data/<jeu> (sets.json, rarities.json, ...)
+//   drawPool(s)     -> cartes brutes tirables (catalogue offline), null si inconnu
+//   reload()        -> relit le catalogue offline (lève si invalide, voir games/catalogs.js)
+//   searchPool()    -> catalogue complet (brut) pour /api/cards/search
+
+export const DEFAULT_GAME = "pokemon";
+
+const adapters = new Map();
+
+const REQUIRED = ["listSets", "listSetCards", "draw", "drawFromSet", "normalizeCard"];
+
+export function registerGame(adapter) {
+  const id = String(adapter?.id || "").trim().toLowerCase();
+  if (!id) throw new Error("registerGame: missing id");
+  if (adapters.has(id)) throw new Error(`registerGame: ${id} already registered`);
+
+  for (const fn of REQUIRED) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`registerGame: ${id}.${fn} is not a function`);
+    }
+  }
+
+  adapters.set(id, { label: id, ...adapter, id });
+}
+
+export function hasGame(id) {
+  return adapters.has(String(id || "").toLowerCase());
+}
+
+// Jeu inconnu -> jeu par défaut (même comportement que l'ancien getGame)
+export function resolveGame(value) {
+  const g = String(value || DEFAULT_GAME).toLowerCase();
+  return adapters.has(g) ? g : DEFAULT_GAME;
+}
+
+export function getGameAdapter(id) {
+  return adapters.get(resolveGame(id));
+}
+
+// Clé unique d'une carte en collection : game__setId__localId__cardId
+export function idKeyFor(game, c) {
+  return `${game}__${c.setId || "unknown"}__${c.localId || "0"}__${c.cardId || "unknown"}`;
+}
+
+export function listGameIds() {
+  return Array.from(adapters.keys());
+}
+
+export function listGameAdapters() {
+  return Array.from(adapters.values());
+}
@@ -0,0 +1,136 @@
+import { getGameAdapter, idKeyFor, listGameAdapters } from "./registry.js";
+
+// =========================
+// RECHERCHE DANS LES CATALOGUES (adapter.searchPool)
+// =========================
+// Filtres communs :
+//   q        -> texte libre (nom, set, cardId)
+//   name     -> nom contient
+//   set      -> setId exact ou nom du set contient
+//   rarity   -> rareté exacte (liste "R,SR" acceptée)
+// Tout autre paramètre vise un champ que les cartes du jeu portent déjà
+// (dragonball color/type/cost/power, magic type/manaCost, ...) :
+//   valeur numérique -> égalité, texte -> contient ; suffixes _min / _max pour les nombres.
+// Un jeu dont les cartes n'ont pas le champ demandé ne renvoie rien.
+
+const RESERVED = new Set(["game", "q", "name", "set", "rarity", "page", "pageSize"]);
+const NOT_SEARCHABLE = new Set(["image", "imageHigh", "game"]);
+
+export const SEARCH_PAGE_SIZE = 40;
+export const SEARCH_PAGE_SIZE_MAX = 100;
+
+function lower(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+function toNumber(v) {
+  const n = Number(String(v ?? "").trim());
+  return String(v ?? "").trim() !== "" && Number.isFinite(n) ? n : null;
+}
+
+// query Express -> { games, text, fields, ranges }
+export function parseSearchQuery(query = {}) {
+  const games = String(query.game || "")
+    .split(",")
+    .map(lower)
+    .filter(Boolean);
+
+  const fields = [];  // { key, value }
+  const ranges = [];  // { key, min, max }
+
+  for (const [k, raw] of Object.entries(query)) {
+    if (RESERVED.has(k) || NOT_SEARCHABLE.has(k)) continue;
+    const value = String(raw ?? "").trim();
+    if (!value) continue;
+
+    const m = k.match(/^(.+)_(min|max)$/);
+    if (m) {
+      const n = toNumber(value);
+      if (n == null) continue;
+      let r = ranges.find(x => x.key === m[1]);
+      if (!r) ranges.push(r = { key: m[1], min: null, max: null });
+      r[m[2]] = n;
+      continue;
+    }
+    fields.push({ key: k, value });
+  }
+
+  return {
+    games,
+    q: lower(query.q),
+    name: lower(query.name),
+    set: lower(query.set),
+    rarities: String(query.rarity || "").split(",").map(lower).filter(Boolean),
+    fields,
+    ranges
+  };
+}
+
+function fieldMatches(raw, value) {
+  if (raw == null || raw === "") return false;
+  const n = toNumber(value);
+  if (n != null) return toNumber(raw) === n;
+  return lower(raw).includes(lower(value));
+}
+
+function matches(c, raw, f) {
+  if (f.name && !lower(c.name).includes(f.name)) return false;
+  if (f.set && lower(c.setId) !== f.set && !lower(c.set).includes(f.set)) return false;
+  if (f.rarities.length && !f.rarities.includes(lower(c.rarity))) return false;
+
+  if (f.q) {
+    const hay = `${lower(c.name)} ${lower(c.set)} ${lower(c.cardId)}`;
+    if (!hay.includes(f.q)) return false;
+  }
+
+  for (const { key, value } of f.fields) {
+    if (!fieldMatches(raw[key], value)) return false;
+  }
+  for (const { key, min, max } of f.ranges) {
+    const n = toNumber(raw[key]);
+    if (n == null) return false;
+    if (min != null && n < min) return false;
+    if (max != null && n > max) return false;
+  }
+  return true;
+}
+
+// Champs propres au jeu (tout sauf le format commun et les images)
+function extraFields(raw, c) {
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (k in c || NOT_SEARCHABLE.has(k)) continue;
+    if (typeof v === "string" || typeof v === "number") out[k] = v;
+  }
+  return out;
+}
+
+// -> { total, cards: [{ game, idKey, ...carte normalisée, ...champs du jeu }] } (page demandée)
+export function searchCards(filters, { page = 1, pageSize = SEARCH_PAGE_SIZE } = {}) {
+  const adapters = filters.games.length
+    ? filters.games.map(g => getGameAdapter(g)).filter(a => filters.games.includes(a.id))
+    : listGameAdapters();
+
+  const start = (page - 1) * pageSize;
+  const cards = [];
+  let total = 0;
+
+  for (const adapter of adapters) {
+    if (typeof adapter.searchPool !== "function") continue;
+
+    for (const raw of adapter.searchPool() || []) {
+      if (!raw || typeof raw !== "object") continue;
+
+      const c = adapter.normalizeCard(raw);
+      if (!matches(c, raw, filters)) continue;
+
+      // on ne garde que la page demandée, mais on compte tout
+      if (total >= start && cards.length < pageSize) {
+        cards.push({ game: adapter.id, idKey: idKeyFor(adapter.id, c), ...extraFields(raw, c), ...c });
+      }
+      total++;
+    }
+  }
+
+  return { total, cards };
+}
@@ -0,0 +1,86 @@
+import path from "path";
+import { DATA_DIR, readOfflineCatalog, randomItem, setsFromCards, toBinderCard } from "./common.js";
+
+// =========================
+// OFFLINE SENPAI GODDESS HAVEN
+// =========================
+const OFFLINE_SENPAI_DIR = path.join(DATA_DIR, "senpai-goddess-haven");
+const OFFLINE_SENPAI_CARDS_PATH = path.join(OFFLINE_SENPAI_DIR, "cards.json");
+const OFFLINE_SENPAI_SETS_PATH = path.join(OFFLINE_SENPAI_DIR, "sets.json");
+
+export let offlineSenpaiCards = [];
+export let offlineSenpaiSets = [];
+export let offlineSenpaiCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineSenpai({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_SENPAI_CARDS_PATH,
+    setsPath: OFFLINE_SENPAI_SETS_PATH,
+    label: "Senpai Goddess Haven",
+    strict
+  });
+  offlineSenpaiCards = cat.cards;
+  offlineSenpaiSets = cat.sets;
+  offlineSenpaiCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineSenpai();
+
+// Cartes tirables = avec image (setId optionnel -> limité à ce set)
+function senpaiDrawPool(setId = null) {
+  const pool = setId ? (offlineSenpaiCardsBySet.get(setId) || []) : offlineSenpaiCards;
+  return pool.filter(c => c?.image);
+}
+
+export function drawOfflineSenpaiCard(setId = null) {
+  const pool = setId ? (offlineSenpaiCardsBySet.get(setId) || []) : offlineSenpaiCards;
+  if (!pool?.length) {
+    throw new Error("Offline Senpai Goddess Haven pool empty");
+  }
+  const valid = senpaiDrawPool(setId);
+  if (!valid.length) throw new Error("Senpai Goddess Haven: no valid images");
+  return randomItem(valid);
+}
+
+function normalizeCard(c) {
+  return {
+    cardId:   c.cardId   || null,
+    setId:    c.setId    || null,
+    localId:  c.localId  || null,
+    name:     c.name     || "",
+    set:      c.setName  || "Senpai Goddess Haven",
+    rarity:   c.rarity   || "",
+    image:    c.image    || null,
+    imageHigh: c.imageHigh || c.image || null
+  };
+}
+
+export default {
+  id: "senpaigodesshaven",
+  label: "Senpai Goddess Haven",
+  dataDir: OFFLINE_SENPAI_DIR,
+
+  async listSets() {
+    return setsFromCards(offlineSenpaiCards, ["setName"]);
+  },
+
+  async listSetCards(setId) {
+    return (offlineSenpaiCardsBySet.get(setId) || []).map(toBinderCard);
+  },
+
+  async draw() {
+    return normalizeCard(drawOfflineSenpaiCard());
+  },
+
+  async drawFromSet(setId) {
+    return normalizeCard(drawOfflineSenpaiCard(setId));
+  },
+
+  drawPool: senpaiDrawPool,
+
+  reload: () => loadOfflineSenpai({ strict: true }),
+  searchPool: () => offlineSenpaiCards,
+
+  normalizeCard
+};
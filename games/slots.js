@@ -0,0 +1,118 @@
+// =========================
+// SLOTS (table de gains dans la config d'économie : eco.slots)
+// =========================
+// { symbols: [{ id, weight, mult }], pairMult, jackpot, maxBet }
+// 3 rouleaux indépendants, chaque symbole sort avec la proba weight / somme des poids.
+//  - trois identiques -> mise x mult du symbole ("jackpot" si c'est le symbole jackpot, sinon "triple")
+//  - deux identiques  -> mise x pairMult ("pair")
+// Mise en tickets, gains en Dollax : le RTP est donc exprimé en Dollax par ticket.
+
+// images slot/<id>.png côté client
+export const SLOT_SYMBOL_IDS = ["diamant", "star", "cards", "heart", "dollax", "thunder"];
+
+export const DEFAULT_SLOTS = {
+  symbols: [
+    { id: "diamant", weight: 4, mult: 5000 },  // ultra rare
+    { id: "star", weight: 6, mult: 1000 },     // très rare
+    { id: "cards", weight: 15, mult: 400 },    // rare
+    { id: "heart", weight: 20, mult: 250 },    // peu commun
+    { id: "dollax", weight: 25, mult: 150 },   // commun
+    { id: "thunder", weight: 30, mult: 80 },   // commun
+  ],
+  pairMult: 15,
+  jackpot: "diamant",
+  maxBet: 1000
+};
+
+// -> message d'erreur, ou null si la table est utilisable
+export function validateSlots(slots) {
+  const int = (v, min) => Number.isInteger(v) && v >= min;
+  const symbols = slots?.symbols;
+
+  if (!Array.isArray(symbols) || symbols.length < 2) return "slots.symbols: au moins 2 symboles";
+  const seen = new Set();
+  for (const s of symbols) {
+    if (!SLOT_SYMBOL_IDS.includes(s?.id)) return `slots.symbols: id inconnu "${s?.id}" (${SLOT_SYMBOL_IDS.join(", ")})`;
+    if (seen.has(s.id)) return `slots.symbols: "${s.id}" en double`;
+    seen.add(s.id);
+    if (!int(s.weight, 1) || !int(s.mult, 0)) return `slots.symbols.${s.id}: weight entier >= 1, mult entier >= 0`;
+  }
+  if (!int(slots.pairMult, 0)) return "slots.pairMult doit être un entier >= 0";
+  if (!seen.has(slots.jackpot)) return "slots.jackpot doit être l'id d'un des symboles";
+  if (!int(slots.maxBet, 1)) return "slots.maxBet doit être un entier >= 1";
+  return null;
+}
+
+// 3 rouleaux -> ids. rng : Math.random ou stream "slots" provably fair (games/fair.js)
+export function spinReels(slots, rng = Math.random) {
+  const total = slots.symbols.reduce((sum, s) => sum + s.weight, 0);
+  const pick = () => {
+    let r = rng() * total;
+    for (const s of slots.symbols) {
+      r -= s.weight;
+      if (r < 0) return s.id;
+    }
+    return slots.symbols[slots.symbols.length - 1].id;
+  };
+  return [pick(), pick(), pick()];
+}
+
+export function slotsPayout(slots, bet, reels) {
+  const [a, b, c] = reels;
+  if (a === b && b === c) {
+    const mult = slots.symbols.find(s => s.id === a)?.mult ?? 0;
+    return { gain: bet * mult, winType: a === slots.jackpot ? "jackpot" : "triple" };
+  }
+  if (a === b || b === c || a === c) return { gain: bet * slots.pairMult, winType: "pair" };
+  return { gain: 0, winType: "none" };
+}
+
+// Valeurs exactes pour 1 ticket : rtp = espérance du gain, variance, taux de gain, détail par issue
+export function slotsAnalytics(slots) {
+  const total = slots.symbols.reduce((sum, s) => sum + s.weight, 0);
+
+  const outcomes = [];
+  let pPair = 0;
+  for (const s of slots.symbols) {
+    const p = s.weight / total;
+    outcomes.push({ id: s.id, winType: s.id === slots.jackpot ? "jackpot" : "triple", mult: s.mult, p: p ** 3 });
+    pPair += 3 * p * p * (1 - p);
+  }
+  outcomes.push({ id: "pair", winType: "pair", mult: slots.pairMult, p: pPair });
+
+  let mean = 0;
+  let meanSq = 0;
+  let hitRate = 0;
+  for (const o of outcomes) {
+    mean += o.p * o.mult;
+    meanSq += o.p * o.mult * o.mult;
+    if (o.mult > 0) hitRate += o.p;
+  }
+  const variance = meanSq - mean * mean;
+
+  return { rtp: mean, variance, stdDev: Math.sqrt(variance), hitRate, outcomes };
+}
+
+// Monte Carlo : mêmes fonctions que le serveur (spinReels + slotsPayout), mise de 1 ticket
+export function simulateSlots(slots, spins, rng = Math.random) {
+  let sum = 0;
+  let sumSq = 0;
+  let hits = 0;
+  for (let i = 0; i < spins; i++) {
+    const { gain } = slotsPayout(slots, 1, spinReels(slots, rng));
+    sum += gain;
+    sumSq += gain * gain;
+    if (gain > 0) hits++;
+  }
+
+  const mean = sum / spins;
+  const variance = Math.max(0, sumSq / spins - mean * mean);
+  return {
+    spins,
+    rtp: mean,
+    variance,
+    stdDev: Math.sqrt(variance),
+    hitRate: hits / spins,
+    ci95: 1.96 * Math.sqrt(variance / spins)  // demi-largeur de l'intervalle de confiance du RTP
+  };
+}
@@ -0,0 +1,109 @@
+import path from "path";
+import { DATA_DIR, readOfflineCatalog, randomItem, setsFromCards, toBinderCard } from "./common.js";
+
+// =========================
+// OFFLINE UNION ARENA
+// =========================
+const OFFLINE_UNIONARENA_DIR = path.join(DATA_DIR, "unionarena");
+const OFFLINE_UNIONARENA_CARDS_PATH = path.join(OFFLINE_UNIONARENA_DIR, "cards.json");
+const OFFLINE_UNIONARENA_SETS_PATH = path.join(OFFLINE_UNIONARENA_DIR, "sets.json");
+
+export let offlineUnionArenaCards = [];
+export let offlineUnionArenaSets = [];
+export let offlineUnionArenaCardsBySet = new Map();
+
+// strict=true -> lève si le fichier est invalide (voir readOfflineCatalog)
+export function loadOfflineUnionArena({ strict = false } = {}) {
+  const cat = readOfflineCatalog({
+    cardsPath: OFFLINE_UNIONARENA_CARDS_PATH,
+    setsPath: OFFLINE_UNIONARENA_SETS_PATH,
+    label: "Union Arena",
+    strict
+  });
+  offlineUnionArenaCards = cat.cards;
+  offlineUnionArenaSets = cat.sets;
+  offlineUnionArenaCardsBySet = cat.cardsBySet;
+  return cat;
+}
+loadOfflineUnionArena();
+
+export function isValidUnionArenaImage(url) {
+  const u = String(url || "").trim().toLowerCase();
+  if (!u) return false;
+  if (u.includes("dummy.gif")) return false;
+  return true;
+}
+
+// Cartes tirables = avec une image valide (setId optionnel -> limité à ce set)
+function unionArenaDrawPool(setId = null) {
+  const pool = setId ? (offlineUnionArenaCardsBySet.get(setId) || []) : offlineUnionArenaCards;
+  return pool.filter(c =>
+    isValidUnionArenaImage(c?.image) || isValidUnionArenaImage(c?.imageHigh)
+  );
+}
+
+export function drawOfflineUnionArenaCard(setId = null) {
+  const pool = setId ? (offlineUnionArenaCardsBySet.get(setId) || []) : offlineUnionArenaCards;
+  if (!pool?.length) {
+    throw new Error("Offline Union Arena pool empty");
+  }
+
+  const valid = unionArenaDrawPool(setId);
+
+  if (!valid.length) {
+    throw new Error("Offline Union Arena has no valid images");
+  }
+
+  return randomItem(valid);
+}
+
+function normalizeCard(c) {
+  const img =
+    isValidUnionArenaImage(c.imageHigh) ? c.imageHigh :
+    isValidUnionArenaImage(c.image) ? c.image :
+    null;
+
+  return {
+    cardId:   c.cardId   || null,
+    setId:    c.setId    || null,
+    localId:  c.localId  || null,
+    name:     c.name     || "",
+    set:      c.set || c.setName || c.series || "Union Arena",
+    rarity:   c.rarity   || "",
+    image:    img,
+    imageHigh: img
+  };
+}
+
+export default {
+  id: "unionarena",
+  label: "Union Arena",
+  dataDir: OFFLINE_UNIONARENA_DIR,
+
+  async listSets() {
+    return setsFromCards(offlineUnionArenaCards, ["set", "setName"]);
+  },
+
+  async listSetCards(setId) {
+    return (offlineUnionArenaCardsBySet.get(setId) || []).map(toBinderCard);
+  },
+
+  async draw() {
+    const c = normalizeCard(drawOfflineUnionArenaCard());
+    if (!c.image) throw new Error("Union Arena: image invalide");
+    return c;
+  },
+
+  async drawFromSet(setId) {
+    const c = normalizeCard(drawOfflineUnionArenaCard(setId));
+    if (!c.image) throw new Error("Union Arena: image invalide");
+    return c;
+  },
+
+  drawPool: unionArenaDrawPool,
+
+  reload: () => loadOfflineUnionArena({ strict: true }),
+  searchPool: () => offlineUnionArenaCards,
+
+  normalizeCard
+};
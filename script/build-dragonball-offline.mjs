@@ -14,6 +14,9 @@ const OUT_SETS_FILE = path.join(OUT_DIR, "sets.json");
 const GITHUB_API_BASE = "https://api.github.com/repos/apitcg/dragon-ball-fusion-tcg-data/contents";
 const RAW_BASE = "https://raw.githubusercontent.com/apitcg/dragon-ball-fusion-tcg-data/main";
 
+// Les marqueurs d'énergie n'ont pas de rareté upstream : code explicite (poids dans rarities.json)
+const ENERGY_MARKER_RARITY = "EM";
+
 async function fetchJson(url, timeoutMs = 20000, extraHeaders = {}) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
@@ -139,7 +142,8 @@ function normalizeCard(card, filename, setsById) {
     ),
     name: normalizeText(pick(card, ["name", "cardName"]) || "Unknown"),
     set: normalizeText(setMeta?.name || pick(card, ["setName"]) || setId),
-    rarity: normalizeText(pick(card, ["rarity", "rarityCode"])),
+    rarity: normalizeText(pick(card, ["rarity", "rarityCode"]))
+      || (/energy marker/i.test(normalizeText(pick(card, ["type", "cardType"]))) ? ENERGY_MARKER_RARITY : ""),
     color: normalizeText(pick(card, ["color"])),
     type: normalizeText(pick(card, ["type", "cardType"])),
     cost: normalizeText(pick(card, ["cost", "energyCost"])),
@@ -169,6 +173,8 @@ async function main() {
 
   for (const item of Array.isArray(setFiles) ? setFiles : []) {
     if (item?.type !== "file" || !/\.json$/i.test(item?.name || "")) continue;
+    // index.json liste les fichiers, ce n'est pas un set
+    if (/^index\.json$/i.test(item.name)) continue;
 
     try {
       const rawSet = await loadJsonFile("sets/en", item.name);
@@ -193,10 +199,6 @@ async function main() {
     await sleep(60);
   }
 
-  cleanSets.sort((a, b) => a.id.localeCompare(b.id));
-  fs.writeFileSync(OUT_SETS_FILE, JSON.stringify(cleanSets, null, 2), "utf-8");
-  console.log(`✅ Saved sets.json (${cleanSets.length} sets)`);
-
   console.log("📥 Fetch Dragon Ball cards index from GitHub.");
   const cardFiles = await listGithubDir("cards/en");
   const allCards = [];
@@ -277,6 +279,19 @@ async function main() {
     return left.localeCompare(right);
   });
 
+  // sets absents de l'index upstream (promos, starters...) : reconstruits depuis les cartes,
+  // pour que chaque setId de cards.json existe dans sets.json (voir validate-catalogs)
+  for (const card of allCards) {
+    if (!card.setId || setsById.has(card.setId)) continue;
+    const set = { id: card.setId, name: card.set || card.setId };
+    cleanSets.push(set);
+    setsById.set(set.id, set);
+  }
+
+  cleanSets.sort((a, b) => a.id.localeCompare(b.id));
+  fs.writeFileSync(OUT_SETS_FILE, JSON.stringify(cleanSets, null, 2), "utf-8");
+  console.log(`✅ Saved sets.json (${cleanSets.length} sets)`);
+
   fs.writeFileSync(OUT_FILE, JSON.stringify(allCards, null, 2), "utf-8");
   console.log(`✅ Saved cards.json (${allCards.length} cards)`);
   console.log(`📁 Output: ${OUT_DIR}`);
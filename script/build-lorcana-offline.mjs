@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Comme ton script est dans /script, on remonte à la racine du projet
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "data", "lorcana");
+const OUT_FILE = path.join(OUT_DIR, "cards.json");
+const OUT_SETS_FILE = path.join(OUT_DIR, "sets.json");
+
+// Même source que le serveur (games/lorcana.js)
+const LORCANA_BASE = "https://api.lorcast.com/v0";
+
+async function fetchJson(url, timeoutMs = 20000) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const r = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "User-Agent": "lorcana-offline-builder/1.0",
+        "Accept": "application/json",
+      },
+    });
+
+    if (!r.ok) {
+      throw new Error(`HTTP ${r.status} for ${url}`);
+    }
+
+    return await r.json();
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function normalizeText(value) {
+  return String(value ?? "").trim();
+}
+
+// même choix d'images que pickImageLorcana() côté serveur
+function pickImages(card) {
+  const u = card?.image_uris?.digital || card?.image_uris || null;
+  const low = u?.normal || u?.large || u?.small || null;
+  const high = u?.large || u?.normal || u?.small || null;
+  return { low, high };
+}
+
+function normalizeCard(card, set) {
+  const { low, high } = pickImages(card);
+
+  return {
+    cardId: normalizeText(card?.id || card?.card_id || card?.uuid),
+    setId: normalizeText(set.code),
+    localId: normalizeText(card?.collector_number || card?.number),
+    name: normalizeText(card?.name) || "Unknown",
+    version: normalizeText(card?.version),
+    set: normalizeText(set.name) || `Set ${set.code}`,
+    rarity: normalizeText(card?.rarity),
+    ink: normalizeText(card?.ink),
+    type: Array.isArray(card?.type) ? card.type.join(" / ") : normalizeText(card?.type),
+    cost: card?.cost ?? null,
+    image: low,
+    imageHigh: high || low,
+  };
+}
+
+async function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  console.log("📥 Fetch Lorcana sets from Lorcast.");
+  const setsJson = await fetchJson(`${LORCANA_BASE}/sets`);
+  const rawSets = Array.isArray(setsJson) ? setsJson : (setsJson?.results || []);
+
+  const cleanSets = rawSets
+    .map((s) => ({ id: normalizeText(s?.code || s?.id), name: normalizeText(s?.name || s?.code) }))
+    .filter((s) => s.id);
+
+  fs.writeFileSync(OUT_SETS_FILE, JSON.stringify(cleanSets, null, 2), "utf-8");
+  console.log(`✅ Saved sets.json (${cleanSets.length} sets)`);
+
+  const allCards = [];
+  const seen = new Set();
+
+  for (let i = 0; i < cleanSets.length; i++) {
+    const set = { code: cleanSets[i].id, name: cleanSets[i].name };
+    console.log(`🃏 [${i + 1}/${cleanSets.length}] ${set.code} ${set.name}`);
+
+    try {
+      const json = await fetchJson(`${LORCANA_BASE}/sets/${encodeURIComponent(set.code)}/cards`);
+      const rows = Array.isArray(json) ? json : (json?.data || json?.cards || []);
+
+      let kept = 0;
+      for (const row of rows) {
+        const card = normalizeCard(row, set);
+        if (!card.cardId || !card.image) continue;
+        if (seen.has(card.cardId)) continue;
+        seen.add(card.cardId);
+
+        allCards.push(card);
+        kept++;
+      }
+
+      console.log(`   -> ${kept} cartes gardées`);
+    } catch (e) {
+      console.log(`⚠️ set failed: ${set.code} (${e.message})`);
+    }
+
+    await sleep(100);
+  }
+
+  allCards.sort((a, b) => {
+    const left = `${a.setId || ""}-${a.localId || ""}-${a.cardId || ""}`;
+    const right = `${b.setId || ""}-${b.localId || ""}-${b.cardId || ""}`;
+    return left.localeCompare(right, undefined, { numeric: true });
+  });
+
+  fs.writeFileSync(OUT_FILE, JSON.stringify(allCards, null, 2), "utf-8");
+  console.log(`✅ Saved cards.json (${allCards.length} cards)`);
+  console.log(`📁 Output: ${OUT_DIR}`);
+}
+
+main().catch((e) => {
+  console.error("❌ build failed:", e);
+  process.exit(1);
+});
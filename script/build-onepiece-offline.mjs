@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Comme ton script est dans /script, on remonte à la racine du projet
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "data", "onepiece");
+const OUT_FILE = path.join(OUT_DIR, "cards.json");
+const OUT_SETS_FILE = path.join(OUT_DIR, "sets.json");
+
+// Même source que le serveur (games/onepiece.js)
+const OPTCG_LIST_URL = "https://optcgapi.com/api/allSetCards/";
+
+async function fetchJson(url, timeoutMs = 60000) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const r = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "User-Agent": "onepiece-offline-builder/1.0",
+        "Accept": "application/json",
+      },
+    });
+
+    if (!r.ok) {
+      throw new Error(`HTTP ${r.status} for ${url}`);
+    }
+
+    return await r.json();
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+// ⚠️ doit rester identique à opSetIdOf() de games/onepiece.js (sinon les idKey ne collent plus)
+function opSetIdOf(c) {
+  return pickFirst(c, ["set_id", "setId", "set_code", "setCode", "series_id"]) ||
+    pickFirst(c, ["set_name", "setName", "set", "series"]) ||
+    "One Piece";
+}
+
+function normalizeCard(row) {
+  const image = pickFirst(row, ["card_image", "image_url", "imageUrl", "image", "img"]);
+
+  return {
+    cardId: pickFirst(row, ["card_set_id", "cardSetId", "card_id", "cardId", "id"]),
+    setId: opSetIdOf(row),
+    localId: pickFirst(row, ["card_number", "number", "localId", "local_id"]) || "",
+    name: pickFirst(row, ["card_name", "name", "cardName", "title"]) || "Unknown",
+    set: pickFirst(row, ["set_name", "setName", "set", "series"]) || "One Piece",
+    rarity: pickFirst(row, ["rarity"]) || "",
+    color: pickFirst(row, ["card_color", "color"]) || "",
+    type: pickFirst(row, ["card_type", "type"]) || "",
+    cost: pickFirst(row, ["card_cost", "cost"]) || "",
+    power: pickFirst(row, ["card_power", "power"]) || "",
+    image,
+    imageHigh: image,
+  };
+}
+
+async function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  console.log("📥 Fetch One Piece cards from OPTCG API.");
+  const rows = await fetchJson(OPTCG_LIST_URL);
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new Error("OPTCG list empty");
+  }
+
+  const allCards = [];
+  const setsById = new Map();
+  const seen = new Set();
+
+  for (const row of rows) {
+    const card = normalizeCard(row);
+    if (!card.cardId || !card.image) continue;
+
+    // même carte, autre illustration -> on garde les deux (comme Dragon Ball)
+    const dedupeKey = `${card.cardId}__${card.image}`;
+    if (seen.has(dedupeKey)) continue;
+    seen.add(dedupeKey);
+
+    allCards.push(card);
+    if (!setsById.has(card.setId)) {
+      setsById.set(card.setId, { id: card.setId, name: card.set });
+    }
+  }
+
+  const cleanSets = Array.from(setsById.values()).sort((a, b) => a.name.localeCompare(b.name));
+  fs.writeFileSync(OUT_SETS_FILE, JSON.stringify(cleanSets, null, 2), "utf-8");
+  console.log(`✅ Saved sets.json (${cleanSets.length} sets)`);
+
+  allCards.sort((a, b) => {
+    const left = `${a.setId || ""}-${a.localId || ""}-${a.cardId || ""}`;
+    const right = `${b.setId || ""}-${b.localId || ""}-${b.cardId || ""}`;
+    return left.localeCompare(right);
+  });
+
+  fs.writeFileSync(OUT_FILE, JSON.stringify(allCards, null, 2), "utf-8");
+  console.log(`✅ Saved cards.json (${allCards.length} cards)`);
+  console.log(`📁 Output: ${OUT_DIR}`);
+}
+
+main().catch((e) => {
+  console.error("❌ build failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+import pg from "pg";
+
+const { Pool } = pg;
+
+// =========================
+// RECONCILIATION money_ledger <-> users.money
+// =========================
+// usage: DATABASE_URL=... node script/reconcile-ledger.mjs [--user <pseudo>]
+// Pour chaque joueur :
+//  - solde reconstruit = somme des mouvements du ledger, comparé à users.money
+//  - chaîne des "balance" : chaque ligne doit valoir la somme des montants jusqu'à elle
+// Exit 1 s'il y a au moins un écart.
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ Missing env DATABASE_URL");
+  process.exit(1);
+}
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] || null : null;
+}
+
+async function main() {
+  const pool = new Pool({
+    connectionString: DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+
+  const userName = argValue("--user");
+  const params = userName ? [userName] : [];
+  const userFilter = userName ? `WHERE u.name = $1` : "";
+
+  try {
+    // 1) solde reconstruit vs solde actuel
+    const balancesQ = await pool.query(
+      `
+      SELECT u.id, u.name, u.money,
+             COALESCE(SUM(l.amount), 0)::bigint AS rebuilt,
+             COUNT(l.id)::int AS entries
+      FROM users u
+      LEFT JOIN money_ledger l ON l.user_id = u.id
+      ${userFilter}
+      GROUP BY u.id, u.name, u.money
+      ORDER BY u.id
+      `,
+      params
+    );
+
+    // 2) première ligne dont la balance ne suit pas la somme courante
+    const chainQ = await pool.query(
+      `
+      SELECT DISTINCT ON (x.user_id) x.user_id, x.id, x.type, x.balance, x.running
+      FROM (
+        SELECT l.user_id, l.id, l.type, l.balance,
+               SUM(l.amount) OVER (PARTITION BY l.user_id ORDER BY l.id) AS running
+        FROM money_ledger l
+        JOIN users u ON u.id = l.user_id
+        ${userFilter}
+      ) x
+      WHERE x.balance <> x.running
+      ORDER BY x.user_id, x.id
+      `,
+      params
+    );
+    const chainByUser = new Map(chainQ.rows.map((r) => [Number(r.user_id), r]));
+
+    let mismatches = 0;
+    for (const u of balancesQ.rows) {
+      const money = Number(u.money);
+      const rebuilt = Number(u.rebuilt);
+      const chain = chainByUser.get(Number(u.id));
+
+      if (money === rebuilt && !chain) continue;
+      mismatches++;
+
+      console.log(`❌ ${u.name} (#${u.id}) : solde ${money}, ledger ${rebuilt} (écart ${money - rebuilt}, ${u.entries} lignes)`);
+      if (chain) {
+        console.log(`   ↳ chaîne cassée à la ligne #${chain.id} (${chain.type}) : balance ${chain.balance}, attendu ${chain.running}`);
+      }
+    }
+
+    console.log(`\n📊 ${balancesQ.rows.length} joueur(s) vérifié(s), ${mismatches} écart(s)`);
+    if (mismatches) process.exitCode = 1;
+    else console.log("✅ Ledger cohérent");
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error("❌ reconcile failed:", e);
+  process.exit(1);
+});
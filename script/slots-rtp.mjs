@@ -0,0 +1,86 @@
+import fs from "fs";
+import pg from "pg";
+import { DEFAULT_SLOTS, validateSlots, slotsAnalytics, simulateSlots } from "../games/slots.js";
+
+const { Pool } = pg;
+
+// =========================
+// RTP DE LA SLOT MACHINE (avant de publier une table de gains)
+// =========================
+// usage: node script/slots-rtp.mjs [--file <table.json>] [--spins <n>]
+//  --file  : table candidate, { "slots": {...} } (même format que POST /api/admin/economy) ou {...} directement,
+//            fusionnée sur la table par défaut
+//  sinon   : table active en base si DATABASE_URL est défini, table par défaut sinon
+// Affiche RTP (Dollax rendus par ticket), variance et taux de gain : valeurs exactes puis Monte Carlo.
+// Exit 1 si la table est invalide ou si le Monte Carlo sort de son intervalle de confiance à 99,9%.
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] || null : null;
+}
+
+async function loadSlots() {
+  const file = argValue("--file");
+  if (file) {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return { source: file, slots: { ...DEFAULT_SLOTS, ...(parsed?.slots || parsed) } };
+  }
+
+  if (!process.env.DATABASE_URL) return { source: "défaut", slots: DEFAULT_SLOTS };
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    const q = await pool.query(`SELECT version, config FROM economy_config ORDER BY version DESC LIMIT 1`);
+    const row = q.rows[0];
+    return {
+      source: row ? `economy_config v${row.version}` : "défaut",
+      slots: { ...DEFAULT_SLOTS, ...(row?.config?.slots || {}) }
+    };
+  } finally {
+    await pool.end();
+  }
+}
+
+const pct = (x) => `${(x * 100).toFixed(4)}%`;
+const num = (x) => x.toFixed(4);
+
+async function main() {
+  const spins = Math.max(1, Number(argValue("--spins") || 1_000_000) | 0);
+  const { source, slots } = await loadSlots();
+
+  const error = validateSlots(slots);
+  if (error) {
+    console.error(`❌ Table invalide (${source}) : ${error}`);
+    process.exit(1);
+  }
+
+  console.log(`🎰 Table : ${source}`);
+  const exact = slotsAnalytics(slots);
+  for (const o of exact.outcomes) {
+    console.log(`   ${o.id.padEnd(8)} ${o.winType.padEnd(8)} x${String(o.mult).padEnd(6)} p=${pct(o.p)}  contribution ${num(o.p * o.mult)}`);
+  }
+
+  console.log(`\n📐 Exact       : RTP ${num(exact.rtp)} Dollax/ticket, variance ${num(exact.variance)}, écart-type ${num(exact.stdDev)}, gain ${pct(exact.hitRate)} des spins`);
+
+  const t0 = Date.now();
+  const sim = simulateSlots(slots, spins);
+  console.log(`🎲 Monte Carlo : RTP ${num(sim.rtp)} ± ${num(sim.ci95)} (95%), variance ${num(sim.variance)}, écart-type ${num(sim.stdDev)}, gain ${pct(sim.hitRate)} des spins`);
+  console.log(`   ${spins} spins en ${Date.now() - t0} ms`);
+
+  // 3,29 écarts-types : un vrai écart entre le calcul et le tirage, pas la malchance
+  const z = Math.abs(sim.rtp - exact.rtp) / (exact.stdDev / Math.sqrt(spins) || 1);
+  if (z > 3.29) {
+    console.log(`❌ Monte Carlo incohérent avec le calcul exact (z = ${z.toFixed(2)})`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ Monte Carlo cohérent avec le calcul exact (z = ${z.toFixed(2)})`);
+  }
+}
+
+main().catch((e) => {
+  console.error("❌ slots-rtp failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,288 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Comme ton script est dans /script, on remonte à la racine du projet
+const ROOT = path.join(__dirname, "..");
+const DATA_DIR = path.join(ROOT, "data");
+
+// =========================
+// VALIDATION DES CATALOGUES OFFLINE
+// =========================
+// usage: node script/validate-catalogs.mjs [--strict] [dossier...]
+//   dossier  -> ex: dragonball magic (défaut: tous les data/*)
+//   --strict -> les avertissements font aussi échouer
+// Exit 1 s'il y a au moins une erreur.
+
+// Format commun attendu par les adapters (games/*.js -> normalizeCard)
+const SHAPE_FIELDS = ["cardId", "setId", "localId", "name", "rarity", "image", "imageHigh"];
+const SET_NAME_FIELDS = ["set", "setName"];
+
+const MAX_EXAMPLES = 5;
+
+// Jeux dont l'adapter tire dans data/<jeu>/cards.json (hors ligne ou en repli quand l'API tombe) :
+// sans cartes, /api/open n'a plus rien à tirer -> erreur.
+// Union Arena n'est pas encore versionné (script/build-unionarena-playwright.mjs) : simple avertissement.
+const OFFLINE_GAMES = ["dragonball", "lorcana", "magic", "onepiece", "pokemon", "senpai-goddess-haven"];
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+function listGameDirs(only) {
+  const dirs = fs.readdirSync(DATA_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+  return only.length ? dirs.filter((d) => only.includes(d)) : dirs;
+}
+
+// http(s) absolu, ou chemin servi par /data (les images Magic sont réécrites vers R2 au runtime)
+function imageProblem(url) {
+  if (url == null || url === "") return "absente";
+  if (typeof url !== "string") return "pas une chaîne";
+
+  const u = url.trim();
+  if (u !== url) return "espaces autour";
+  if (u.toLowerCase().includes("dummy.gif")) return "placeholder dummy.gif";
+  if (u.startsWith("/data/")) return null;
+
+  try {
+    const parsed = new URL(u);
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return `protocole ${parsed.protocol}`;
+  } catch {
+    return "URL invalide";
+  }
+  return null;
+}
+
+function shapeKey(card) {
+  return Object.keys(card).sort().join(",");
+}
+
+function createReport(game) {
+  const issues = new Map(); // "level|message" -> { level, message, count, examples }
+
+  function add(level, message, example = null) {
+    const key = `${level}|${message}`;
+    if (!issues.has(key)) issues.set(key, { level, message, count: 0, examples: [] });
+    const it = issues.get(key);
+    it.count++;
+    if (example != null && it.examples.length < MAX_EXAMPLES) it.examples.push(example);
+  }
+
+  return {
+    game,
+    cards: 0,
+    sets: 0,
+    fields: null,      // Set des champs présents (pour la comparaison entre jeux)
+    setNameField: null,
+    error: (m, ex) => add("error", m, ex),
+    warn: (m, ex) => add("warn", m, ex),
+    issues
+  };
+}
+
+function validateGame(game) {
+  const dir = path.join(DATA_DIR, game);
+  const report = createReport(game);
+
+  const cardsPath = path.join(dir, "cards.json");
+  const setsPath = path.join(dir, "sets.json");
+  const raritiesPath = path.join(dir, "rarities.json");
+
+  // ----- sets.json -----
+  let setIds = null;
+  if (!fs.existsSync(setsPath)) {
+    if (fs.existsSync(cardsPath)) report.error("sets.json absent");
+    else report.warn("sets.json absent");
+  } else {
+    try {
+      const sets = readJson(setsPath);
+      if (!Array.isArray(sets)) throw new Error("pas un tableau");
+      report.sets = sets.length;
+      setIds = new Set(sets.map((s) => String(s?.id || "").trim()).filter(Boolean));
+
+      const seenSets = new Set();
+      for (const s of sets) {
+        const id = String(s?.id || "").trim();
+        if (!id) report.error("set sans id", JSON.stringify(s).slice(0, 80));
+        else if (seenSets.has(id)) report.error("id de set en double", id);
+        seenSets.add(id);
+      }
+    } catch (e) {
+      report.error(`sets.json illisible: ${e.message}`);
+    }
+  }
+
+  // ----- rarities.json -----
+  let rarities = null;
+  if (fs.existsSync(raritiesPath)) {
+    try {
+      const weights = readJson(raritiesPath)?.weights || {};
+      rarities = new Set(Object.keys(weights).map((k) => k.toLowerCase()));
+    } catch (e) {
+      report.error(`rarities.json illisible: ${e.message}`);
+    }
+  } else {
+    report.warn("pas de rarities.json (raretés non vérifiées)");
+  }
+
+  // ----- cards.json (sets et raretés sont vérifiés même sans catalogue de cartes) -----
+  const required = OFFLINE_GAMES.includes(game);
+  if (!fs.existsSync(cardsPath)) {
+    if (required) report.error("pas de cards.json (catalogue offline attendu)");
+    else report.warn("pas de cards.json (pas de catalogue offline)");
+    return report;
+  }
+
+  let cards;
+  try {
+    cards = readJson(cardsPath);
+  } catch (e) {
+    report.error(`cards.json illisible: ${e.message}`);
+    return report;
+  }
+  if (!Array.isArray(cards)) {
+    report.error("cards.json n'est pas un tableau");
+    return report;
+  }
+  report.cards = cards.length;
+  if (!cards.length) {
+    if (required) report.error("cards.json est vide");
+    else report.warn("cards.json est vide");
+  }
+
+  // ----- cartes -----
+  const seenIds = new Map(); // cardId -> index
+  const shapes = new Map();  // shapeKey -> count
+  const fields = new Set();
+
+  cards.forEach((c, i) => {
+    const where = `#${i}${c?.cardId ? ` ${c.cardId}` : ""}`;
+
+    if (!c || typeof c !== "object" || Array.isArray(c)) {
+      report.error("entrée qui n'est pas un objet", where);
+      return;
+    }
+
+    const key = shapeKey(c);
+    shapes.set(key, (shapes.get(key) || 0) + 1);
+    Object.keys(c).forEach((k) => fields.add(k));
+
+    const cardId = String(c.cardId || "").trim();
+    if (!cardId) {
+      report.error("carte sans cardId", where);
+    } else if (seenIds.has(cardId)) {
+      report.error("cardId en double", `${cardId} (#${seenIds.get(cardId)} et #${i})`);
+    } else {
+      seenIds.set(cardId, i);
+    }
+
+    const setId = String(c.setId || "").trim();
+    if (!setId) report.error("carte sans setId", where);
+    else if (setIds && !setIds.has(setId)) report.error("setId absent de sets.json", `${setId} (${where})`);
+
+    const imgErr = imageProblem(c.image);
+    if (imgErr) report.error(`image ${imgErr}`, where);
+    if (c.imageHigh != null && c.imageHigh !== "") {
+      const highErr = imageProblem(c.imageHigh);
+      if (highErr) report.error(`imageHigh ${highErr}`, where);
+    }
+
+    if (rarities) {
+      const r = String(c.rarity ?? "").trim();
+      if (!rarities.has(r.toLowerCase())) report.error("rareté inconnue de rarities.json", r ? `"${r}" (${where})` : `(vide) ${where}`);
+    }
+  });
+
+  // ----- forme des cartes DANS le jeu -----
+  if (shapes.size > 1) {
+    const [mainShape] = Array.from(shapes.entries()).sort((a, b) => b[1] - a[1])[0];
+    const main = new Set(mainShape.split(","));
+    for (const [shape, count] of shapes) {
+      if (shape === mainShape) continue;
+      const keys = shape.split(",");
+      const missing = Array.from(main).filter((k) => !keys.includes(k));
+      const extra = keys.filter((k) => !main.has(k));
+      const diff = [...missing.map((k) => `-${k}`), ...extra.map((k) => `+${k}`)].join(" ");
+      for (let n = 0; n < count; n++) report.warn("forme différente du reste du jeu", diff);
+    }
+  }
+
+  report.fields = fields;
+  report.setNameField = SET_NAME_FIELDS.find((k) => fields.has(k)) || null;
+  return report;
+}
+
+// ----- forme des cartes ENTRE les jeux -----
+function compareShapes(reports) {
+  const withCards = reports.filter((r) => r.fields?.size);
+  if (withCards.length < 2) return;
+
+  for (const r of withCards) {
+    for (const f of SHAPE_FIELDS) {
+      if (r.fields.has(f)) continue;
+      const others = withCards.filter((o) => o !== r && o.fields.has(f)).map((o) => o.game);
+      if (others.length) r.warn(`champ "${f}" absent (présent dans ${others.join(", ")})`);
+    }
+
+    if (!r.setNameField) {
+      r.warn(`aucun champ de nom de set (${SET_NAME_FIELDS.join(" / ")})`);
+    } else {
+      const others = withCards
+        .filter((o) => o.setNameField && o.setNameField !== r.setNameField)
+        .map((o) => `${o.game}: ${o.setNameField}`);
+      if (others.length) r.warn(`nom du set dans "${r.setNameField}" (${others.join(", ")})`);
+    }
+  }
+}
+
+function printReport(r) {
+  const list = Array.from(r.issues.values());
+  const errors = list.filter((i) => i.level === "error");
+  const warns = list.filter((i) => i.level === "warn");
+
+  const icon = errors.length ? "❌" : warns.length ? "⚠️" : "✅";
+  console.log(`${icon} ${r.game}: ${r.cards} cartes, ${r.sets} sets`);
+
+  for (const it of [...errors, ...warns]) {
+    const tag = it.level === "error" ? "  ❌" : "  ⚠️";
+    const more = it.count > it.examples.length ? ` …(+${it.count - it.examples.length})` : "";
+    const examples = it.examples.length ? `: ${it.examples.join(", ")}${more}` : "";
+    console.log(`${tag} ${it.message}${it.count > 1 ? ` x${it.count}` : ""}${examples}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const only = args.filter((a) => !a.startsWith("--"));
+
+  const games = listGameDirs(only);
+  if (!games.length) {
+    console.error(`❌ aucun dossier à valider dans ${DATA_DIR}`);
+    process.exit(1);
+  }
+
+  const reports = games.map(validateGame);
+  compareShapes(reports);
+
+  let errors = 0;
+  let warns = 0;
+  for (const r of reports) {
+    printReport(r);
+    for (const it of r.issues.values()) {
+      if (it.level === "error") errors += it.count;
+      else warns += it.count;
+    }
+  }
+
+  console.log(`\n📊 ${errors} erreur(s), ${warns} avertissement(s) sur ${reports.length} jeux`);
+  if (errors || (strict && warns)) process.exit(1);
+}
+
+main();
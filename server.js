@@ -4,6 +4,20 @@ import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 import pg from "pg";
+import { fetchWithTimeout, FORCE_OFFLINE } from "./games/common.js";
+import {
+  resolveGame,
+  idKeyFor,
+  getGameAdapter,
+  listGameIds,
+} from "./games/index.js";
+import { getRarityWeights, rarityWeight, weightedRandomItem, isPityRarity, pityRamp, parseRarityTable, rarityTableJson } from "./games/rarity.js";
+import { getBoosterTemplate, drawBooster } from "./games/boosters.js";
+import { reloadCatalog, reloadAllCatalogs, watchCatalogs, catalogRarity } from "./games/catalogs.js";
+import { setUpstreamCacheStore, createPgCacheStore } from "./games/cache.js";
+import { DEFAULT_SLOTS, validateSlots, spinReels, slotsPayout, slotsAnalytics } from "./games/slots.js";
+import { FAIR_ALGORITHM, fairRng, newServerSeed, newClientSeed, hashServerSeed, cleanClientSeed } from "./games/fair.js";
+import { parseSearchQuery, searchCards, SEARCH_PAGE_SIZE, SEARCH_PAGE_SIZE_MAX } from "./games/search.js";
 
 const { Pool } = pg;
 
@@ -15,345 +29,31 @@ const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 8000;
 
-// =========================
-// OFFLINE CARDS (fallback)
-// =========================
-
-//OFFLINE DRAGON BALL //
-
-const OFFLINE_DRAGONBALL_DIR = path.join(__dirname, "data", "dragonball");
-const OFFLINE_DRAGONBALL_CARDS_PATH = path.join(OFFLINE_DRAGONBALL_DIR, "cards.json");
-const OFFLINE_DRAGONBALL_SETS_PATH = path.join(OFFLINE_DRAGONBALL_DIR, "sets.json");
-
-let offlineDragonballCards = [];
-let offlineDragonballSets = [];
-const offlineDragonballCardsBySet = new Map();
-
-function loadOfflineDragonball() {
-  try {
-    offlineDragonballCards = [];
-    offlineDragonballSets = [];
-    offlineDragonballCardsBySet.clear();
-
-    if (fs.existsSync(OFFLINE_DRAGONBALL_CARDS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_DRAGONBALL_CARDS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineDragonballCards = parsed;
-      }
-    } else {
-      console.log("📦 No offline Dragon Ball cards.json found at", OFFLINE_DRAGONBALL_CARDS_PATH);
-    }
-
-    if (fs.existsSync(OFFLINE_DRAGONBALL_SETS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_DRAGONBALL_SETS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineDragonballSets = parsed;
-      }
-    } else {
-      console.log("📦 No offline Dragon Ball sets.json found at", OFFLINE_DRAGONBALL_SETS_PATH);
-    }
-
-    for (const c of offlineDragonballCards) {
-      const setId = String(c?.setId || "").trim();
-      if (!setId) continue;
-      if (!offlineDragonballCardsBySet.has(setId)) {
-        offlineDragonballCardsBySet.set(setId, []);
-      }
-      offlineDragonballCardsBySet.get(setId).push(c);
-    }
-
-    console.log(`📦 Offline Dragon Ball sets: ${offlineDragonballSets.length}`);
-    console.log(`📦 Offline Dragon Ball cards: ${offlineDragonballCards.length}`);
-  } catch (e) {
-    console.log("Offline Dragon Ball load error:", e.message);
-  }
-}
-loadOfflineDragonball();
-
-
-function drawOfflineDragonballCard() {
-  if (!offlineDragonballCards?.length) {
-    throw new Error("Offline Dragon Ball pool empty");
-  }
-
-  return offlineDragonballCards[
-    Math.floor(Math.random() * offlineDragonballCards.length)
-  ];
-}
-
-// OFFLINE UNION ARENA //
-
-const OFFLINE_UNIONARENA_DIR = path.join(__dirname, "data", "unionarena");
-const OFFLINE_UNIONARENA_CARDS_PATH = path.join(OFFLINE_UNIONARENA_DIR, "cards.json");
-const OFFLINE_UNIONARENA_SETS_PATH = path.join(OFFLINE_UNIONARENA_DIR, "sets.json");
-
-let offlineUnionArenaCards = [];
-let offlineUnionArenaSets = [];
-const offlineUnionArenaCardsBySet = new Map();
-
-function loadOfflineUnionArena() {
-  try {
-    offlineUnionArenaCards = [];
-    offlineUnionArenaSets = [];
-    offlineUnionArenaCardsBySet.clear();
-
-    if (fs.existsSync(OFFLINE_UNIONARENA_CARDS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_UNIONARENA_CARDS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineUnionArenaCards = parsed;
-      }
-    } else {
-      console.log("📦 No offline Union Arena cards.json found at", OFFLINE_UNIONARENA_CARDS_PATH);
-    }
-
-    if (fs.existsSync(OFFLINE_UNIONARENA_SETS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_UNIONARENA_SETS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineUnionArenaSets = parsed;
-      }
-    } else {
-      console.log("📦 No offline Union Arena sets.json found at", OFFLINE_UNIONARENA_SETS_PATH);
-    }
-
-    for (const c of offlineUnionArenaCards) {
-      const setId = String(c?.setId || "").trim();
-      if (!setId) continue;
-
-      if (!offlineUnionArenaCardsBySet.has(setId)) {
-        offlineUnionArenaCardsBySet.set(setId, []);
-      }
-      offlineUnionArenaCardsBySet.get(setId).push(c);
-    }
-
-    console.log(`📦 Offline Union Arena sets: ${offlineUnionArenaSets.length}`);
-    console.log(`📦 Offline Union Arena cards: ${offlineUnionArenaCards.length}`);
-  } catch (e) {
-    console.log("Offline Union Arena load error:", e.message);
-  }
-}
-loadOfflineUnionArena();
-
-function isValidUnionArenaImage(url) {
-  const u = String(url || "").trim().toLowerCase();
-  if (!u) return false;
-  if (u.includes("dummy.gif")) return false;
-  return true;
-}
-
-function drawOfflineUnionArenaCard() {
-  if (!offlineUnionArenaCards?.length) {
-    throw new Error("Offline Union Arena pool empty");
-  }
-
-  const valid = offlineUnionArenaCards.filter(c =>
-    isValidUnionArenaImage(c?.image) || isValidUnionArenaImage(c?.imageHigh)
-  );
-
-  if (!valid.length) {
-    throw new Error("Offline Union Arena has no valid images");
-  }
-
-  return valid[Math.floor(Math.random() * valid.length)];
-}
-// =========================
-// OFFLINE SENPAI GODDESS HAVEN
-// =========================
-const OFFLINE_SENPAI_DIR = path.join(__dirname, "data", "senpai-goddess-haven");
-const OFFLINE_SENPAI_CARDS_PATH = path.join(OFFLINE_SENPAI_DIR, "cards.json");
-const OFFLINE_SENPAI_SETS_PATH = path.join(OFFLINE_SENPAI_DIR, "sets.json");
-
-let offlineSenpaiCards = [];
-let offlineSenpaiSets = [];
-const offlineSenpaiCardsBySet = new Map();
-
-function loadOfflineSenpai() {
-  try {
-    offlineSenpaiCards = [];
-    offlineSenpaiSets = [];
-    offlineSenpaiCardsBySet.clear();
-
-    if (fs.existsSync(OFFLINE_SENPAI_CARDS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_SENPAI_CARDS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineSenpaiCards = parsed;
-      }
-    } else {
-      console.log("📦 No offline Senpai Goddess Haven cards.json found at", OFFLINE_SENPAI_CARDS_PATH);
-    }
-
-    if (fs.existsSync(OFFLINE_SENPAI_SETS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_SENPAI_SETS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlineSenpaiSets = parsed;
-      }
-    } else {
-      console.log("📦 No offline Senpai Goddess Haven sets.json found at", OFFLINE_SENPAI_SETS_PATH);
-    }
-
-    for (const c of offlineSenpaiCards) {
-      const setId = String(c?.setId || "").trim();
-      if (!setId) continue;
-      if (!offlineSenpaiCardsBySet.has(setId)) {
-        offlineSenpaiCardsBySet.set(setId, []);
-      }
-      offlineSenpaiCardsBySet.get(setId).push(c);
-    }
-
-    console.log(`📦 Offline Senpai Goddess Haven sets: ${offlineSenpaiSets.length}`);
-    console.log(`📦 Offline Senpai Goddess Haven cards: ${offlineSenpaiCards.length}`);
-  } catch (e) {
-    console.log("Offline Senpai Goddess Haven load error:", e.message);
-  }
-}
-loadOfflineSenpai();
-
-function drawOfflineSenpaiCard() {
-  if (!offlineSenpaiCards?.length) {
-    throw new Error("Offline Senpai Goddess Haven pool empty");
-  }
-  const valid = offlineSenpaiCards.filter(c => c?.image);
-  if (!valid.length) throw new Error("Senpai Goddess Haven: no valid images");
-  return valid[Math.floor(Math.random() * valid.length)];
-}
+// ADMIN_USERS="alice,bob" -> ces comptes passent admin au démarrage
+const ADMIN_USERS = String(process.env.ADMIN_USERS || "")
+  .split(",")
+  .map(s => s.trim())
+  .filter(Boolean);
 
-// =========================
-// OFFLINE MAGIC
-// =========================
-const OFFLINE_MAGIC_DIR        = path.join(__dirname, "data", "magic");
-const OFFLINE_MAGIC_CARDS_PATH = path.join(OFFLINE_MAGIC_DIR, "cards.json");
-const OFFLINE_MAGIC_SETS_PATH  = path.join(OFFLINE_MAGIC_DIR, "sets.json");
-
-let offlineMagicCards = [];
-let offlineMagicSets  = [];
-const offlineMagicCardsBySet = new Map();
-
-// URL publique R2 pour les images Magic
-const MAGIC_R2_BASE = "https://pub-383a4299f072470d88f0b64b2318b52d.r2.dev/magic";
+// WATCH_CATALOGS=1 -> reload auto quand un data/*/cards.json change
+const WATCH_CATALOGS = process.env.WATCH_CATALOGS === "1";
 
-function rewriteMagicImageUrl(url) {
-  if (!url) return url;
-  // Si l'image est déjà sur R2 ou externe, on la laisse telle quelle
-  if (url.startsWith("https://pub-383a4299f072470d88f0b64b2318b52d.r2.dev")) return url;
-  // Si c'est un chemin local généré par le script (ex: /data/magic/images/fin__1.jpg)
-  const match = url.match(/\/data\/magic\/images\/(.+)$/);
-  if (match) return `${MAGIC_R2_BASE}/${match[1]}`;
-  return url;
-}
-
-function loadOfflineMagic() {
+// DAILY_TIMEZONE="Europe/Paris" -> fuseau du "jour" pour la récompense quotidienne
+const DAILY_TIMEZONE = (() => {
+  const tz = String(process.env.DAILY_TIMEZONE || "Europe/Paris").trim();
   try {
-    offlineMagicCards = [];
-    offlineMagicSets  = [];
-    offlineMagicCardsBySet.clear();
-
-    if (fs.existsSync(OFFLINE_MAGIC_CARDS_PATH)) {
-      const raw    = fs.readFileSync(OFFLINE_MAGIC_CARDS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) offlineMagicCards = parsed;
-    } else {
-      console.log("📦 No offline Magic cards.json found at", OFFLINE_MAGIC_CARDS_PATH);
-    }
-
-    if (fs.existsSync(OFFLINE_MAGIC_SETS_PATH)) {
-      const raw    = fs.readFileSync(OFFLINE_MAGIC_SETS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) offlineMagicSets = parsed;
-    } else {
-      console.log("📦 No offline Magic sets.json found at", OFFLINE_MAGIC_SETS_PATH);
-    }
-
-    for (const c of offlineMagicCards) {
-      const setId = String(c?.setId || "").trim();
-      if (!setId) continue;
-      if (!offlineMagicCardsBySet.has(setId)) {
-        offlineMagicCardsBySet.set(setId, []);
-      }
-      offlineMagicCardsBySet.get(setId).push(c);
-    }
-
-    console.log(`📦 Offline Magic sets: ${offlineMagicSets.length}`);
-    console.log(`📦 Offline Magic cards: ${offlineMagicCards.length}`);
-  } catch (e) {
-    console.log("Offline Magic load error:", e.message);
-  }
-}
-loadOfflineMagic();
-
-function drawOfflineMagicCard() {
-  if (!offlineMagicCards?.length) {
-    throw new Error("Offline Magic pool empty");
+    new Intl.DateTimeFormat("en-CA", { timeZone: tz });
+    return tz;
+  } catch {
+    console.log(`❌ DAILY_TIMEZONE invalide (${tz}), UTC utilisé`);
+    return "UTC";
   }
-  const valid = offlineMagicCards.filter(c => c?.image || c?.imageHigh);
-  if (!valid.length) throw new Error("Magic: no valid images");
-  const c = valid[Math.floor(Math.random() * valid.length)];
-  return {
-    ...c,
-    image:     rewriteMagicImageUrl(c.imageHigh || c.image),
-    imageHigh: rewriteMagicImageUrl(c.imageHigh || c.image),
-  };
-}
+})();
 
 // =========================
-// OFFLINE POKEMON CATALOG
+// GAMES (catalogues offline + API en ligne)
 // =========================
-const FORCE_OFFLINE = process.env.FORCE_OFFLINE === "1";
-
-const OFFLINE_POKEMON_DIR = path.join(__dirname, "data", "pokemon");
-const OFFLINE_POKEMON_CARDS_PATH = path.join(OFFLINE_POKEMON_DIR, "cards.json");
-const OFFLINE_POKEMON_SETS_PATH = path.join(OFFLINE_POKEMON_DIR, "sets.json");
-
-let offlinePokemonCards = [];
-let offlinePokemonSets = [];
-const offlinePokemonCardsBySet = new Map();
-
-function loadOfflinePokemon() {
-  try {
-    offlinePokemonCards = [];
-    offlinePokemonSets = [];
-    offlinePokemonCardsBySet.clear();
-
-    if (fs.existsSync(OFFLINE_POKEMON_CARDS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_POKEMON_CARDS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlinePokemonCards = parsed;
-      }
-    } else {
-      console.log("📦 No offline Pokémon cards.json found at", OFFLINE_POKEMON_CARDS_PATH);
-    }
-
-    if (fs.existsSync(OFFLINE_POKEMON_SETS_PATH)) {
-      const raw = fs.readFileSync(OFFLINE_POKEMON_SETS_PATH, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        offlinePokemonSets = parsed;
-      }
-    } else {
-      console.log("📦 No offline Pokémon sets.json found at", OFFLINE_POKEMON_SETS_PATH);
-    }
-
-    for (const c of offlinePokemonCards) {
-      const setId = String(c?.setId || "").trim();
-      if (!setId) continue;
-      if (!offlinePokemonCardsBySet.has(setId)) {
-        offlinePokemonCardsBySet.set(setId, []);
-      }
-      offlinePokemonCardsBySet.get(setId).push(c);
-    }
-
-    console.log(`📦 Offline Pokémon sets: ${offlinePokemonSets.length}`);
-    console.log(`📦 Offline Pokémon cards: ${offlinePokemonCards.length}`);
-  } catch (e) {
-    console.log("Offline Pokémon load error:", e.message);
-  }
-}
-loadOfflinePokemon();
+// Chaque jeu vit dans games/<jeu>.js et s'enregistre dans games/index.js
 
 console.log(`🧩 FORCE_OFFLINE=${FORCE_OFFLINE ? "ON" : "OFF"}`);
 // =========================
@@ -467,6 +167,45 @@ async function initDb() {
     );
   `);
 
+  // =========================
+  // TRADES (offres d'échange entre amis : give = cartes de from, take = cartes de to)
+  // status: pending -> accepted | declined | cancelled | countered
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS trade_offers (
+      id SERIAL PRIMARY KEY,
+      from_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      to_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      money INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'pending',
+      parent_id INTEGER REFERENCES trade_offers(id) ON DELETE SET NULL,
+      createdAt BIGINT NOT NULL,
+      respondedAt BIGINT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_offers_from
+    ON trade_offers(from_user_id, createdAt DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_trade_offers_to
+    ON trade_offers(to_user_id, createdAt DESC);
+
+    CREATE TABLE IF NOT EXISTS trade_offer_items (
+      id BIGSERIAL PRIMARY KEY,
+      offer_id INTEGER NOT NULL REFERENCES trade_offers(id) ON DELETE CASCADE,
+      side TEXT NOT NULL,
+      idKey TEXT NOT NULL,
+      qty INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      setName TEXT NOT NULL,
+      image TEXT NOT NULL,
+      grade INTEGER NOT NULL,
+      mint INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_offer_items_offer
+    ON trade_offer_items(offer_id);
+  `);
+
   // =========================
   // MARKET
   // =========================
@@ -493,6 +232,105 @@ async function initDb() {
     ON market_listings(seller_user_id);
   `);
 
+  // =========================
+  // MARKET AUCTIONS (1 carte par enchère, la meilleure offre est bloquée sur le compte de topBidder)
+  // status: open -> sold | unsold
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS market_auctions (
+      id SERIAL PRIMARY KEY,
+      seller_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      idKey TEXT NOT NULL,
+      game TEXT NOT NULL,
+      cardId TEXT,
+      setId TEXT,
+      localId TEXT,
+      name TEXT NOT NULL,
+      setName TEXT NOT NULL,
+      image TEXT NOT NULL,
+      imageHigh TEXT,
+      grade INTEGER NOT NULL,
+      mint INTEGER NOT NULL DEFAULT 0,
+      startBid INTEGER NOT NULL,
+      buyNow INTEGER,
+      topBid INTEGER,
+      topBidder INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      endsAt BIGINT NOT NULL,
+      createdAt BIGINT NOT NULL,
+      settledAt BIGINT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_market_auctions_open
+    ON market_auctions(status, endsAt);
+
+    CREATE INDEX IF NOT EXISTS idx_market_auctions_seller
+    ON market_auctions(seller_user_id, createdAt DESC);
+
+    CREATE TABLE IF NOT EXISTS market_bids (
+      id BIGSERIAL PRIMARY KEY,
+      auction_id INTEGER NOT NULL REFERENCES market_auctions(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      amount INTEGER NOT NULL,
+      createdAt BIGINT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_market_bids_auction
+    ON market_bids(auction_id, amount DESC);
+  `);
+
+  // =========================
+  // MARKET BUY ORDERS (maxPrice x qty restant bloqué sur le compte de user_id tant que status = 'open')
+  // status: open -> filled | cancelled
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS market_buy_orders (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      idKey TEXT NOT NULL,
+      game TEXT NOT NULL,
+      name TEXT NOT NULL,
+      setName TEXT NOT NULL,
+      image TEXT NOT NULL,
+      maxPrice INTEGER NOT NULL,
+      minGrade INTEGER NOT NULL DEFAULT 0,
+      qty INTEGER NOT NULL,
+      filled INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'open',
+      createdAt BIGINT NOT NULL,
+      closedAt BIGINT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_market_buy_orders_match
+    ON market_buy_orders(idKey, status, maxPrice DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_market_buy_orders_user
+    ON market_buy_orders(user_id, createdAt DESC);
+  `);
+
+  // =========================
+  // MARKET SALES (historique des ventes conclues, prix unitaire)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS market_sales (
+      id BIGSERIAL PRIMARY KEY,
+      idKey TEXT NOT NULL,
+      game TEXT NOT NULL,
+      name TEXT NOT NULL,
+      grade INTEGER NOT NULL,
+      mint INTEGER NOT NULL DEFAULT 0,
+      price INTEGER NOT NULL,
+      qty INTEGER NOT NULL,
+      seller_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      buyer_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      source TEXT NOT NULL,
+      createdAt BIGINT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_market_sales_idkey
+    ON market_sales(idKey, createdAt DESC);
+  `);
+
   // =========================
   // NOTIFICATIONS
   // =========================
@@ -531,42 +369,247 @@ async function initDb() {
   `);
 
   // =========================
-  // MIGRATION SAFE: game column (DB déjà existante)
+  // PITY (compteurs par joueur et par jeu)
   // =========================
-  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS game TEXT;`);
-  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS game TEXT;`);
-  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS game TEXT;`);
-
-  // défaut pour l'existant
-  await pool.query(`UPDATE collection SET game='pokemon' WHERE game IS NULL;`);
-  await pool.query(`UPDATE pulls SET game='pokemon' WHERE game IS NULL;`);
-  await pool.query(`UPDATE market_listings SET game='pokemon' WHERE game IS NULL;`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pity (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      game TEXT NOT NULL,
+      gradeCount INTEGER NOT NULL DEFAULT 0,
+      rarityCount INTEGER NOT NULL DEFAULT 0,
+      updatedAt BIGINT NOT NULL DEFAULT 0,
+      PRIMARY KEY(user_id, game)
+    );
+  `);
 
-  // ✅ imageHigh (zoom HD)
-  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
-  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
-  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
+  // =========================
+  // ECONOMY CONFIG (une ligne par version, la plus récente est active)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS economy_config (
+      version SERIAL PRIMARY KEY,
+      config JSONB NOT NULL,
+      note TEXT,
+      createdBy INTEGER,
+      createdAt BIGINT NOT NULL
+    );
+  `);
+  await pool.query(
+    `INSERT INTO economy_config (config, note, createdAt)
+     SELECT $1, 'valeurs par défaut', $2
+     WHERE NOT EXISTS (SELECT 1 FROM economy_config)`,
+    [JSON.stringify(DEFAULT_ECONOMY), Date.now()]
+  );
 
-    // ✅ Binder fields (MARKET)
-  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS cardId TEXT;`);
-  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS setId TEXT;`);
-  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS localId TEXT;`);
+  // =========================
+  // DAILY LOGIN (une ligne par joueur)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS daily_login (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      streak INTEGER NOT NULL DEFAULT 0,
+      bestStreak INTEGER NOT NULL DEFAULT 0,
+      lastDay TEXT,
+      lastClaimAt BIGINT NOT NULL DEFAULT 0,
+      notifiedDay TEXT
+    );
+  `);
 
+  // =========================
+  // QUESTS (progression par quête et par période)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS quest_progress (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      questId TEXT NOT NULL,
+      period TEXT NOT NULL,
+      progress INTEGER NOT NULL DEFAULT 0,
+      claimedAt BIGINT,
+      PRIMARY KEY(user_id, questId, period)
+    );
+  `);
 
-    // ✅ Binder fields (Pokémon)
-  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS cardId TEXT;`);
-  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS setId TEXT;`);
-  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS localId TEXT;`);
+  // =========================
+  // ACHIEVEMENTS (succès débloqués, définitifs)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      achievementId TEXT NOT NULL,
+      meta JSONB,
+      unlockedAt BIGINT NOT NULL,
+      PRIMARY KEY(user_id, achievementId)
+    );
+  `);
 
-  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS cardId TEXT;`);
-  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS setId TEXT;`);
-  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS localId TEXT;`);
+  // =========================
+  // SHARDS (éclats de craft, un solde par jeu)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS shards (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      game TEXT NOT NULL,
+      amount INTEGER NOT NULL DEFAULT 0,
+      updatedAt BIGINT NOT NULL DEFAULT 0,
+      PRIMARY KEY(user_id, game)
+    );
+  `);
 
   // =========================
-  // TICKETS & DOLLAX
+  // COSMETICS (objets achetés, un seul équipé par type)
   // =========================
-  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS tickets INTEGER NOT NULL DEFAULT 0;`);
-  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS lastTicketPay BIGINT NOT NULL DEFAULT 0;`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS cosmetics_inventory (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      itemId TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      price INTEGER NOT NULL,
+      equipped BOOLEAN NOT NULL DEFAULT false,
+      purchasedAt BIGINT NOT NULL,
+      PRIMARY KEY(user_id, itemId)
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cosmetics_equipped ON cosmetics_inventory(user_id, kind) WHERE equipped`);
+
+  // =========================
+  // PROVABLY FAIR (un seed actif par joueur, révélé à la rotation)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS fair_seeds (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      serverSeed TEXT NOT NULL,
+      serverSeedHash TEXT NOT NULL,
+      clientSeed TEXT NOT NULL,
+      nonce INTEGER NOT NULL DEFAULT 0,
+      createdAt BIGINT NOT NULL,
+      revealedAt BIGINT
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_fair_seeds_active ON fair_seeds(user_id) WHERE revealedAt IS NULL`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_fair_seeds_user ON fair_seeds(user_id, id DESC)`);
+
+  // un tirage par nonce : entrées (pity, version d'économie...) + résultat, pour le rejouer
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS fair_rolls (
+      id BIGSERIAL PRIMARY KEY,
+      seedId INTEGER NOT NULL REFERENCES fair_seeds(id) ON DELETE CASCADE,
+      nonce INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      input JSONB NOT NULL,
+      result JSONB NOT NULL,
+      createdAt BIGINT NOT NULL,
+      UNIQUE(seedId, nonce)
+    );
+  `);
+
+  // pools tirés (idKey + rareté de chaque carte, table de raretés), une ligne par hash :
+  // fair_rolls.input.poolHash -> le rejeu ne dépend pas du catalogue rechargé depuis
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS fair_pools (
+      hash TEXT PRIMARY KEY,
+      game TEXT NOT NULL,
+      cards JSONB NOT NULL,
+      rarities JSONB,
+      createdAt BIGINT NOT NULL
+    );
+  `);
+
+  // =========================
+  // MONEY LEDGER (append-only : on n'y fait que des INSERT)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS money_ledger (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      amount BIGINT NOT NULL,
+      balance BIGINT NOT NULL,
+      meta JSONB NOT NULL DEFAULT '{}',
+      createdAt BIGINT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_money_ledger_user
+    ON money_ledger(user_id, id DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_money_ledger_user_type
+    ON money_ledger(user_id, type, id DESC);
+  `);
+
+  // =========================
+  // UPSTREAM CACHE (réponses TCGdex / OPTCG / Lorcast, voir games/cache.js)
+  // =========================
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS upstream_cache (
+      ns TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value JSONB,
+      at BIGINT NOT NULL DEFAULT 0,
+      failedAt BIGINT NOT NULL DEFAULT 0,
+      error TEXT,
+      PRIMARY KEY(ns, key)
+    );
+  `);
+
+  // =========================
+  // MIGRATION SAFE: game column (DB déjà existante)
+  // =========================
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS game TEXT;`);
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS game TEXT;`);
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS game TEXT;`);
+
+  // défaut pour l'existant
+  await pool.query(`UPDATE collection SET game='pokemon' WHERE game IS NULL;`);
+  await pool.query(`UPDATE pulls SET game='pokemon' WHERE game IS NULL;`);
+  await pool.query(`UPDATE market_listings SET game='pokemon' WHERE game IS NULL;`);
+
+  // ✅ version de l'économie appliquée
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS economyVersion INTEGER;`);
+
+  // ✅ origine d'une ligne pulls : "open" (ouvertures, boosters, daily) ou "craft" (fabriquée avec des éclats)
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'open';`);
+  await pool.query(`ALTER TABLE money_ledger ADD COLUMN IF NOT EXISTS economyVersion INTEGER;`);
+
+  // ✅ rareté (prix de revente)
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS rarity TEXT;`);
+
+  // ✅ imageHigh (zoom HD)
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS imageHigh TEXT;`);
+
+    // ✅ Binder fields (MARKET)
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS cardId TEXT;`);
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS setId TEXT;`);
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS localId TEXT;`);
+
+  // ✅ échéance des ventes à prix fixe (les anciennes ventes repartent pour la durée par défaut)
+  await pool.query(`ALTER TABLE market_listings ADD COLUMN IF NOT EXISTS expiresAt BIGINT;`);
+  await pool.query(
+    `UPDATE market_listings SET expiresAt = $1 WHERE expiresAt IS NULL`,
+    [Date.now() + DEFAULT_ECONOMY.market.listing.defaultHours * 60 * 60 * 1000]
+  );
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_market_listings_expires ON market_listings(expiresAt);`);
+
+  // ✅ frais prélevés sur chaque vente (détruits)
+  await pool.query(`ALTER TABLE market_sales ADD COLUMN IF NOT EXISTS fee INTEGER NOT NULL DEFAULT 0;`);
+
+
+    // ✅ Binder fields (Pokémon)
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS cardId TEXT;`);
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS setId TEXT;`);
+  await pool.query(`ALTER TABLE collection ADD COLUMN IF NOT EXISTS localId TEXT;`);
+
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS cardId TEXT;`);
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS setId TEXT;`);
+  await pool.query(`ALTER TABLE pulls ADD COLUMN IF NOT EXISTS localId TEXT;`);
+
+  // =========================
+  // TICKETS & DOLLAX
+  // =========================
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS tickets INTEGER NOT NULL DEFAULT 0;`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS lastTicketPay BIGINT NOT NULL DEFAULT 0;`);
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS dollax BIGINT NOT NULL DEFAULT 0;`);
   // Donner 10 tickets de départ aux anciens comptes qui n'en ont pas encore
   // Donner 10 tickets de départ et initialiser le timer pour les nouveaux comptes
@@ -574,6 +617,23 @@ async function initDb() {
   // Initialiser lastTicketPay pour les comptes qui ont des tickets mais pas de timer
   await pool.query(`UPDATE users SET lastTicketPay = EXTRACT(EPOCH FROM NOW())::BIGINT * 1000 WHERE lastTicketPay = 0;`);
 
+  // =========================
+  // ADMIN
+  // =========================
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS isAdmin BOOLEAN NOT NULL DEFAULT false;`);
+  if (ADMIN_USERS.length) {
+    await pool.query(`UPDATE users SET isAdmin = true WHERE name = ANY($1::text[])`, [ADMIN_USERS]);
+  }
+
+  // Comptes d'avant le ledger : leur solde actuel devient le point de départ
+  await pool.query(`
+    INSERT INTO money_ledger (user_id, type, amount, balance, meta, createdAt)
+    SELECT u.id, 'opening', u.money, u.money, '{}', EXTRACT(EPOCH FROM NOW())::BIGINT * 1000
+    FROM users u
+    WHERE u.money <> 0
+      AND NOT EXISTS (SELECT 1 FROM money_ledger l WHERE l.user_id = u.id);
+  `);
+
   console.log("✅ Postgres DB ready");
 }
   
@@ -618,28 +678,162 @@ function randToken() {
   return crypto.randomBytes(24).toString("hex");
 }
 
-function drawOfflinePokemonCard() {
-  if (!offlinePokemonCards?.length) {
-    throw new Error("Offline Pokémon pool empty");
+function randFriendCode() {
+  const s = crypto.randomBytes(4).toString("hex").toUpperCase();
+  return s.slice(0, 4) + "-" + s.slice(4, 8);
+}
+
+function sellPriceFor(eco, grade, mint){
+  if (mint) return eco.sellPrice.mint;
+  return tierFor(eco.sellPrice.byGrade, grade)?.price ?? 0;
+}
+
+// =========================
+// PRIX DE REVENTE (cote système)
+// =========================
+// prix grade/mint x multiplicateur de rareté, relevé si la carte se vend plus cher au market
+const MARKET_QUOTE_SALES = 20; // médiane sur les N dernières paires vendeur / acheteur
+
+function rarityMultiplier(eco, game, rarity) {
+  const weights = getRarityWeights(getGameAdapter(game));
+  if (!weights || !rarity || !(weights.max > 0)) return 1;
+
+  const w = rarityWeight(weights, rarity);
+  if (!(w > 0)) return eco.sellPrice.rarityMaxMultiplier;
+
+  const mult = Math.pow(weights.max / w, eco.sellPrice.rarityExponent);
+  return Math.min(eco.sellPrice.rarityMaxMultiplier, Math.max(1, mult));
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// idKeys -> Map idKey -> { sales, median } (prix unitaires des ventes market récentes :
+// listings, ordres d'achat et enchères, voir recordSale).
+// Une seule vente (la plus récente) par paire vendeur / acheteur, dans un sens ou dans l'autre :
+// deux comptes qui se revendent la carte ne comptent qu'une fois, minSales porte sur des paires distinctes.
+async function recentMarketPrices(db, eco, idKeys) {
+  const out = new Map();
+  if (!idKeys.length) return out;
+
+  const { days, minSales } = eco.sellPrice.market;
+  const q = await db.query(
+    `SELECT idKey, price, seller_user_id, buyer_user_id
+     FROM market_sales
+     WHERE idKey = ANY($1::text[])
+       AND createdAt >= $2
+     ORDER BY createdAt DESC, id DESC`,
+    [idKeys, Date.now() - days * 24 * 60 * 60 * 1000]
+  );
+
+  const byKey = new Map(); // idKey -> Map paire -> prix
+  for (const r of q.rows) {
+    const pairs = byKey.get(r.idkey) || new Map();
+    const pair = [Number(r.seller_user_id) || 0, Number(r.buyer_user_id) || 0].sort((a, b) => a - b).join("|");
+    if (!pairs.has(pair) && pairs.size < MARKET_QUOTE_SALES) pairs.set(pair, Number(r.price) || 0);
+    byKey.set(r.idkey, pairs);
+  }
+  for (const [idKey, pairs] of byKey) {
+    if (pairs.size >= minSales) out.set(idKey, { sales: pairs.size, median: median([...pairs.values()]) });
+  }
+  return out;
+}
+
+// card = ligne collection { idKey, game, cardId, rarity, grade, mint }
+function sellQuote(eco, card, market = null) {
+  const ids = parseIdKeyServer(card.idKey);
+  const game = card.game || ids.game;
+  const rarity = card.rarity || catalogRarity(game, card.cardId || ids.cardId) || null;
+
+  const base = sellPriceFor(eco, card.grade, Boolean(card.mint));
+  const multiplier = rarityMultiplier(eco, game, rarity);
+  const system = Math.round(base * multiplier);
+
+  let price = system;
+  if (market) {
+    const { share, maxMultiplier } = eco.sellPrice.market;
+    const fromMarket = Math.min(Math.floor(market.median * share), Math.max(1, system) * maxMultiplier);
+    price = Math.max(system, fromMarket);
   }
 
-  return offlinePokemonCards[
-    Math.floor(Math.random() * offlinePokemonCards.length)
-  ];
+  return {
+    price,
+    base,
+    rarity,
+    rarityMultiplier: Math.round(multiplier * 100) / 100,
+    market: market ? { sales: market.sales, median: market.median } : null
+  };
 }
 
-function randFriendCode() {
-  const s = crypto.randomBytes(4).toString("hex").toUpperCase();
-  return s.slice(0, 4) + "-" + s.slice(4, 8);
+// lignes collection -> Map idKey -> quote
+async function sellQuotesFor(db, eco, rows) {
+  const cards = rows.map(r => ({
+    idKey: r.idkey || r.idKey,
+    game: r.game,
+    cardId: r.cardid || r.cardId,
+    rarity: r.rarity,
+    grade: r.grade,
+    mint: Number(r.mint) === 1
+  }));
+
+  const market = await recentMarketPrices(db, eco, cards.map(c => c.idKey));
+  return new Map(cards.map(c => [c.idKey, sellQuote(eco, c, market.get(c.idKey))]));
 }
 
-function sellPriceFor(grade, mint){
-  if (mint) return 20;
-  const g = Number(grade) || 0;
-  if (g >= 10) return 10;
-  if (g >= 7) return 3;
-  if (g >= 5) return 2;
-  return 1;
+// =========================
+// CRAFT (éclats par jeu)
+// =========================
+// doublon (count - 1) -> éclats du jeu : palier eco.craft.dust du grade x multiplicateur de rareté
+// éclats -> carte manquante d'un set au grade choisi : palier eco.craft.cost x multiplicateur de rareté
+function dustFor(eco, card) {
+  const ids = parseIdKeyServer(card.idKey);
+  const game = card.game || ids.game;
+  const rarity = card.rarity || catalogRarity(game, card.cardId || ids.cardId) || null;
+
+  const base = tierFor(eco.craft.dust, card.grade)?.shards ?? 0;
+  return Math.floor(base * rarityMultiplier(eco, game, rarity));
+}
+
+// -> { 1: coût, ..., maxGrade: coût }
+function craftCostsFor(eco, game, rarity) {
+  const multiplier = rarityMultiplier(eco, game, rarity);
+  const costs = {};
+  for (let g = 1; g <= eco.craft.maxGrade; g++) {
+    costs[g] = Math.ceil((tierFor(eco.craft.cost, g)?.shards ?? 0) * multiplier);
+  }
+  return costs;
+}
+
+// Carte du binder (/api/set_cards) -> carte normalisée comme un tirage (même idKey), null si absente
+async function findSetCard(game, setId, cardId) {
+  const adapter = getGameAdapter(game);
+
+  const raw = adapter.drawPool?.(setId)?.find(r => String(adapter.normalizeCard(r).cardId || "") === cardId);
+  if (raw) return adapter.normalizeCard(raw);
+
+  const [cards, set] = await Promise.all([adapter.listSetCards(setId), findSet(game, setId)]);
+  const card = cards.find(c => String(c.cardId || "") === cardId);
+  if (!card || !set) return null;
+
+  return {
+    cardId: card.cardId,
+    setId,
+    localId: card.localId,
+    name: card.name,
+    set: set.name,
+    rarity: catalogRarity(game, card.cardId) || "",
+    image: card.image,
+    imageHigh: card.imageHigh || card.image
+  };
+}
+
+async function shardsJson(db, userId) {
+  const q = await db.query(`SELECT game, amount FROM shards WHERE user_id=$1`, [userId]);
+  const byGame = new Map(q.rows.map(r => [r.game, Number(r.amount) || 0]));
+  return Object.fromEntries(listGameIds().map(g => [g, byGame.get(g) || 0]));
 }
 
 async function notify(userId, type, title, body, meta = null) {
@@ -651,14 +845,7 @@ async function notify(userId, type, title, body, meta = null) {
 }
 
 function getGame(req){
-  const g = String(req.query.game || "pokemon").toLowerCase();
-  if (g === "onepiece") return "onepiece";
-  if (g === "lorcana") return "lorcana";
-  if (g === "dragonball") return "dragonball";
-  if (g === "unionarena") return "unionarena";
-  if (g === "senpaigodesshaven") return "senpaigodesshaven";
-  if (g === "magic") return "magic";
-  return "pokemon";
+  return resolveGame(req.query.game);
 }
 
 function parseIdKeyServer(idKey){
@@ -678,17 +865,14 @@ function levelForXp(xp){
   return Math.floor(Math.sqrt(x / 100)) + 1;
 }
 
-function xpForOpen(grade){
-  if (grade === 10) return 100;
-  if (grade >= 8) return 50;
-  if (grade >= 5) return 25;
-  return 10;
+function xpForOpen(eco, grade){
+  return tierFor(eco.xpOpen, grade)?.xp ?? 0;
 }
 
 
-function xpForSell(unitPrice, qty){
-  // logique simple: tu gagnes autant d'XP que d'argent (ou *2 si tu veux)
-  return Math.max(1, (Number(unitPrice) || 1) * (Number(qty) || 1));
+function xpForSell(eco, unitPrice, qty){
+  // logique simple: tu gagnes autant d'XP que d'argent (x xpSellPerDollax)
+  return Math.max(1, Math.round((Number(unitPrice) || 1) * (Number(qty) || 1) * eco.xpSellPerDollax));
 }
 
 async function imageUrlWorks(url) {
@@ -705,126 +889,251 @@ function uniqueStrings(arr) {
   return [...new Set(arr.map(x => String(x || "").trim()).filter(Boolean))];
 }
 
- function getTcgdexSerieCandidates(setId, card = null) {
-  const s = String(setId || "").trim().toLowerCase();
-  if (!s) return [];
-
-  const fromCardSerie =
-    card?.set?.serie?.id ||
-    card?.set?.serieId ||
-    card?.set?.serie ||
-    null;
-
-  const specialMap = {
-    basep: "base",
-    bwp: "bw",
-    xyp: "xy",
-    smp: "sm",
-    swshp: "swsh",
-    svp: "sv",
-    hgssp: "hgss",
-    np: "bw",
-    dvp: "dp",
-  };
+// =========================
+// ECONOMY CONFIG (versionnée, table economy_config)
+// =========================
+// Modifiable à chaud via /api/admin/economy : chaque changement crée une nouvelle version.
+// Une route lit la config UNE fois (getEconomy) et note eco.version dans pulls / money_ledger.
+const DEFAULT_ECONOMY = {
+  costOne: 5,                                              // prix d'une ouverture
+  pay: { amount: 10, everyMs: 15 * 60 * 1000 },            // Dollax auto
+  tickets: { amount: 1, everyMs: 60 * 60 * 1000, cap: 999 }, // 1 ticket toutes les 1h, max 999 stockés
+  sellPrice: {
+    mint: 20,
+    byGrade: [{ minGrade: 10, price: 10 }, { minGrade: 7, price: 3 }, { minGrade: 5, price: 2 }, { minGrade: 0, price: 1 }],
+    // x (poids max / poids de la rareté) ^ rarityExponent, plafonné
+    rarityExponent: 0.5,
+    rarityMaxMultiplier: 10,
+    // ventes récentes du même idKey : share x prix médian, plafonné à maxMultiplier x prix système
+    market: { days: 14, minSales: 2, share: 0.5, maxMultiplier: 5 }
+  },
+  xpOpen: [{ minGrade: 10, xp: 100 }, { minGrade: 8, xp: 50 }, { minGrade: 5, xp: 25 }, { minGrade: 0, xp: 10 }],
+  xpSellPerDollax: 1,
+  // récompense quotidienne : rewards[(série - 1) % longueur] -> { money?, tickets?, pack? (nb de cartes) }
+  daily: {
+    rewards: [
+      { money: 20 }, { money: 30 }, { tickets: 1 }, { money: 50 },
+      { tickets: 2 }, { money: 80 }, { money: 100, pack: 5 }
+    ]
+  },
+  // proba de chaque grade (somme = 1)
+  gradeOdds: { 10: 0.02, 9: 0.08, 8: 0.10, 7: 0.14, 6: 0.18, 5: 0.18, 4: 0.12, 3: 0.09, 2: 0.06, 1: 0.03 },
+  // pity de grade : après hard - 1 cartes sans grade >= minGrade, la suivante en a un (voir rollGradeWithPity)
+  gradePity: { minGrade: 8, soft: 30, hard: 50 },
+  // table de gains de la slot machine (games/slots.js), RTP : node script/slots-rtp.mjs
+  slots: DEFAULT_SLOTS,
+  // éclats : doublon -> dust (palier du grade), carte manquante -> cost (palier du grade visé, <= maxGrade),
+  // les deux x multiplicateur de rareté de la revente
+  craft: {
+    dust: [{ minGrade: 10, shards: 60 }, { minGrade: 8, shards: 20 }, { minGrade: 5, shards: 10 }, { minGrade: 0, shards: 5 }],
+    cost: [{ minGrade: 9, shards: 1500 }, { minGrade: 8, shards: 600 }, { minGrade: 7, shards: 300 }, { minGrade: 5, shards: 150 }, { minGrade: 0, shards: 80 }],
+    maxGrade: 9
+  },
+  // enchères : durée entre minHours et maxHours, surenchère >= meilleure offre + minIncrementPct % (au moins 1)
+  // listing : durée d'une vente à prix fixe (choisie par le vendeur), à échéance la carte revient au vendeur
+  // feePct : % de chaque vente (listing, ordre d'achat, enchère) retiré au vendeur et détruit (market_fee)
+  market: {
+    auction: { minHours: 1, maxHours: 72, minIncrementPct: 5 },
+    listing: { defaultHours: 72, minHours: 1, maxHours: 168 },
+    feePct: 5
+  }
+};
 
-  const strippedTrailingDigits = s.replace(/[0-9]+$/g, "");
-  const strippedLeadingDigits  = s.replace(/^[0-9]+/g, "");
+// les autres instances voient un changement au plus tard après ce délai
+const ECONOMY_REFRESH_MS = 30 * 1000;
 
-  const inferredByPrefix =
-    s.startsWith("dp")   ? "dp" :
-    s.startsWith("pl")   ? "pl" :
-    s.startsWith("hgss") ? "hgss" :
-    s.startsWith("bw")   ? "bw" :
-    s.startsWith("xy")   ? "xy" :
-    s.startsWith("sm")   ? "sm" :
-    s.startsWith("swsh") ? "swsh" :
-    s.startsWith("sv")   ? "sv" :
-    s.startsWith("ex")   ? "ex" :
-    s.startsWith("neo")  ? "neo" :
-    s.startsWith("base") ? "base" :
-    null;
+let economyCache = { at: 0, eco: null };
 
-  return [...new Set([
-    fromCardSerie,
-    specialMap[s],
-    inferredByPrefix,
-    strippedTrailingDigits,
-    strippedLeadingDigits,
-    s
-  ].map(x => String(x || "").trim()).filter(Boolean))];
+// Premier palier dont minGrade <= grade (paliers triés du plus haut au plus bas)
+function tierFor(tiers, grade) {
+  const g = Number(grade) || 0;
+  return [...tiers].sort((a, b) => b.minGrade - a.minGrade).find(t => g >= t.minGrade) || null;
 }
 
-const tcgdexImageCache = new Map();
-
-async function firstWorkingTcgdexImages(setId, localId, card = null) {
-  const key = `${String(setId || "").trim()}__${String(localId || "").trim()}`;
-  if (!setId || !localId) return null;
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
 
-  if (tcgdexImageCache.has(key)) {
-    return tcgdexImageCache.get(key);
+// patch partiel -> objets fusionnés, tableaux et valeurs remplacés
+function mergeEconomy(base, patch) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base?.[k]) ? mergeEconomy(base[k], v) : v;
   }
+  return out;
+}
 
-  const langs = ["fr", "en"];
-  const series = getTcgdexSerieCandidates(setId, card);
+// -> message d'erreur, ou null si la config est utilisable
+function validateEconomy(cfg) {
+  const int = (v, min) => Number.isInteger(v) && v >= min;
 
-  for (const lang of langs) {
-    for (const serie of series) {
-      const low = `https://assets.tcgdex.net/${lang}/${serie}/${setId}/${localId}/low.webp`;
-      const high = `https://assets.tcgdex.net/${lang}/${serie}/${setId}/${localId}/high.webp`;
+  if (!int(cfg.costOne, 1)) return "costOne doit être un entier >= 1";
+  if (!int(cfg.pay?.amount, 0) || !int(cfg.pay?.everyMs, 1000)) return "pay: amount >= 0, everyMs >= 1000";
+  if (!int(cfg.tickets?.amount, 0) || !int(cfg.tickets?.everyMs, 1000) || !int(cfg.tickets?.cap, 1)) {
+    return "tickets: amount >= 0, everyMs >= 1000, cap >= 1";
+  }
+  if (!int(cfg.sellPrice?.mint, 0)) return "sellPrice.mint doit être un entier >= 0";
+  if (!(cfg.sellPrice.rarityExponent >= 0) || !(cfg.sellPrice.rarityMaxMultiplier >= 1)) {
+    return "sellPrice: rarityExponent >= 0, rarityMaxMultiplier >= 1";
+  }
+  const m = cfg.sellPrice.market;
+  if (!int(m?.days, 1) || !int(m?.minSales, 1) || !(m?.share >= 0) || !(m?.maxMultiplier >= 1)) {
+    return "sellPrice.market: days >= 1, minSales >= 1, share >= 0, maxMultiplier >= 1";
+  }
 
-      try {
-        const r = await fetchWithTimeout(low, 2500);
-        if (r.ok) {
-          const found = { image: low, imageHigh: high, lang, serie };
-          tcgdexImageCache.set(key, found);
-          return found;
-        }
-      } catch {}
+  const tierLists = [
+    ["sellPrice.byGrade", cfg.sellPrice?.byGrade, "price"],
+    ["xpOpen", cfg.xpOpen, "xp"],
+    ["craft.dust", cfg.craft?.dust, "shards"],
+    ["craft.cost", cfg.craft?.cost, "shards"]
+  ];
+  for (const [name, tiers, field] of tierLists) {
+    if (!Array.isArray(tiers) || !tiers.length) return `${name} doit être une liste de paliers`;
+    if (!tiers.every(t => int(t?.minGrade, 0) && t.minGrade <= 10 && int(t?.[field], 0))) {
+      return `${name}: paliers { minGrade 0..10, ${field} >= 0 }`;
     }
+    if (!tiers.some(t => t.minGrade === 0)) return `${name}: il faut un palier minGrade 0`;
+  }
+
+  if (typeof cfg.xpSellPerDollax !== "number" || !(cfg.xpSellPerDollax >= 0)) return "xpSellPerDollax doit être >= 0";
+  if (!int(cfg.craft?.maxGrade, 1) || cfg.craft.maxGrade > 10) return "craft.maxGrade doit être un entier entre 1 et 10";
+
+  const auc = cfg.market?.auction;
+  if (!int(auc?.minHours, 1) || !int(auc?.maxHours, auc?.minHours ?? 1) || !int(auc?.minIncrementPct, 0)) {
+    return "market.auction: minHours >= 1, maxHours >= minHours, minIncrementPct >= 0";
+  }
+  const lst = cfg.market?.listing;
+  if (!int(lst?.minHours, 1) || !int(lst?.maxHours, lst?.minHours ?? 1)
+      || !int(lst?.defaultHours, lst?.minHours ?? 1) || lst.defaultHours > lst.maxHours) {
+    return "market.listing: minHours >= 1, minHours <= defaultHours <= maxHours";
+  }
+  if (typeof cfg.market.feePct !== "number" || !(cfg.market.feePct >= 0 && cfg.market.feePct <= 50)) {
+    return "market.feePct doit être entre 0 et 50";
+  }
+
+  const rewards = cfg.daily?.rewards;
+  if (!Array.isArray(rewards) || !rewards.length || rewards.length > 31) return "daily.rewards: 1 à 31 récompenses";
+  for (const r of rewards) {
+    const ok = isPlainObject(r)
+      && ["money", "tickets", "pack"].every(k => r[k] == null || int(r[k], 0))
+      && (r.pack == null || r.pack <= 10)
+      && (r.money > 0 || r.tickets > 0 || r.pack > 0);
+    if (!ok) return "daily.rewards: { money?, tickets?, pack? (1..10) }, au moins un > 0";
+  }
+
+  let sum = 0;
+  for (let g = 1; g <= 10; g++) {
+    const p = cfg.gradeOdds?.[g];
+    if (typeof p !== "number" || !(p >= 0)) return `gradeOdds.${g} manquant ou négatif`;
+    sum += p;
   }
+  if (Math.abs(sum - 1) > 1e-6) return `gradeOdds: la somme doit faire 1 (actuellement ${sum})`;
+
+  const gp = cfg.gradePity;
+  if (!int(gp?.minGrade, 2) || gp.minGrade > 10 || !int(gp?.soft, 0) || !int(gp?.hard, 1) || gp.soft > gp.hard) {
+    return "gradePity: minGrade 2..10, 0 <= soft <= hard, hard >= 1";
+  }
+
+  const slotsError = validateSlots(cfg.slots);
+  if (slotsError) return slotsError;
 
-  tcgdexImageCache.set(key, null);
   return null;
 }
 
-// ----- PAY LOOP (server-side) -----
-const PAY_AMOUNT = 10;
-const PAY_EVERY_MS = 15 * 60 * 1000;
+// -> { version, ...config }
+async function getEconomy() {
+  const now = Date.now();
+  if (economyCache.eco && now - economyCache.at < ECONOMY_REFRESH_MS) return economyCache.eco;
+
+  const q = await pool.query(`SELECT version, config FROM economy_config ORDER BY version DESC LIMIT 1`);
+  const row = q.rows[0];
+
+  // clés ajoutées après coup -> valeur par défaut
+  const eco = row
+    ? { ...mergeEconomy(DEFAULT_ECONOMY, row.config), version: Number(row.version) }
+    : { ...DEFAULT_ECONOMY, version: 0 };
+
+  economyCache = { at: now, eco };
+  return eco;
+}
+
+function clearEconomyCache() {
+  economyCache = { at: 0, eco: null };
+}
+
+// Config d'une version passée (rejouer un tirage) ; null si inconnue
+async function getEconomyVersion(version) {
+  const q = await pool.query(`SELECT version, config FROM economy_config WHERE version=$1`, [version]);
+  const row = q.rows[0];
+  return row ? { ...mergeEconomy(DEFAULT_ECONOMY, row.config), version: Number(row.version) } : null;
+}
 
-// ----- TICKETS -----
-const TICKET_AMOUNT   = 1;
-const TICKET_EVERY_MS = 1 * 60 * 60 * 1000; // 1 ticket toutes les 1h
-const TICKET_CAP      = 999;                  // max 999 tickets stockés
+// =========================
+// MONEY LEDGER
+// =========================
+// À appeler APRÈS l'UPDATE de users.money, avec le client de la transaction :
+// amount signé (+ gain / - dépense), balance = solde après le mouvement.
+// types: pay, open, open_multi, open_booster, sell, sell_bulk, market_buy, market_sale, slots_spin, daily, quest, cosmetic, opening,
+//        auction_bid (mise bloquée), auction_refund (surenchéri / annulée), auction_sale,
+//        buy_order (Dollax bloqués), buy_order_refund (écart de prix / annulation), trade,
+//        market_fee (frais de vente détruits, voir paySeller)
+async function recordMoney(db, userId, type, amount, meta = {}, economyVersion = null) {
+  if (!amount) return;
+  await db.query(
+    `INSERT INTO money_ledger (user_id, type, amount, balance, meta, economyVersion, createdAt)
+     SELECT id, $2, $3, money, $4, $5, $6 FROM users WHERE id=$1`,
+    [userId, type, amount, JSON.stringify(meta), economyVersion, Date.now()]
+  );
+}
 
 async function applyPayForUser(userId) {
-  const { rows } = await pool.query(`SELECT money, lastPay FROM users WHERE id=$1`, [userId]);
-  const u = rows[0];
-  if (!u) return;
+  const eco = await getEconomy();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-  const now = Date.now();
-  const last = Number(u.lastpay ?? u.lastPay ?? 0) || now;
-  const delta = Math.max(0, now - last);
-  const ticks = Math.floor(delta / PAY_EVERY_MS);
+    // verrou : deux requêtes en parallèle ne versent pas deux fois la même paie
+    const { rows } = await client.query(`SELECT money, lastPay FROM users WHERE id=$1 FOR UPDATE`, [userId]);
+    const u = rows[0];
+    if (!u) {
+      await client.query("ROLLBACK");
+      return;
+    }
 
-  if (ticks > 0) {
-    const add = ticks * PAY_AMOUNT;
-    const newLast = last + ticks * PAY_EVERY_MS;
-    await pool.query(
-      `UPDATE users SET money = money + $1, lastPay=$2 WHERE id=$3`,
-      [add, newLast, userId]
-    );
+    const now = Date.now();
+    const last = Number(u.lastpay ?? u.lastPay ?? 0) || now;
+    const delta = Math.max(0, now - last);
+    const ticks = Math.floor(delta / eco.pay.everyMs);
+
+    if (ticks > 0) {
+      const add = ticks * eco.pay.amount;
+      const newLast = last + ticks * eco.pay.everyMs;
+      await client.query(
+        `UPDATE users SET money = money + $1, lastPay=$2 WHERE id=$3`,
+        [add, newLast, userId]
+      );
+      await recordMoney(client, userId, "pay", add, { ticks }, eco.version);
+    }
+
+    await client.query("COMMIT");
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
   }
 }
 
 // ----- TICKET LOOP (server-side) -----
 async function applyTicketsForUser(userId) {
+  const { tickets: cfg } = await getEconomy();
   const { rows } = await pool.query(`SELECT tickets, lastTicketPay FROM users WHERE id=$1`, [userId]);
   const u = rows[0];
   if (!u) return;
 
   const now     = Date.now();
   const tickets = Number(u.tickets || 0);
-  if (tickets >= TICKET_CAP) return; // déjà au max
+  if (tickets >= cfg.cap) return; // déjà au max
 
   const last = Number(u.lastticketpay ?? u.lastTicketPay ?? 0);
 
@@ -836,607 +1145,906 @@ async function applyTicketsForUser(userId) {
   }
 
   const delta = Math.max(0, now - last);
-  const ticks = Math.floor(delta / TICKET_EVERY_MS);
+  const ticks = Math.floor(delta / cfg.everyMs);
 
   if (ticks > 0) {
-    const add     = Math.min(ticks * TICKET_AMOUNT, TICKET_CAP - tickets);
-    const newLast = last + ticks * TICKET_EVERY_MS;
+    const add     = Math.min(ticks * cfg.amount, cfg.cap - tickets);
+    const newLast = last + ticks * cfg.everyMs;
     await pool.query(
       `UPDATE users SET tickets = LEAST(tickets + $1, $2), lastTicketPay=$3 WHERE id=$4`,
-      [add, TICKET_CAP, newLast, userId]
+      [add, cfg.cap, newLast, userId]
     );
   }
 }
 
-// ----- AUTH -----
-async function auth(req, res, next) {
-  const h = req.headers.authorization || "";
-  const m = h.match(/^Bearer\s+(.+)$/i);
-  const token = m?.[1];
-  if (!token) return res.status(401).json({ error: "Missing token" });
-
-  const { rows } = await pool.query(`SELECT id, name FROM users WHERE token=$1`, [token]);
-  const u = rows[0];
-  if (!u) return res.status(401).json({ error: "Invalid token" });
+// =========================
+// DAILY LOGIN (récompense quotidienne + série)
+// =========================
+// Un jour = date calendaire dans DAILY_TIMEZONE. Un jour sans claim -> la série repart à 1.
+const dayFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: DAILY_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit",
+  hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23"
+});
 
-  req.user = u;
-  next();
+function dayParts(ms) {
+  const p = Object.fromEntries(dayFormat.formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { key: `${p.year}-${p.month}-${p.day}`, secondsInDay: Number(p.hour) * 3600 + Number(p.minute) * 60 + Number(p.second) };
 }
 
-// ----- HTTP fetch with timeout -----
-async function fetchWithTimeout(url, ms = 20000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), ms);
-  try {
-    return await fetch(url, { signal: controller.signal });
-  } finally {
-    clearTimeout(id);
-  }
+// "YYYY-MM-DD" -> écart en jours (null si jamais réclamé)
+function daysBetween(fromKey, toKey) {
+  if (!fromKey) return null;
+  const [y1, m1, d1] = fromKey.split("-").map(Number);
+  const [y2, m2, d2] = toKey.split("-").map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / (24 * 60 * 60 * 1000));
 }
 
-// =========================
-// BINDER CACHE (SETS + SET_CARDS)
-// =========================
- // =========================
-// BINDER CACHE (SETS + SET_CARDS)
-// =========================
-const SETS_TTL_MS = 6 * 60 * 60 * 1000;      // 6h
-const SET_CARDS_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+function dailyRewardFor(eco, streak) {
+  const rewards = eco.daily.rewards;
+  const r = rewards[(Math.max(1, streak) - 1) % rewards.length];
+  return { money: r.money || 0, tickets: r.tickets || 0, pack: r.pack || 0 };
+}
 
-let setsCache = { at: 0, list: [] };     // cache liste des sets
-const setCardsCache = new Map();         // setId -> { at, cards }
+function dailyRewardLabel(r) {
+  const parts = [];
+  if (r.money) parts.push(`${r.money} Dollax`);
+  if (r.tickets) parts.push(`${r.tickets} ticket${r.tickets > 1 ? "s" : ""}`);
+  if (r.pack) parts.push(`un pack de ${r.pack} carte${r.pack > 1 ? "s" : ""}`);
+  return parts.join(" + ");
+}
 
-async function getPokemonSetsCached() {
-  const now = Date.now();
-  if (setsCache.list.length && now - setsCache.at < SETS_TTL_MS) {
-    return setsCache.list;
-  }
+// ligne daily_login (ou rien) -> statut pour /api/me
+function dailyStatusJson(eco, row, now = Date.now()) {
+  const { key: today, secondsInDay } = dayParts(now);
+  const lastDay = row?.lastday ?? row?.lastDay ?? null;
+  const streak = Number(row?.streak || 0);
+  const gap = daysBetween(lastDay, today);
 
-  const r = await fetchWithTimeout("https://api.tcgdex.net/v2/fr/sets", 20000);
-  if (!r.ok) throw new Error("TCGdex sets failed");
+  const claimedToday = gap === 0;
+  const alive = gap === 0 || gap === 1;
+  const nextStreak = alive ? streak + 1 : 1;
 
-  const list = await r.json().catch(() => []);
-  const clean = Array.isArray(list) ? list : [];
+  return {
+    day: today,
+    timezone: DAILY_TIMEZONE,
+    streak: alive ? streak : 0,
+    bestStreak: Number(row?.beststreak ?? row?.bestStreak ?? 0),
+    claimedToday,
+    ready: !claimedToday,
+    nextReward: dailyRewardFor(eco, nextStreak),
+    nextDayInMs: Math.max(0, (24 * 3600 - secondsInDay) * 1000)
+  };
+}
 
-  setsCache = { at: now, list: clean };
-  return clean;
+// Une notif par jour quand la récompense est dispo (upsert -> jamais deux fois le même jour)
+async function applyDailyNotice(userId) {
+  const today = dayParts(Date.now()).key;
+  const q = await pool.query(
+    `INSERT INTO daily_login (user_id, notifiedDay) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET notifiedDay = EXCLUDED.notifiedDay
+     WHERE daily_login.notifiedDay IS DISTINCT FROM EXCLUDED.notifiedDay
+       AND daily_login.lastDay IS DISTINCT FROM EXCLUDED.notifiedDay
+     RETURNING streak, lastDay`,
+    [userId, today]
+  );
+  const row = q.rows[0];
+  if (!row) return;
+
+  const eco = await getEconomy();
+  const gap = daysBetween(row.lastday ?? row.lastDay, today);
+  const nextStreak = gap === 1 ? Number(row.streak || 0) + 1 : 1;
+
+  await notify(
+    userId,
+    "daily",
+    "🎁 Récompense quotidienne",
+    `Jour ${nextStreak} de ta série : ${dailyRewardLabel(dailyRewardFor(eco, nextStreak))} à récupérer !`,
+    { day: today, streak: nextStreak }
+  );
 }
 
-async function getPokemonSetCardsCached(setId) {
-  const now = Date.now();
-  const cached = setCardsCache.get(setId);
+// =========================
+// QUESTS (data/quests.json)
+// =========================
+// { "daily": [quête], "weekly": [quête] }
+// quête = { id, title, event, target, filter?, reward: { money?, tickets?, xp? } }
+// events (compteur = nb de cartes / quantité) :
+//   open        -> /api/open, /api/open_multi, /api/open_booster   filter: game, minGrade, mint
+//   sell        -> /api/sell, /api/sell_bulk                       filter: game, minGrade, mint, duplicate
+//                  duplicate: true -> seuls les exemplaires en trop comptent (le dernier gardé n'est pas un doublon)
+//   market_buy  -> /api/market/buy                                 filter: game
+//   slots_spin  -> /api/slots/spin                                 filter: winType
+// Période : jour calendaire (DAILY_TIMEZONE) ou semaine commençant le lundi.
+// Le fichier est relu quand il change ; s'il est invalide, l'ancienne version reste.
+const QUESTS_FILE = path.join(__dirname, "data", "quests.json");
+const QUEST_EVENTS = new Set(["open", "sell", "market_buy", "slots_spin"]);
+
+let questsCache = { mtimeMs: -1, defs: [] };
+
+function parseQuests(raw) {
+  const defs = [];
+  const seen = new Set();
+
+  for (const kind of ["daily", "weekly"]) {
+    for (const q of raw?.[kind] || []) {
+      const id = String(q?.id || "").trim();
+      if (!id) throw new Error(`${kind}: quête sans id`);
+      if (seen.has(id)) throw new Error(`id en double: ${id}`);
+      if (!QUEST_EVENTS.has(q.event)) throw new Error(`${id}: event inconnu "${q.event}"`);
+
+      const target = Number(q.target) | 0;
+      if (target < 1) throw new Error(`${id}: target doit être >= 1`);
+
+      const reward = {
+        money: Math.max(0, Number(q.reward?.money) | 0),
+        tickets: Math.max(0, Number(q.reward?.tickets) | 0),
+        xp: Math.max(0, Number(q.reward?.xp) | 0)
+      };
+      if (!reward.money && !reward.tickets && !reward.xp) throw new Error(`${id}: pas de récompense`);
 
-  if (cached?.cards?.length && now - cached.at < SET_CARDS_TTL_MS) {
-    return cached.cards;
+      seen.add(id);
+      defs.push({ id, kind, title: String(q.title || id), event: q.event, target, filter: q.filter || {}, reward });
+    }
   }
+  return defs;
+}
 
-  async function fetchSet(lang) {
-    const r = await fetchWithTimeout(
-      `https://api.tcgdex.net/v2/${lang}/sets/${encodeURIComponent(setId)}`,
-      20000
-    );
-    if (!r.ok) return null;
-
-    const data = await r.json().catch(() => null);
-    const cards = Array.isArray(data?.cards) ? data.cards : [];
-    if (!cards.length) return null;
+function getQuestDefs() {
+  let stat;
+  try {
+    stat = fs.statSync(QUESTS_FILE);
+  } catch {
+    return questsCache.defs;
+  }
+  if (stat.mtimeMs === questsCache.mtimeMs) return questsCache.defs;
 
-    return {
-      lang,
-      serieId: data?.serie?.id || null,
-      cards
-    };
+  try {
+    const defs = parseQuests(JSON.parse(fs.readFileSync(QUESTS_FILE, "utf-8")));
+    console.log(`🎯 Quests: ${defs.length} quêtes`);
+    questsCache = { mtimeMs: stat.mtimeMs, defs };
+  } catch (e) {
+    console.log("❌ quests.json rejeté (ancienne version conservée):", e.message);
+    questsCache = { ...questsCache, mtimeMs: stat.mtimeMs };
   }
+  return questsCache.defs;
+}
+
+function oneOf(want, value) {
+  if (want == null) return true;
+  return (Array.isArray(want) ? want : [want]).map(String).includes(String(value));
+}
 
-  let result = await fetchSet("fr");
-  if (!result) result = await fetchSet("en");
+function questMatches(filter, entry) {
+  if (!oneOf(filter.game, entry.game)) return false;
+  if (!oneOf(filter.winType, entry.winType)) return false;
+  if (filter.minGrade != null && !(Number(entry.grade) >= Number(filter.minGrade))) return false;
+  if (filter.mint != null && Boolean(entry.mint) !== Boolean(filter.mint)) return false;
+  return true;
+}
 
-  const safe = result || { lang: "fr", serieId: null, cards: [] };
+// "YYYY-MM-DD" du jour (daily) ou du lundi de la semaine (weekly)
+function questPeriod(kind, now = Date.now()) {
+  const today = dayParts(now).key;
+  if (kind !== "weekly") return today;
 
-  setCardsCache.set(setId, { at: now, cards: safe });
-  return safe;
+  const [y, m, d] = today.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
 }
-// =========================
-// TCGDEX PERF: CACHE LIST + CACHE DETAILS
-// =========================
-const CARDS_LIST_TTL_MS = 6 * 60 * 60 * 1000; // 6h
-const CARD_DETAIL_TTL_MS = 24 * 60 * 60 * 1000; // 24h
 
-let cardsBriefCache = { at: 0, list: [] };
-const cardDetailCache = new Map();
+// À appeler DANS la transaction de la route : annulée avec elle.
+// entries = [{ amount?, duplicates?, game?, grade?, mint?, winType? }]
+async function trackQuests(db, userId, event, entries) {
+  const ids = [];
+  const periods = [];
+  const amounts = [];
+
+  for (const q of getQuestDefs()) {
+    if (q.event !== event) continue;
+    const amount = entries
+      .filter(e => questMatches(q.filter, e))
+      .reduce((sum, e) => sum + (q.filter.duplicate ? Number(e.duplicates) || 0 : Number(e.amount) || 1), 0);
+    if (amount <= 0) continue;
+
+    ids.push(q.id);
+    periods.push(questPeriod(q.kind));
+    amounts.push(amount);
+  }
+  if (!ids.length) return;
+
+  await db.query(
+    `INSERT INTO quest_progress (user_id, questId, period, progress)
+     SELECT $1, t.questId, t.period, t.amount
+     FROM unnest($2::text[], $3::text[], $4::int[]) AS t(questId, period, amount)
+     ON CONFLICT (user_id, questId, period)
+     DO UPDATE SET progress = quest_progress.progress + EXCLUDED.progress`,
+    [userId, ids, periods, amounts]
+  );
+}
 
-async function getCardsBriefList() {
-  const now = Date.now();
-  if (cardsBriefCache.list.length && now - cardsBriefCache.at < CARDS_LIST_TTL_MS) {
-    return cardsBriefCache.list;
+// =========================
+// ACHIEVEMENTS
+// =========================
+// Évalués après le COMMIT des routes (pulls / collection / users) ; un succès débloqué
+// est définitif (user_achievements) et annoncé par notify.
+const ACHIEVEMENTS = [
+  { id: "first_pull",          icon: "🎴", title: "Première carte",   description: "Ouvrir sa première carte",            check: s => s.pulls >= 1 },
+  { id: "pulls_100",           icon: "📦", title: "Centurion",        description: "Ouvrir 100 cartes",                   check: s => s.pulls >= 100 },
+  { id: "pulls_1000",          icon: "🏭", title: "Machine à pulls",  description: "Ouvrir 1000 cartes",                  check: s => s.pulls >= 1000 },
+  { id: "first_grade_10",      icon: "💎", title: "Grade 10",         description: "Tirer une carte grade 10",            check: s => s.g10 >= 1 },
+  { id: "first_grade_10_mint", icon: "✨", title: "Mint parfaite",    description: "Tirer une carte grade 10 MINT",       check: s => s.g10mint >= 1 },
+  { id: "all_games",           icon: "🌍", title: "Multivers",        description: "Posséder une carte de chaque jeu",    check: s => s.games >= listGameIds().length },
+  { id: "level_10",            icon: "⭐", title: "Niveau 10",        description: "Atteindre le niveau 10",              check: s => s.level >= 10 },
+  {
+    id: "set_complete", icon: "🏆", title: "Set complet", description: "Compléter un set entier",
+    check: s => Boolean(s.completedSet),
+    meta: s => s.completedSet
   }
+];
+const ACHIEVEMENTS_BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
 
-  const r = await fetchWithTimeout("https://api.tcgdex.net/v2/fr/cards", 20000);
-  if (!r.ok) throw new Error("TCGdex list failed");
+// Premier set complet parmi ceux touchés (sets = [{ game, setId }] : ouverture, échange, craft...).
+// Jamais sur tous les sets possédés : chaque set d'un jeu en ligne coûte un appel à l'API.
+async function findCompletedSet(userId, sets) {
+  if (!sets?.length) return null;
 
-  const list = await r.json().catch(() => null);
-  if (!Array.isArray(list) || !list.length) throw new Error("TCGdex list empty");
+  const q = await pool.query(
+    `SELECT game, setId, MAX(setName) AS setname, COUNT(DISTINCT idKey)::int AS owned
+     FROM collection
+     WHERE user_id=$1 AND setId IS NOT NULL AND count > 0
+       AND (game, setId) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+     GROUP BY game, setId
+     ORDER BY owned DESC`,
+    [userId, sets.map(x => x.game), sets.map(x => String(x.setId || ""))]
+  );
 
-  cardsBriefCache = { at: now, list };
-  console.log(`🌐 cached cards list: ${list.length} items`);
-  return list;
+  for (const r of q.rows) {
+    let size = 0;
+    try {
+      size = (await getGameAdapter(r.game).listSetCards(r.setid ?? r.setId)).length;
+    } catch {
+      continue; // API indisponible : on réessaiera au prochain passage
+    }
+    if (size > 0 && r.owned >= size) {
+      return { game: r.game, setId: r.setid ?? r.setId, setName: r.setname || null, cards: size };
+    }
+  }
+  return null;
 }
 
-async function getCardDetailById(id, preferredLang = "fr") {
-  const now = Date.now();
-  const key = `${preferredLang}:${id}`;
-  const cached = cardDetailCache.get(key);
-  if (cached && now - cached.at < CARD_DETAIL_TTL_MS) return cached.data;
+async function achievementStats(userId, { sets, withSets }) {
+  const pQ = await pool.query(
+    `SELECT COUNT(*)::int AS pulls,
+            COALESCE(SUM(CASE WHEN grade = 10 THEN 1 ELSE 0 END), 0)::int AS g10,
+            COALESCE(SUM(CASE WHEN grade = 10 AND mint = 1 THEN 1 ELSE 0 END), 0)::int AS g10mint
+     FROM pulls WHERE user_id=$1 AND source = 'open'`,
+    [userId]
+  );
+  const gQ = await pool.query(
+    `SELECT COUNT(DISTINCT game)::int AS games FROM collection WHERE user_id=$1 AND count > 0`,
+    [userId]
+  );
+  const uQ = await pool.query(`SELECT xp FROM users WHERE id=$1`, [userId]);
 
-  async function fetchCard(lang) {
-    const r = await fetchWithTimeout(`https://api.tcgdex.net/v2/${lang}/cards/${encodeURIComponent(id)}`, 20000);
-    if (!r.ok) return null;
-    return await r.json().catch(() => null);
-  }
+  return {
+    pulls: Number(pQ.rows[0]?.pulls || 0),
+    g10: Number(pQ.rows[0]?.g10 || 0),
+    g10mint: Number(pQ.rows[0]?.g10mint || 0),
+    games: Number(gQ.rows[0]?.games || 0),
+    level: levelForXp(uQ.rows[0]?.xp || 0),
+    completedSet: withSets ? await findCompletedSet(userId, sets) : null
+  };
+}
 
-  // ✅ try preferred lang, then english
-  let data = await fetchCard(preferredLang);
-  if (!data) data = await fetchCard("en");
+// -> succès débloqués par cet appel (sets : voir findCompletedSet, [] = pas de vérification de set)
+async function checkAchievements(userId, { sets = [] } = {}) {
+  const doneQ = await pool.query(`SELECT achievementId FROM user_achievements WHERE user_id=$1`, [userId]);
+  const done = new Set(doneQ.rows.map(r => r.achievementid ?? r.achievementId));
 
-  if (!data) throw new Error("TCGdex detail failed");
+  const todo = ACHIEVEMENTS.filter(a => !done.has(a.id));
+  if (!todo.length) return [];
 
-  cardDetailCache.set(key, { at: now, data });
-  return data;
-}
+  const stats = await achievementStats(userId, { sets, withSets: !done.has("set_complete") });
+  const unlocked = [];
 
-// =========================
-// LORCANA (LORCAST) ONLINE CACHE
-// =========================
-const LORCANA_BASE = "https://api.lorcast.com/v0"; // docs: Lorcast API :contentReference[oaicite:1]{index=1}
-const LORCANA_SETS_TTL_MS  = 6 * 60 * 60 * 1000;   // 6h
-const LORCANA_CARDS_TTL_MS = 6 * 60 * 60 * 1000;   // 6h (par set)
+  for (const a of todo) {
+    if (!a.check(stats)) continue;
 
-let lorSetsCache = { at: 0, list: [] };
-const lorSetCardsCache = new Map(); // code -> {at, list}
+    const meta = a.meta ? a.meta(stats) : null;
+    const ins = await pool.query(
+      `INSERT INTO user_achievements (user_id, achievementId, meta, unlockedAt)
+       VALUES ($1,$2,$3,$4)
+       ON CONFLICT (user_id, achievementId) DO NOTHING
+       RETURNING achievementId`,
+      [userId, a.id, meta ? JSON.stringify(meta) : null, Date.now()]
+    );
+    if (!ins.rows[0]) continue; // débloqué en parallèle par une autre requête
 
-async function getLorcanaSets(){
-  const now = Date.now();
-  if (lorSetsCache.list.length && now - lorSetsCache.at < LORCANA_SETS_TTL_MS) {
-    return lorSetsCache.list;
+    const detail = a.id === "set_complete" && meta?.setName ? ` (${meta.setName})` : "";
+    await notify(userId, "achievement", `${a.icon} Succès débloqué !`, `${a.title} : ${a.description}${detail}`, { achievementId: a.id });
+    unlocked.push(a.id);
   }
+  return unlocked;
+}
 
-  const r = await fetchWithTimeout(`${LORCANA_BASE}/sets`, 20000);
-  if (!r.ok) throw new Error(`LORCAST sets failed HTTP ${r.status}`);
+// après COMMIT : ne retarde pas la réponse, une erreur ne casse pas la route
+function queueAchievements(userId, ctx = {}) {
+  checkAchievements(userId, ctx).catch(e => console.log("❌ achievements check failed:", e.message));
+}
 
-  const data = await r.json().catch(()=> null);
+async function achievementsJson(userId) {
+  const q = await pool.query(
+    `SELECT achievementId, meta, unlockedAt FROM user_achievements WHERE user_id=$1 ORDER BY unlockedAt ASC`,
+    [userId]
+  );
+  return q.rows
+    .map(r => {
+      const a = ACHIEVEMENTS_BY_ID.get(r.achievementid ?? r.achievementId);
+      if (!a) return null;
+      return {
+        id: a.id,
+        icon: a.icon,
+        title: a.title,
+        description: a.description,
+        meta: r.meta || null,
+        unlockedAt: Number(r.unlockedat ?? r.unlockedAt ?? 0)
+      };
+    })
+    .filter(Boolean);
+}
 
-  // ✅ /sets -> { results: [...] }
-  const list = Array.isArray(data) ? data : (data?.results || []);
-  if (!Array.isArray(list) || !list.length) throw new Error("LORCAST sets empty");
+// =========================
+// COSMETICS (data/cosmetics.json)
+// =========================
+// { "frame": [objet], "banner": [objet], "cardback": [objet], "title": [objet] }
+// objet = { id, name, value, price: { money?, tickets? } }
+//   frame -> couleur CSS du cadre d'avatar, banner / cardback -> image ou dégradé CSS, title -> texte
+// Un seul objet équipé par type. Relu quand le fichier change ; s'il est invalide, l'ancienne version reste.
+const COSMETICS_FILE = path.join(__dirname, "data", "cosmetics.json");
+const COSMETIC_KINDS = ["frame", "banner", "cardback", "title"];
+
+let cosmeticsCache = { mtimeMs: -1, items: [], byId: new Map() };
+
+function parseCosmetics(raw) {
+  const items = [];
+  const seen = new Set();
+
+  for (const kind of COSMETIC_KINDS) {
+    for (const c of raw?.[kind] || []) {
+      const id = String(c?.id || "").trim();
+      if (!id) throw new Error(`${kind}: objet sans id`);
+      if (seen.has(id)) throw new Error(`id en double: ${id}`);
+
+      const value = String(c.value || "").trim();
+      if (!value) throw new Error(`${id}: value manquante`);
+
+      const price = {};
+      for (const currency of ["money", "tickets"]) {
+        if (c.price?.[currency] == null) continue;
+        const n = Number(c.price[currency]);
+        if (!Number.isInteger(n) || n < 0) throw new Error(`${id}: price.${currency} doit être un entier >= 0`);
+        price[currency] = n;
+      }
+      if (!Object.keys(price).length) throw new Error(`${id}: pas de prix`);
 
-  lorSetsCache = { at: now, list };
-  console.log(`🌐 cached Lorcana sets: ${list.length}`);
-  return list;
+      seen.add(id);
+      items.push({ id, kind, name: String(c.name || id), value, price });
+    }
+  }
+  return items;
 }
 
-async function getLorcanaCardsForSet(code){
-  const now = Date.now();
-  const cached = lorSetCardsCache.get(code);
-  if (cached?.list?.length && now - cached.at < LORCANA_CARDS_TTL_MS) return cached.list;
+function getCosmetics() {
+  let stat;
+  try {
+    stat = fs.statSync(COSMETICS_FILE);
+  } catch {
+    return cosmeticsCache;
+  }
+  if (stat.mtimeMs === cosmeticsCache.mtimeMs) return cosmeticsCache;
 
-  const r = await fetchWithTimeout(`${LORCANA_BASE}/sets/${encodeURIComponent(code)}/cards`, 20000);
-  if (!r.ok) throw new Error("LORCAST set cards failed HTTP " + r.status);
+  try {
+    const items = parseCosmetics(JSON.parse(fs.readFileSync(COSMETICS_FILE, "utf-8")));
+    console.log(`🛍️ Cosmetics: ${items.length} objets`);
+    cosmeticsCache = { mtimeMs: stat.mtimeMs, items, byId: new Map(items.map(c => [c.id, c])) };
+  } catch (e) {
+    console.log("❌ cosmetics.json rejeté (ancienne version conservée):", e.message);
+    cosmeticsCache = { ...cosmeticsCache, mtimeMs: stat.mtimeMs };
+  }
+  return cosmeticsCache;
+}
 
-  const json = await r.json().catch(()=> null);
-  const list = Array.isArray(json) ? json : (json?.data || json?.cards || []);
-  if (!Array.isArray(list) || !list.length) throw new Error("LORCAST set cards empty");
+// -> { frame, banner, cardback, title } : { id, name, value } ou null (objet retiré du fichier = rien)
+async function equippedCosmeticsJson(userId) {
+  const q = await pool.query(
+    `SELECT itemId FROM cosmetics_inventory WHERE user_id=$1 AND equipped`,
+    [userId]
+  );
+  const { byId } = getCosmetics();
 
-  lorSetCardsCache.set(code, { at: now, list });
-  return list;
+  const out = Object.fromEntries(COSMETIC_KINDS.map(k => [k, null]));
+  for (const r of q.rows) {
+    const c = byId.get(r.itemid ?? r.itemId);
+    if (c) out[c.kind] = { id: c.id, name: c.name, value: c.value };
+  }
+  return out;
 }
 
-function pickImageLorcana(card){
-  const u = card?.image_uris?.digital || card?.image_uris || null;
+// ----- AUTH -----
+async function auth(req, res, next) {
+  const h = req.headers.authorization || "";
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  const token = m?.[1];
+  if (!token) return res.status(401).json({ error: "Missing token" });
+
+  const { rows } = await pool.query(`SELECT id, name, isAdmin FROM users WHERE token=$1`, [token]);
+  const u = rows[0];
+  if (!u) return res.status(401).json({ error: "Invalid token" });
 
-  // ✅ on évite "small" comme image principale (souvent trop petite)
-  const low  = u?.normal || u?.large || u?.small || null;
-  const high = u?.large  || u?.normal || u?.small || null;
+  req.user = { id: u.id, name: u.name, isAdmin: Boolean(u.isadmin ?? u.isAdmin) };
+  next();
+}
 
-  return { low, high };
+// à placer après auth
+function adminOnly(req, res, next) {
+  if (!req.user?.isAdmin) return res.status(403).json({ error: "Réservé aux admins" });
+  next();
 }
 
 // =========================
-// ONE PIECE (OPTCG) ONLINE CACHE
+// DRAW CARD (MULTI GAME)
 // =========================
-const OP_LIST_TTL_MS = 6 * 60 * 60 * 1000;      // 6h
-const OP_DETAIL_TTL_MS = 24 * 60 * 60 * 1000;   // 24h
+// Jeux en ligne : nombre de tirages max avant de garder la dernière carte
+const RARITY_MAX_TRIES = 5;
+
+// Soft pity rareté : au hard pity, les raretés ciblées pèsent jusqu'à x10
+const RARITY_PITY_BOOST = 9;
+
+// setId optionnel -> booster d'un set précis
+// Si le jeu a un data/<jeu>/rarities.json, le tirage est pondéré par rareté :
+//  - catalogue offline connu -> tirage pondéré direct dans le pool
+//  - sinon (API en ligne)    -> carte gardée avec proba poids/poidsMax
+// rarityPity = compteur du joueur (ouvertures sans rareté "pity"), catalogue offline seulement
+//
+// Un tirage dans le catalogue offline passe par un snapshot { label, pool, weights, hash } :
+// hash = sha256 des cartes (idKey + rareté) et de la table de raretés. saveFairRoll l'enregistre
+// dans fair_pools, /api/fair/verify rejoue dessus même après un rechargement du catalogue.
+const drawPoolCache = new Map(); // "game|setId" -> snapshot du pool actuel
+
+// -> snapshot du pool offline actuel, null si les cartes viennent de l'API
+function drawPoolSnapshot(adapter, setId = null) {
+  const pool = adapter.drawPool?.(setId || null);
+  if (!pool?.length) return null;
+  const weights = getRarityWeights(adapter);
+
+  const key = `${adapter.id}|${setId || ""}`;
+  // certains adapters filtrent à chaque appel (nouveau tableau) : on compare les cartes une à une
+  const hit = drawPoolCache.get(key);
+  if (hit && hit.weights === weights && hit.pool.length === pool.length && hit.pool.every((c, i) => c === pool[i])) {
+    return hit;
+  }
 
-let opBriefCache = { at: 0, list: [] };
-const opDetailCache = new Map();
+  const cards = pool.map(raw => ({
+    idKey: idKeyFor(adapter.id, adapter.normalizeCard(raw)),
+    rarity: String(raw?.rarity ?? "")
+  }));
+  const rarities = weights ? rarityTableJson(weights) : null;
+  const snap = {
+    label: adapter.label,
+    pool,
+    weights,
+    cards,
+    rarities,
+    hash: crypto.createHash("sha256").update(JSON.stringify({ cards, rarities })).digest("hex")
+  };
+  drawPoolCache.set(key, snap);
+  return snap;
+}
 
-async function getOpBriefList() {
-  const now = Date.now();
-  if (opBriefCache.list.length && now - opBriefCache.at < OP_LIST_TTL_MS) {
-    return opBriefCache.list;
+// Une carte du snapshot (carte brute, ou { idKey, rarity } au rejeu), pondérée par rareté si le jeu en a
+function pickFromPool(snap, rarityPity = 0, rng = Math.random) {
+  const { pool, weights } = snap;
+  if (!weights) {
+    const raw = weightedRandomItem(pool, () => 1, rng);
+    if (!raw) throw new Error(`${snap.label}: pool empty`);
+    return raw;
   }
 
-  const r = await fetchWithTimeout("https://optcgapi.com/api/allSetCards/", 20000);
-  if (!r.ok) throw new Error("OPTCG list failed");
+  const pity = weights.pity;
+  const ramp = pity ? pityRamp(rarityPity, pity.soft, pity.hard) : 0;
 
-  const list = await r.json().catch(() => null);
-  if (!Array.isArray(list) || !list.length) throw new Error("OPTCG list empty");
+  // hard pity : uniquement les raretés ciblées (si le set en contient)
+  let candidates = pool;
+  if (ramp >= 1) {
+    const hits = pool.filter(c => isPityRarity(pity, c?.rarity));
+    if (hits.length) candidates = hits;
+  }
 
-  opBriefCache = { at: now, list };
-  console.log(`🌐 cached One Piece list: ${list.length} cards`);
-  return list;
+  const raw = weightedRandomItem(candidates, c => {
+    const w = rarityWeight(weights, c?.rarity);
+    return ramp > 0 && isPityRarity(pity, c?.rarity) ? w * (1 + ramp * RARITY_PITY_BOOST) : w;
+  }, rng);
+  if (!raw) throw new Error(`${snap.label}: pool empty`);
+  return raw;
 }
 
-async function getOpCardDetail(cardId) {
-  const now = Date.now();
-  const cached = opDetailCache.get(cardId);
-  if (cached && now - cached.at < OP_DETAIL_TTL_MS) return cached.data;
+// rng : Math.random ou stream "card" d'un tirage provably fair.
+// -> { card, pool } : pool = snapshot tiré (à passer à saveFairRoll), null si la carte vient de l'API.
+// Sans catalogue offline, l'API choisit la carte (Math.random) : le tirage n'est pas rejouable,
+// rng ne sert qu'au filtre de rareté.
+async function drawCard(game, setId = null, rarityPity = 0, rng = Math.random) {
+  const adapter = getGameAdapter(game);
 
-  const r = await fetchWithTimeout(
-    `https://optcgapi.com/api/sets/card/${encodeURIComponent(cardId)}/`,
-    20000
-  );
-  if (!r.ok) throw new Error("OPTCG detail failed");
+  const snap = drawPoolSnapshot(adapter, setId);
+  if (snap) return { card: adapter.normalizeCard(pickFromPool(snap, rarityPity, rng)), pool: snap };
+
+  const drawOnce = () => setId ? adapter.drawFromSet(setId) : adapter.draw();
+  const weights = getRarityWeights(adapter);
+  if (!weights) return { card: await drawOnce(), pool: null };
 
-  const data = await r.json().catch(() => null);
-  if (!data) throw new Error("OPTCG detail invalid");
+  let c;
+  for (let attempt = 0; attempt < RARITY_MAX_TRIES; attempt++) {
+    c = await drawOnce();
+    if (weights.max <= 0) break;
+    if (rng() < rarityWeight(weights, c.rarity) / weights.max) break;
+  }
+  return { card: c, pool: null };
+}
 
-  // ✅ l’API renvoie souvent un ARRAY -> on prend une variante (random)
-  const picked = Array.isArray(data)
-    ? (data[Math.floor(Math.random() * data.length)] || data[0])
-    : data;
+// Lit le setId demandé (body ou query). "" = tout le catalogue.
+function getOpenSetId(req) {
+  return String(req.body?.setId || req.query.setId || "").trim();
+}
 
-  opDetailCache.set(cardId, { at: now, data: picked });
-  return picked;
+// Le set doit exister dans /api/sets pour ce jeu
+async function findSet(game, setId) {
+  const sets = await getGameAdapter(game).listSets();
+  return sets.find(s => String(s.id) === setId) || null;
 }
 
-// Essayez plusieurs clés possibles (API peut varier selon les cartes)
-function pickFirst(obj, keys) {
-  for (const k of keys) {
-    const v = obj?.[k];
-    if (typeof v === "string" && v.trim()) return v.trim();
+// ----- GRADES -----
+// tirage selon eco.gradeOdds, restreint aux grades >= minGrade
+function rollGrade(eco, minGrade = 1, rng = Math.random) {
+  const grades = [10, 9, 8, 7, 6, 5, 4, 3, 2, 1].filter(g => g >= minGrade);
+  const total = grades.reduce((sum, g) => sum + eco.gradeOdds[g], 0);
+  let r = rng() * total;
+  for (const g of grades) {
+    r -= eco.gradeOdds[g];
+    if (r < 0) return g;
   }
-  return null;
+  return grades[grades.length - 1];
 }
 
 // =========================
-// IMAGE URL NORMALIZATION
-// low.webp pour afficher vite, high.webp pour zoom
+// PITY
 // =========================
-function buildTcgdexAsset(urlBaseOrWithExt, quality = "low", ext = "webp") {
-  if (!urlBaseOrWithExt || typeof urlBaseOrWithExt !== "string") return null;
-
-  const u = urlBaseOrWithExt.replace(/\/$/, "");
-
-  if (/\.(png|jpe?g|webp)(\?|$)/i.test(u)) return u;
-  if (/(\/low|\/high)$/i.test(u)) return `${u}.${ext}`;
-
-  return `${u}/${quality}.${ext}`;
+// Grade (eco.gradePity) : après hard - 1 cartes sans grade >= minGrade, la suivante en a un.
+// Entre soft et hard, la proba monte linéairement jusqu'à 100%.
+// Rareté : même principe, réglé par jeu dans data/<jeu>/rarities.json ("pity").
+function rollGradeWithPity(eco, gradePity, rng = Math.random) {
+  const { minGrade, soft, hard } = eco.gradePity;
+  const ramp = pityRamp(gradePity, soft, hard);
+  // grade >= minGrade avec les mêmes proportions entre eux
+  if (ramp > 0 && rng() < ramp) return rollGrade(eco, minGrade, rng);
+  return rollGrade(eco, 1, rng);
 }
 
-function normalizeImageField(imageField, quality = "low", ext = "webp") {
-  if (!imageField) return null;
+// Ligne du joueur verrouillée jusqu'au COMMIT (deux ouvertures en parallèle ne se marchent pas dessus)
+async function loadPity(client, userId, game) {
+  await client.query(
+    `INSERT INTO pity (user_id, game, updatedAt) VALUES ($1,$2,$3)
+     ON CONFLICT (user_id, game) DO NOTHING`,
+    [userId, game, Date.now()]
+  );
+  const q = await client.query(
+    `SELECT gradeCount, rarityCount FROM pity WHERE user_id=$1 AND game=$2 FOR UPDATE`,
+    [userId, game]
+  );
+  const row = q.rows[0] || {};
+  return {
+    grade: Number(row.gradecount ?? row.gradeCount ?? 0),
+    rarity: Number(row.raritycount ?? row.rarityCount ?? 0)
+  };
+}
 
-  let base = imageField;
-  if (typeof imageField === "object") {
-    base =
-      imageField[quality] ||
-      imageField.high ||
-      imageField.low ||
-      imageField.large ||
-      imageField.medium ||
-      imageField.small ||
-      imageField.url ||
-      null;
-  }
-  if (typeof base !== "string") return null;
+// Met à jour les compteurs après une carte tirée.
+// rarity=false : tirage qui n'applique pas le pity de rareté (slots de booster), son compteur ne bouge pas
+function advancePity(eco, pity, game, c, grade, { rarity = true } = {}) {
+  pity.grade = grade >= eco.gradePity.minGrade ? 0 : pity.grade + 1;
 
-  return buildTcgdexAsset(base, quality, ext);
+  const rp = rarity ? getRarityWeights(getGameAdapter(game))?.pity : null;
+  if (rp) pity.rarity = isPityRarity(rp, c?.rarity) ? 0 : pity.rarity + 1;
 }
 
-function tcgdexAssetUrl(lang, setId, localId, quality = "low", ext = "webp") {
-  if (!setId || !localId) return null;
+async function savePity(client, userId, game, pity) {
+  await client.query(
+    `UPDATE pity SET gradeCount=$1, rarityCount=$2, updatedAt=$3 WHERE user_id=$4 AND game=$5`,
+    [pity.grade, pity.rarity, Date.now(), userId, game]
+  );
+}
 
-  let serie;
+function pityProgressJson(eco, game, row) {
+  const grade = Number(row?.gradecount ?? row?.gradeCount ?? 0);
+  const { minGrade, soft, hard } = eco.gradePity;
+  const out = {
+    grade: { count: grade, soft, hard, minGrade, left: Math.max(0, hard - grade - 1) },
+    rarity: null
+  };
 
-  // cas spéciaux
-  if (setId === "basep") serie = "base";
-  else serie = setId.replace(/[0-9]+$/, "");
+  const rp = getRarityWeights(getGameAdapter(game))?.pity;
+  if (rp) {
+    const rarity = Number(row?.raritycount ?? row?.rarityCount ?? 0);
+    out.rarity = { count: rarity, soft: rp.soft, hard: rp.hard, rarities: Array.from(rp.rarities), left: Math.max(0, rp.hard - rarity - 1) };
+  }
+  return out;
+}
 
-  return `https://assets.tcgdex.net/${lang}/${serie}/${setId}/${localId}/${quality}.${ext}`;
+function rollMintForGrade(grade, rng = Math.random) {
+  if (grade !== 10) return 0;
+  return rng() < 1 / 3 ? 1 : 0;
 }
 
 // =========================
-// DRAW CARD
-// =========================
+// PROVABLY FAIR (games/fair.js)
 // =========================
-// DRAW CARD (MULTI GAME)
-// =========================
-async function drawCard(game) {
-
-  // ----- ONE PIECE ONLINE -----
-  if (game === "onepiece") {
-    const list = await getOpBriefList();
-
-    // On tente plusieurs fois de trouver une carte valide avec image
-    for (let attempt = 0; attempt < 10; attempt++) {
-      const pick = list[Math.floor(Math.random() * list.length)] || {};
+// Chaque carte (open, open_multi, pack du daily), chaque booster et chaque spin consomme un nonce
+// du seed actif du joueur. fair_rolls garde les entrées du tirage (pity, version d'économie,
+// template, hash du pool tiré) et son résultat : après rotation, /api/fair/verify rejoue tout
+// avec le seed révélé, sur le pool enregistré dans fair_pools.
+const FAIR_VERIFY_MAX = 200;
 
-      const cardId =
-        pickFirst(pick, ["card_set_id", "cardSetId", "card_id", "cardId", "id"]) ||
-        null;
-
-      if (!cardId) continue;
-
-      let d;
-      try {
-        d = await getOpCardDetail(cardId); // déjà array-safe
-      } catch {
-        continue;
-      }
+function fairSeedRow(r) {
+  return {
+    id: Number(r.id),
+    serverSeed: r.serverseed ?? r.serverSeed,
+    serverSeedHash: r.serverseedhash ?? r.serverSeedHash,
+    clientSeed: r.clientseed ?? r.clientSeed,
+    nonce: Number(r.nonce || 0),
+    createdAt: Number(r.createdat ?? r.createdAt ?? 0),
+    revealedAt: r.revealedat ?? r.revealedAt ? Number(r.revealedat ?? r.revealedAt) : null
+  };
+}
 
-      const image =
-        pickFirst(d, ["card_image", "image_url", "imageUrl", "image", "img"]) ||
-        pickFirst(pick, ["card_image", "image_url", "imageUrl", "image", "img"]);
+// serverSeed seulement une fois révélé
+function fairSeedJson(seed) {
+  return {
+    id: seed.id,
+    serverSeedHash: seed.serverSeedHash,
+    serverSeed: seed.revealedAt ? seed.serverSeed : null,
+    clientSeed: seed.clientSeed,
+    nonce: seed.nonce,
+    createdAt: seed.createdAt,
+    revealedAt: seed.revealedAt
+  };
+}
 
-      const name =
-        pickFirst(d, ["card_name", "name", "cardName", "title"]) ||
-        pickFirst(pick, ["card_name", "name", "cardName", "title"]) ||
-        "Unknown";
+async function createFairSeed(db, userId, clientSeed = null) {
+  const serverSeed = newServerSeed();
+  await db.query(
+    `INSERT INTO fair_seeds (user_id, serverSeed, serverSeedHash, clientSeed, createdAt)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (user_id) WHERE revealedAt IS NULL DO NOTHING`,
+    [userId, serverSeed, hashServerSeed(serverSeed), clientSeed || newClientSeed(), Date.now()]
+  );
+}
 
-      const setName =
-        pickFirst(d, ["set_name", "setName", "set", "series"]) ||
-        pickFirst(pick, ["set_name", "setName", "set", "series"]) ||
-        "One Piece";
+// Seed actif (créé au besoin). lock : verrouillé jusqu'au COMMIT (le nonce avance sans trou ni doublon)
+async function loadFairSeed(db, userId, { lock = false } = {}) {
+  const sql = `SELECT * FROM fair_seeds WHERE user_id=$1 AND revealedAt IS NULL${lock ? " FOR UPDATE" : ""}`;
 
-      if (!image) continue;
+  let q = await db.query(sql, [userId]);
+  if (!q.rows[0]) {
+    await createFairSeed(db, userId);
+    q = await db.query(sql, [userId]);
+  }
+  return fairSeedRow(q.rows[0]);
+}
 
-      // ✅ binder-friendly ids (setId / localId)
-      const setId =
-        pickFirst(d, ["set_id", "setId", "set_code", "setCode"]) ||
-        pickFirst(pick, ["set_id", "setId", "set_code", "setCode"]) ||
-        setName ||
-        "onepiece";
+// Prend le nonce suivant -> un générateur par stream
+function fairRoll(seed) {
+  const nonce = seed.nonce++;
+  const stream = name => fairRng(seed.serverSeed, seed.clientSeed, nonce, name);
+  return { nonce, card: stream("card"), grade: stream("grade"), slots: stream("slots") };
+}
 
-      const localId =
-        pickFirst(d, ["card_number", "number", "localId", "local_id"]) ||
-        pickFirst(pick, ["card_number", "number", "localId", "local_id"]) ||
-        "";
+// drawPool : snapshot tiré (drawPoolSnapshot) -> gardé dans fair_pools, son hash dans input.poolHash
+async function saveFairRoll(client, seed, roll, kind, input, result, drawPool = null) {
+  if (drawPool) {
+    await saveDrawPool(client, input.game, drawPool);
+    input = { ...input, poolHash: drawPool.hash };
+  }
+  await client.query(
+    `INSERT INTO fair_rolls (seedId, nonce, kind, input, result, createdAt) VALUES ($1,$2,$3,$4,$5,$6)`,
+    [seed.id, roll.nonce, kind, JSON.stringify(input), JSON.stringify(result), Date.now()]
+  );
+  await client.query(`UPDATE fair_seeds SET nonce=$2 WHERE id=$1`, [seed.id, seed.nonce]);
+}
 
-      console.log("🌐 source=OPTCG (working)");
+// Un snapshot n'est écrit qu'une fois (le SELECT évite de renvoyer tout le pool à chaque tirage)
+async function saveDrawPool(client, game, snap) {
+  const q = await client.query(`SELECT 1 FROM fair_pools WHERE hash=$1`, [snap.hash]);
+  if (q.rows[0]) return;
+  await client.query(
+    `INSERT INTO fair_pools (hash, game, cards, rarities, createdAt) VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (hash) DO NOTHING`,
+    [snap.hash, game, JSON.stringify(snap.cards), JSON.stringify(snap.rarities), Date.now()]
+  );
+}
 
-      return {
-        cardId,                      // ✅
-        setId,                       // ✅
-        localId: String(localId || ""), // ✅
-        name,
-        set: setName,
-        rarity: pickFirst(d, ["rarity"]) || "",
-        image,
-        imageHigh: image
-      };
-    }
+// hash -> snapshot rejouable ({ idKey, rarity } à la place des cartes brutes), null si inconnu
+async function loadDrawPool(hash) {
+  const q = await pool.query(`SELECT game, cards, rarities FROM fair_pools WHERE hash=$1`, [hash]);
+  const r = q.rows[0];
+  if (!r) return null;
+  return {
+    label: getGameAdapter(r.game)?.label || r.game,
+    pool: r.cards,
+    weights: r.rarities ? parseRarityTable(r.rarities) : null
+  };
+}
 
-    throw new Error("One Piece: impossible de trouver une carte avec image");
+// Grades d'une suite de cartes, pity de grade avancée comme à l'ouverture
+function replayGrades(eco, gradePity, count, rng) {
+  const out = [];
+  let pity = gradePity;
+  for (let i = 0; i < count; i++) {
+    const grade = rollGradeWithPity(eco, pity, rng);
+    out.push({ grade, mint: rollMintForGrade(grade, rng) });
+    pity = grade >= eco.gradePity.minGrade ? 0 : pity + 1;
   }
-  
-
-  // ----- LORCANA ONLINE (LORCAST) -----
-if (game === "lorcana") {
-  // ✅ IMPORTANT: on récupère les sets UNE seule fois (pas de shadow "const sets" dans le loop)
-  const sets = await getLorcanaSets();
+  return out;
+}
 
-  // On tente plusieurs sets si jamais une réponse est vide
-  for (let attempt = 0; attempt < 8; attempt++) {
-    const s = sets[Math.floor(Math.random() * sets.length)] || {};
+// Rejoue un tirage -> même forme que fair_rolls.result.
+// idKey null : carte non rejouable (tirée via l'API, ou tirage enregistré avant les snapshots de pool).
+async function replayFairRoll(seed, nonce, kind, input, getEco, getPool) {
+  const roll = fairRoll({ ...seed, nonce });
 
-    const setCode =
-      pickFirst(s, ["code", "set_code", "setCode", "id"]) ||
-      null;
+  if (kind === "slots") {
+    // spins sans version enregistrée : table par défaut
+    const eco = input.economyVersion == null ? DEFAULT_ECONOMY : await getEco(input.economyVersion);
+    return eco ? { result: spinReels(eco.slots, roll.slots) } : null;
+  }
 
-    if (!setCode) continue;
+  const eco = await getEco(input.economyVersion);
+  if (!eco) return null;
+  const snap = input.poolHash ? await getPool(input.poolHash) : null;
 
-    let cards;
+  if (kind === "pull") {
+    let idKey = null;
     try {
-      cards = await getLorcanaCardsForSet(setCode);
-    } catch {
-      continue;
-    }
-
-    if (!Array.isArray(cards) || !cards.length) continue;
-
-    // On tente plusieurs cartes dans ce set pour être sûr d'avoir une image
-    for (let pickTry = 0; pickTry < 12; pickTry++) {
-      const c = cards[Math.floor(Math.random() * cards.length)] || {};
-
-      const name =
-        pickFirst(c, ["name", "card_name", "title"]) || "Unknown";
-
-      const setName =
-        pickFirst(s, ["name", "set_name"]) ||
-        pickFirst(c, ["set_name", "setName"]) ||
-        `Set ${setCode}`;
-
-      const rarity = pickFirst(c, ["rarity"]) || "";
-
-      const { low, high } = pickImageLorcana(c);
-      if (!low) continue;
-
-      // ✅ binder-friendly ids (setId / localId / cardId)
-      const cardId =
-        pickFirst(c, ["id", "card_id", "cardId", "uuid"]) ||
-        null;
-
-      const setId = String(setCode || "lorcana");
-
-      const localId =
-        pickFirst(c, ["collector_number", "collectorNumber", "number", "card_number", "localId", "local_id"]) ||
-        "";
-
-      console.log("🌐 source=LORCAST");
-
-      return {
-        cardId,                        // ✅
-        setId,                         // ✅
-        localId: String(localId || ""),// ✅
-        name,
-        set: setName,
-        rarity,
-        image: low,
-        imageHigh: high || low
-      };
-    }
+      if (snap) idKey = pickFromPool(snap, input.rarityPity, roll.card).idKey;
+    } catch {}
+    const [{ grade, mint }] = replayGrades(eco, input.gradePity, 1, roll.grade);
+    return { idKey, grade, mint };
   }
 
-  throw new Error("Lorcana: impossible de trouver une carte avec image");
-}
-
-  // ----- DBZ -----
-  if (game === "dragonball") {
-    const c = drawOfflineDragonballCard();
-    console.log("📦 source=OFFLINE_DRAGONBALL");
-    return c;
-  }
-
-  // ----- UNION ARENA -----
-  if (game === "unionarena") {
-    const c = drawOfflineUnionArenaCard();
-    const img =
-      isValidUnionArenaImage(c.imageHigh) ? c.imageHigh :
-      isValidUnionArenaImage(c.image) ? c.image :
-      null;
-    if (!img) throw new Error("Union Arena: image invalide");
-    return {
-      cardId:   c.cardId   || null,
-      setId:    c.setId    || null,
-      localId:  c.localId  || null,
-      name:     c.name     || "",
-      set:      c.set || c.setName || c.series || "Union Arena",
-      image:    img,
-      imageHigh: img
-    };
-  }
-
-  // ----- MAGIC -----
-  if (game === "magic") {
-    const c = drawOfflineMagicCard();
-    return {
-      cardId:   c.cardId   || null,
-      setId:    c.setId    || null,
-      localId:  c.localId  || null,
-      name:     c.name     || "Unknown",
-      set:      c.setName  || "Magic",
-      image:    c.image    || null,
-      imageHigh: c.imageHigh || c.image || null
-    };
-  }
-
-  // ----- SENPAI GODDESS HAVEN -----
-  if (game === "senpaigodesshaven") {
-    const c = drawOfflineSenpaiCard();
-    return {
-      cardId:   c.cardId   || null,
-      setId:    c.setId    || null,
-      localId:  c.localId  || null,
-      name:     c.name     || "",
-      set:      c.setName  || "Senpai Goddess Haven",
-      image:    c.image    || null,
-      imageHigh: c.imageHigh || c.image || null
-    };
-  }
-
-  // ----- POKEMON OFFLINE / ONLINE (TCGDEX) -----
-  if (FORCE_OFFLINE) {
-    const c = drawOfflinePokemonCard();
-    console.log("📦 source=OFFLINE_POKEMON");
-    return c;
-  }
-
-const MAX_TRIES = 6;
-
-for (let attempt = 0; attempt < MAX_TRIES; attempt++) {
-  let list;
-  try {
-    list = await getCardsBriefList();
-  } catch {
-    list = null;
+  if (kind === "booster") {
+    let idKeys = [];
+    try {
+      if (snap) idKeys = drawBooster(snap, input.template, roll.card).map(({ raw }) => raw.idKey);
+    } catch {}
+    const size = input.template.slots.reduce((n, s) => n + s.count, 0);
+    const grades = replayGrades(eco, input.gradePity, size, roll.grade);
+    return { cards: grades.map((g, i) => ({ idKey: idKeys[i] ?? null, ...g })) };
   }
-  if (!list?.length) break;
 
-  const pick = list[Math.floor(Math.random() * list.length)];
-  if (!pick?.id) continue;
+  return null;
+}
 
-  let c;
-  try {
-    c = await getCardDetailById(pick.id);
-  } catch {
-    continue;
+// Compare résultat enregistré / rejoué -> true, false, ou null si une carte n'est pas rejouable
+// (idKey null côté rejeu) alors que tout le reste concorde : non vérifiable, jamais compté comme bon.
+function fairResultMatches(kind, recorded, replayed) {
+  if (!replayed) return false;
+  if (kind === "slots") return JSON.stringify(recorded.result) === JSON.stringify(replayed.result);
+
+  const pairs = kind === "pull"
+    ? [[recorded, replayed]]
+    : recorded.cards.map((c, i) => [c, replayed.cards[i]]);
+  if (kind !== "pull" && recorded.cards.length !== replayed.cards.length) return false;
+
+  let verifiable = true;
+  for (const [a, b] of pairs) {
+    if (a.grade !== b.grade || a.mint !== b.mint) return false;
+    if (b.idKey == null) verifiable = false;
+    else if (a.idKey !== b.idKey) return false;
   }
+  return verifiable ? true : null;
+}
 
-  const setId = c.set?.id || null;
-  const localId = String(c.localId || "").trim();
-
-  const lowFromApi  = normalizeImageField(c.image, "low", "webp");
-  const highFromApi = normalizeImageField(c.image, "high", "webp");
-
-  let low = lowFromApi;
-  let high = highFromApi;
+// =========================
+// PULL -> pulls + collection (dans la transaction de l'appelant)
+// =========================
+// Retourne { idKey, isNew }
+async function savePull(client, userId, game, c, grade, mint, at, economyVersion = null, source = "open") {
+  const idKey = idKeyFor(game, c);
 
-  if (!low && setId && localId) {
-    const found = await firstWorkingTcgdexImages(setId, localId, c);
-    if (found) {
-      low = found.image;
-      high = found.imageHigh;
-      console.log(`🌐 source=TCGDEX assets lang=${found.lang} serie=${found.serie} set=${setId}`);
-    }
-  }
+  // Vérifier si la carte est déjà dans la collection
+  const existsQ = await client.query(
+    `SELECT 1 FROM collection WHERE user_id=$1 AND idKey=$2`,
+    [userId, idKey]
+  );
+  const isNew = existsQ.rows.length === 0;
+
+  await client.query(
+    `INSERT INTO pulls (user_id, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, at, economyVersion, source)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+    [
+      userId,
+      game,
+      c.cardId || null,
+      c.setId || null,
+      c.localId || null,
+      c.name,
+      c.set,
+      c.image,
+      c.imageHigh || c.image,
+      grade,
+      mint,
+      at,
+      economyVersion,
+      source,
+    ]
+  );
 
-  if (!low) continue;
+  await client.query(
+    `
+    INSERT INTO collection
+      (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt, rarity)
+    VALUES
+      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,1,$13,$14)
+    ON CONFLICT (user_id, idKey)
+    DO UPDATE SET
+      count = collection.count + 1,
+      grade = GREATEST(collection.grade, EXCLUDED.grade),
+      mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
+      imageHigh = COALESCE(EXCLUDED.imageHigh, collection.imageHigh),
+      lastAt = EXCLUDED.lastAt,
+      cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
+      setId  = COALESCE(collection.setId,  EXCLUDED.setId),
+      localId= COALESCE(collection.localId,EXCLUDED.localId),
+      rarity = COALESCE(EXCLUDED.rarity, collection.rarity)
+    `,
+    [
+      userId,
+      idKey,
+      game,
+      c.cardId || null,
+      c.setId || null,
+      c.localId || null,
+      c.name,
+      c.set,
+      c.image,
+      c.imageHigh || c.image,
+      grade,
+      mint,
+      at,
+      c.rarity || null,
+    ]
+  );
 
-  console.log(`🌐 source=TCGDEX set=${setId}`);
+  return { idKey, isNew };
+}
 
+// Format d'une carte tirée dans les réponses /api/open*
+function pulledCardJson(game, c, idKey, grade, mint, isNew) {
   return {
-    cardId: c.id || pick.id,
-    setId,
-    localId,
-    name: c.name || pick.name || "Unknown",
-    set: c.set?.name || c.set?.id || "Unknown",
-    rarity: c.rarity || "",
-    image: low,
-    imageHigh: high || low,
+    idKey,
+    game,
+    name: c.name,
+    set: c.set,
+    cardId: c.cardId || null,
+    setId: c.setId || null,
+    localId: c.localId || null,
+    image: c.image,
+    imageHigh: c.imageHigh || c.image,
+    grade,
+    mint: Boolean(mint),
+    isNew,
   };
 }
 
-if (offlinePokemonCards?.length) {
-  const c = drawOfflinePokemonCard();
-  console.log("📦 source=OFFLINE_POKEMON_FALLBACK");
-  return c;
-}
-
-throw new Error("No card available (TCGdex + offline empty)");
-}
-// ----- GRADES -----
-function rollGrade() {
-  const r = Math.random();
-  if (r < 0.02) return 10;
-  if (r < 0.10) return 9;
-  if (r < 0.20) return 8;
-  if (r < 0.34) return 7;
-  if (r < 0.52) return 6;
-  if (r < 0.70) return 5;
-  if (r < 0.82) return 4;
-  if (r < 0.91) return 3;
-  if (r < 0.97) return 2;
-  return 1;
-}
-
-function rollMintForGrade(grade) {
-  if (grade !== 10) return 0;
-  return Math.random() < 1 / 3 ? 1 : 0;
-}
-
-const COST_ONE = 5;
-const COST_FIVE = COST_ONE * 5;
-
 // =========================
 // ROUTES
 // =========================
@@ -1475,6 +2083,7 @@ app.post("/api/login", async (req, res) => {
 app.get("/api/me", auth, async (req, res) => {
   await applyPayForUser(req.user.id);
   await applyTicketsForUser(req.user.id);
+  await applyDailyNotice(req.user.id);
 
   const userQ = await pool.query(
   `SELECT name, money, friendCode, xp, avatar, tickets FROM users WHERE id=$1`,
@@ -1507,13 +2116,25 @@ app.get("/api/me", auth, async (req, res) => {
       SUM(CASE WHEN grade = 10 THEN 1 ELSE 0 END)::int AS g10,
       SUM(CASE WHEN mint = 1 THEN 1 ELSE 0 END)::int AS mint
     FROM pulls
-    WHERE user_id=$1
+    WHERE user_id=$1 AND source = 'open'
     `,
     [req.user.id]
   );
 
   const s = statsQ.rows[0] || {};
 
+  // pity par jeu (jeu jamais ouvert -> compteurs à 0)
+  const pityQ = await pool.query(
+    `SELECT game, gradeCount, rarityCount FROM pity WHERE user_id=$1`,
+    [req.user.id]
+  );
+  const pityRows = new Map(pityQ.rows.map(r => [r.game, r]));
+  const pity = {};
+  const eco = await getEconomy();
+  for (const g of listGameIds()) pity[g] = pityProgressJson(eco, g, pityRows.get(g));
+
+  const dailyQ = await pool.query(`SELECT streak, bestStreak, lastDay FROM daily_login WHERE user_id=$1`, [req.user.id]);
+
   res.json({
     name: u?.name,
     money: u?.money || 0,
@@ -1529,12 +2150,67 @@ app.get("/api/me", auth, async (req, res) => {
     avatar: u?.avatar || "",
     tickets: Number(u?.tickets || 0),
     dollax:  Number(u?.money  || 0),
+    pity,
+    daily: dailyStatusJson(await getEconomy(), dailyQ.rows[0]),
+  });
+});
+// =========================
+// LEDGER (historique Dollax du joueur)
+// =========================
+// ?type=open,sell&page=1&pageSize=50
+app.get("/api/ledger", auth, async (req, res) => {
+  const page = Math.max(1, Number(req.query.page || 1) | 0);
+  const pageSize = Math.max(1, Math.min(200, Number(req.query.pageSize || 50) | 0));
+  const types = String(req.query.type || "")
+    .split(",")
+    .map(t => t.trim())
+    .filter(Boolean);
+
+  const where = types.length ? `user_id=$1 AND type = ANY($2::text[])` : `user_id=$1`;
+  const params = types.length ? [req.user.id, types] : [req.user.id];
+
+  const totalQ = await pool.query(`SELECT COUNT(*)::int AS n FROM money_ledger WHERE ${where}`, params);
+  const rowsQ = await pool.query(
+    `SELECT id, type, amount, balance, meta, createdAt
+     FROM money_ledger
+     WHERE ${where}
+     ORDER BY id DESC
+     LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+    params
+  );
+
+  const total = totalQ.rows[0]?.n || 0;
+  res.json({
+    page,
+    pageSize,
+    total,
+    pages: Math.ceil(total / pageSize),
+    entries: rowsQ.rows.map(r => ({
+      id: Number(r.id),
+      type: r.type,
+      amount: Number(r.amount),
+      balance: Number(r.balance),
+      meta: r.meta || {},
+      at: Number(r.createdat ?? r.createdAt ?? 0),
+    })),
   });
 });
+
 app.post("/api/open", auth, async (req, res) => {
   await applyPayForUser(req.user.id);
+  const eco = await getEconomy();
 
   const game = getGame(req);
+  const setId = getOpenSetId(req);
+
+  if (setId) {
+    try {
+      if (!(await findSet(game, setId))) return res.status(400).json({ error: "Set introuvable" });
+    } catch (e) {
+      return res.status(502).json({ error: "sets failed" });
+    }
+  }
+
   const client = await pool.connect();
 
   try {
@@ -1547,7 +2223,7 @@ app.post("/api/open", auth, async (req, res) => {
        WHERE id = $2
          AND money >= $1
        RETURNING money`,
-      [COST_ONE, req.user.id]
+      [eco.costOne, req.user.id]
     );
 
     if (!payQ.rows[0]) {
@@ -1556,107 +2232,45 @@ app.post("/api/open", auth, async (req, res) => {
     }
 
     const moneyAfterPay = Number(payQ.rows[0].money || 0);
+    await recordMoney(client, req.user.id, "open", -eco.costOne, { game, setId: setId || null }, eco.version);
+    const pity = await loadPity(client, req.user.id, game);
+    const seed = await loadFairSeed(client, req.user.id, { lock: true });
+    const roll = fairRoll(seed);
+    const fairInput = { game, setId: setId || null, gradePity: pity.grade, rarityPity: pity.rarity, economyVersion: eco.version };
 
-    let c;
+    let c, drawPool;
     try {
-      c = await drawCard(game);
+      ({ card: c, pool: drawPool } = await drawCard(game, setId || null, pity.rarity, roll.card));
     } catch (e) {
-      console.error("❌ drawCard failed:", { game, message: e?.message, stack: e?.stack });
+      console.error("❌ drawCard failed:", { game, setId, message: e?.message, stack: e?.stack });
       await client.query("ROLLBACK");
       return res.status(502).json({ error: e?.message || "Erreur image (réessaie)" });
     }
 
-    const grade = rollGrade();
-    const mint = rollMintForGrade(grade);
+    const grade = rollGradeWithPity(eco, pity.grade, roll.grade);
+    const mint = rollMintForGrade(grade, roll.grade);
     const now = Date.now();
-    const xpAdd = xpForOpen(grade);
-
-    const idKey = `${game}__${c.setId || "unknown"}__${c.localId || "0"}__${c.cardId || "unknown"}`;
+    const xpAdd = xpForOpen(eco, grade);
 
-    // Vérifier si la carte est déjà dans la collection
-    const existsQ = await client.query(
-      `SELECT 1 FROM collection WHERE user_id=$1 AND idKey=$2`,
-      [req.user.id, idKey]
-    );
-    const isNew = existsQ.rows.length === 0;
+    advancePity(eco, pity, game, c, grade);
+    await savePity(client, req.user.id, game, pity);
 
     await client.query(
       `UPDATE users SET xp = xp + $1 WHERE id=$2`,
       [xpAdd, req.user.id]
     );
 
-    await client.query(
-      `INSERT INTO pulls (user_id, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
-      [
-        req.user.id,
-        game,
-        c.cardId || null,
-        c.setId || null,
-        c.localId || null,
-        c.name,
-        c.set,
-        c.image,
-        c.imageHigh || c.image,
-        grade,
-        mint,
-        now,
-      ]
-    );
-
-    await client.query(
-      `
-      INSERT INTO collection
-        (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt)
-      VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,1,$13)
-      ON CONFLICT (user_id, idKey)
-      DO UPDATE SET
-        count = collection.count + 1,
-        grade = GREATEST(collection.grade, EXCLUDED.grade),
-        mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
-        imageHigh = COALESCE(EXCLUDED.imageHigh, collection.imageHigh),
-        lastAt = EXCLUDED.lastAt,
-        cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
-        setId  = COALESCE(collection.setId,  EXCLUDED.setId),
-        localId= COALESCE(collection.localId,EXCLUDED.localId)
-      `,
-      [
-        req.user.id,
-        idKey,
-        game,
-        c.cardId || null,
-        c.setId || null,
-        c.localId || null,
-        c.name,
-        c.set,
-        c.image,
-        c.imageHigh || c.image,
-        grade,
-        mint,
-        now,
-      ]
-    );
+    const { idKey, isNew } = await savePull(client, req.user.id, game, c, grade, mint, now, eco.version);
+    await saveFairRoll(client, seed, roll, "pull", fairInput, { idKey, grade, mint }, drawPool);
+    await trackQuests(client, req.user.id, "open", [{ game, grade, mint }]);
 
     await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: [{ game, setId: c.setId }] });
 
     return res.json({
       money: moneyAfterPay,
       xpAdd,
-      card: {
-        idKey,
-        game,
-        name: c.name,
-        set: c.set,
-        cardId: c.cardId || null,
-        setId: c.setId || null,
-        localId: c.localId || null,
-        image: c.image,
-        imageHigh: c.imageHigh || c.image,
-        grade,
-        mint: Boolean(mint),
-        isNew,
-      },
+      card: { ...pulledCardJson(game, c, idKey, grade, mint, isNew), nonce: roll.nonce },
     });
   } catch (e) {
     try { await client.query("ROLLBACK"); } catch {}
@@ -1673,7 +2287,17 @@ app.post("/api/open_multi", auth, async (req, res) => {
 
   const game = getGame(req);
   const amount = Math.max(1, Math.min(5, Number(req.body?.amount || 5) | 0));
-  const totalCost = COST_ONE * amount;
+  const eco = await getEconomy();
+  const totalCost = eco.costOne * amount;
+  const setId = getOpenSetId(req);
+
+  if (setId) {
+    try {
+      if (!(await findSet(game, setId))) return res.status(400).json({ error: "Set introuvable" });
+    } catch (e) {
+      return res.status(502).json({ error: "sets failed" });
+    }
+  }
 
   const client = await pool.connect();
 
@@ -1696,110 +2320,48 @@ app.post("/api/open_multi", auth, async (req, res) => {
     }
 
     const moneyAfterPay = Number(payQ.rows[0].money || 0);
+    await recordMoney(client, req.user.id, "open_multi", -totalCost, { game, setId: setId || null, amount }, eco.version);
+    const pity = await loadPity(client, req.user.id, game);
+    const seed = await loadFairSeed(client, req.user.id, { lock: true });
 
     const now = Date.now();
     const pulls = [];
     let xpTotal = 0;
 
     for (let i = 0; i < amount; i++) {
-      let c;
+      const roll = fairRoll(seed);
+      const fairInput = { game, setId: setId || null, gradePity: pity.grade, rarityPity: pity.rarity, economyVersion: eco.version };
+
+      let c, drawPool;
       try {
-        c = await drawCard(game);
+        ({ card: c, pool: drawPool } = await drawCard(game, setId || null, pity.rarity, roll.card));
       } catch (e) {
         console.error("❌ drawCard failed in /api/open_multi:", e);
         await client.query("ROLLBACK");
         return res.status(502).json({ error: e?.message || "Erreur image (réessaie)" });
       }
 
-      const grade = rollGrade();
-      const mint = rollMintForGrade(grade);
-      const xpAdd = xpForOpen(grade);
+      const grade = rollGradeWithPity(eco, pity.grade, roll.grade);
+      const mint = rollMintForGrade(grade, roll.grade);
+      const xpAdd = xpForOpen(eco, grade);
       xpTotal += xpAdd;
+      advancePity(eco, pity, game, c, grade);
 
-      const idKey = `${game}__${c.setId || "unknown"}__${c.localId || "0"}__${c.cardId || "unknown"}`;
-
-      const existsQ2 = await client.query(
-        `SELECT 1 FROM collection WHERE user_id=$1 AND idKey=$2`,
-        [req.user.id, idKey]
-      );
-      const isNew = existsQ2.rows.length === 0;
-
-      await client.query(
-        `INSERT INTO pulls (user_id, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
-        [
-          req.user.id,
-          game,
-          c.cardId || null,
-          c.setId || null,
-          c.localId || null,
-          c.name,
-          c.set,
-          c.image,
-          c.imageHigh || c.image,
-          grade,
-          mint,
-          now + i
-        ]
-      );
-
-      await client.query(
-        `
-        INSERT INTO collection
-          (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt)
-        VALUES
-          ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,1,$13)
-        ON CONFLICT (user_id, idKey)
-        DO UPDATE SET
-          count = collection.count + 1,
-          grade = GREATEST(collection.grade, EXCLUDED.grade),
-          mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
-          imageHigh = COALESCE(EXCLUDED.imageHigh, collection.imageHigh),
-          lastAt = EXCLUDED.lastAt,
-          cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
-          setId  = COALESCE(collection.setId,  EXCLUDED.setId),
-          localId= COALESCE(collection.localId,EXCLUDED.localId)
-        `,
-        [
-          req.user.id,
-          idKey,
-          game,
-          c.cardId || null,
-          c.setId || null,
-          c.localId || null,
-          c.name,
-          c.set,
-          c.image,
-          c.imageHigh || c.image,
-          grade,
-          mint,
-          now + i
-        ]
-      );
+      const { idKey, isNew } = await savePull(client, req.user.id, game, c, grade, mint, now + i, eco.version);
+      await saveFairRoll(client, seed, roll, "pull", fairInput, { idKey, grade, mint }, drawPool);
 
-      pulls.push({
-        idKey,
-        game,
-        name: c.name,
-        set: c.set,
-        cardId: c.cardId || null,
-        setId: c.setId || null,
-        localId: c.localId || null,
-        image: c.image,
-        imageHigh: c.imageHigh || c.image,
-        grade,
-        mint: Boolean(mint),
-        isNew,
-        xpAdd
-      });
+      pulls.push({ ...pulledCardJson(game, c, idKey, grade, mint, isNew), xpAdd, nonce: roll.nonce });
     }
 
     await client.query(
       `UPDATE users SET xp = xp + $1 WHERE id=$2`,
       [xpTotal, req.user.id]
     );
+    await savePity(client, req.user.id, game, pity);
+    await trackQuests(client, req.user.id, "open", pulls);
 
     await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: pulls.map(p => ({ game, setId: p.setId })) });
 
     return res.json({
       ok: true,
@@ -1817,380 +2379,261 @@ app.post("/api/open_multi", auth, async (req, res) => {
 });
 
 
-// Route proxy pour extraction couleurs — contourne le CORS pour collection.html
-app.get("/api/foil_colors", auth, async (req, res) => {
-  const url = String(req.query.url || "").trim();
-  if (!url || !/^https?:\/\//.test(url)) {
-    return res.json({ colors: null });
-  }
-  try {
-    const colors = await extractFoilColors(url);
-    return res.json({ colors: colors || null });
-  } catch {
-    return res.json({ colors: null });
-  }
+// =========================
+// BOOSTERS (templates data/<jeu>/boosters.json)
+// =========================
+function boosterPrice(template, eco) {
+  return template.price ?? eco.costOne * template.size;
+}
+
+// GET composition + prix du booster d'un set
+app.get("/api/booster", auth, async (req, res) => {
+  const game = getGame(req);
+  const setId = String(req.query.setId || "").trim();
+  const template = getBoosterTemplate(getGameAdapter(game), setId || null);
+  if (!template) return res.status(404).json({ error: "Pas de booster pour ce jeu" });
+
+  res.json({
+    game,
+    setId: setId || null,
+    name: template.name,
+    price: boosterPrice(template, await getEconomy()),
+    size: template.size,
+    slots: template.slots.map(s => ({ id: s.id, label: s.label, count: s.count, foil: s.foil })),
+  });
 });
 
-app.get("/api/collection", auth, async (req, res) => {
+// POST ouvrir un booster complet (tous les slots ou rien)
+app.post("/api/open_booster", auth, async (req, res) => {
   await applyPayForUser(req.user.id);
 
   const game = getGame(req);
+  const setId = getOpenSetId(req);
+  const adapter = getGameAdapter(game);
 
-  const items = await pool.query(
-  `SELECT idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt
-   FROM collection 
-   WHERE user_id=$1 AND game=$2
-   ORDER BY lastAt DESC`,
-  [req.user.id, game]
-);
-
-  const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
-
-  res.json({
-    money: me.rows[0]?.money || 0,
-    items: items.rows.map((x) => ({
-      idKey: x.idkey || x.idKey,
-      game: x.game || game, 
-      name: x.name,
-      set: x.setname || x.setName,
-      cardId: x.cardid || x.cardId || null,
-      setId: x.setid || x.setId || null,
-      localId: x.localid || x.localId || null,
-      image: x.image,
-      imageHigh: x.imagehigh || x.imageHigh || null,
-      grade: x.grade,
-      mint: Boolean(x.mint),
-      count: x.count,
-      lastAt: Number(x.lastat || x.lastAt),
-    })),
-  });
-});
-
-app.get("/api/sets", auth, async (req, res) => {
-  const game = getGame(req);
-
-  try {
-    // ===== POKEMON =====
-    if (game === "pokemon") {
-    if (FORCE_OFFLINE && offlinePokemonSets.length) {
-      return res.json({
-        sets: offlinePokemonSets.map(s => ({
-          id: s.id,
-          name: s.name
-        }))
-      });
+  if (setId) {
+    try {
+      if (!(await findSet(game, setId))) return res.status(400).json({ error: "Set introuvable" });
+    } catch (e) {
+      return res.status(502).json({ error: "sets failed" });
     }
-
-    const list = await getPokemonSetsCached();
-    return res.json({ sets: list.map(s => ({ id: s.id, name: s.name })) });
   }
 
-    // ===== MAGIC =====
-    if (game === "magic") {
-      const cards = (offlineMagicCardsBySet.get(setId) || []).map(c => ({
-        cardId:   c.cardId  || "",
-        localId:  String(c.localId || ""),
-        name:     c.name    || "",
-        image:    rewriteMagicImageUrl(c.imageHigh || c.image) || null,
-        imageHigh: rewriteMagicImageUrl(c.imageHigh || c.image) || null,
-      }));
-      return res.json({ setId, cards });
-    }
+  const template = getBoosterTemplate(adapter, setId || null);
+  if (!template) return res.status(404).json({ error: "Pas de booster pour ce jeu" });
 
-    // ===== LORCANA =====
-    if (game === "lorcana") {
-      const list = await getLorcanaSets();
-      // lorcast: code + name
-      return res.json({
-        sets: list.map(s => ({
-          id: String(s.code || s.id || ""),
-          name: String(s.name || s.code || "Set")
-        })).filter(s => s.id)
-      });
-    }
+  const eco = await getEconomy();
+  const price = boosterPrice(template, eco);
+  const client = await pool.connect();
 
-    // ===== ONE PIECE =====
-    if (game === "onepiece") {
-      const list = await getOpBriefList();
+  try {
+    await client.query("BEGIN");
 
-      // on fabrique des "sets" à partir des champs existants
-      const map = new Map();
-      for (const c of list) {
-        const setName = pickFirst(c, ["set_name", "setName", "set", "series"]) || "One Piece";
-        const setId   = pickFirst(c, ["set_id", "setId", "set_code", "setCode", "series_id"]) || setName;
-        const id = String(setId);
-        if (!map.has(id)) map.set(id, { id, name: String(setName) });
-      }
+    // paiement atomique
+    const payQ = await client.query(
+      `UPDATE users
+       SET money = money - $1
+       WHERE id = $2
+         AND money >= $1
+       RETURNING money`,
+      [price, req.user.id]
+    );
 
-      return res.json({ sets: Array.from(map.values()).sort((a,b)=>a.name.localeCompare(b.name)) });
+    if (!payQ.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Pas assez de Dollax" });
     }
 
-    // DRAGON BALL //
-
-    if (game === "dragonball") {
-      const bySet = new Map();
-
-      for (const c of offlineDragonballCards) {
-        const setId = String(c?.setId || "").trim();
-        if (!setId) continue;
-
-        if (!bySet.has(setId)) {
-          bySet.set(setId, {
-            id: setId,
-            name: String(c?.set || c?.setName || setId).trim() || setId
-          });
-        }
-      }
+    const moneyAfterPay = Number(payQ.rows[0].money || 0);
+    await recordMoney(client, req.user.id, "open_booster", -price, { game, setId: setId || null, booster: template.name }, eco.version);
+    // les slots garantissent déjà les raretés : ici seul le pity de grade joue (et seul son compteur avance)
+    const pity = await loadPity(client, req.user.id, game);
+    const seed = await loadFairSeed(client, req.user.id, { lock: true });
+    const roll = fairRoll(seed);
+    const fairInput = { game, setId: setId || null, template, gradePity: pity.grade, economyVersion: eco.version };
+
+    // tirage complet ou ROLLBACK : un booster incomplet n'est jamais facturé
+    const drawPool = drawPoolSnapshot(adapter, setId || null);
+    let drawn;
+    try {
+      drawn = drawBooster(drawPool || { label: adapter.label, pool: null }, template, roll.card);
+    } catch (e) {
+      console.error("❌ drawBooster failed:", { game, setId, message: e?.message });
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: e?.message || "Booster impossible" });
+    }
 
-      const sets = Array.from(bySet.values()).sort((a, b) =>
-        a.id.localeCompare(b.id, undefined, { numeric: true, sensitivity: "base" })
-      );
+    const now = Date.now();
+    const pulls = [];
+    let xpTotal = 0;
 
-      return res.json({ sets });
-    }
+    for (let i = 0; i < drawn.length; i++) {
+      const { raw, slot } = drawn[i];
+      const c = adapter.normalizeCard(raw);
 
-    if (game === "unionarena") {
-  const bySet = new Map();
+      const grade = rollGradeWithPity(eco, pity.grade, roll.grade);
+      const mint = rollMintForGrade(grade, roll.grade);
+      const xpAdd = xpForOpen(eco, grade);
+      xpTotal += xpAdd;
+      advancePity(eco, pity, game, c, grade, { rarity: false });
 
-  for (const c of offlineUnionArenaCards) {
-    const setId = String(c?.setId || "").trim();
-    if (!setId) continue;
+      const { idKey, isNew } = await savePull(client, req.user.id, game, c, grade, mint, now + i, eco.version);
 
-    if (!bySet.has(setId)) {
-      bySet.set(setId, {
-        id: setId,
-        name: String(c?.set || c?.setName || setId).trim() || setId
+      pulls.push({
+        ...pulledCardJson(game, c, idKey, grade, mint, isNew),
+        rarity: c.rarity || "",
+        slot: slot.id,
+        slotLabel: slot.label,
+        foil: slot.foil,
+        xpAdd
       });
     }
-  }
-
-  const sets = Array.from(bySet.values()).sort((a, b) =>
-    a.id.localeCompare(b.id, undefined, { numeric: true, sensitivity: "base" })
-  );
-
-  return res.json({ sets });
-}
 
-    if (game === "senpaigodesshaven") {
-      const bySet = new Map();
-      for (const c of offlineSenpaiCards) {
-        const setId = String(c?.setId || "").trim();
-        if (!setId) continue;
-        if (!bySet.has(setId)) {
-          bySet.set(setId, {
-            id: setId,
-            name: String(c?.setName || setId).trim() || setId
-          });
-        }
-      }
-      const sets = Array.from(bySet.values()).sort((a, b) =>
-        a.id.localeCompare(b.id, undefined, { numeric: true, sensitivity: "base" })
-      );
-      return res.json({ sets });
-    }
+    await client.query(
+      `UPDATE users SET xp = xp + $1 WHERE id=$2`,
+      [xpTotal, req.user.id]
+    );
+    await savePity(client, req.user.id, game, pity);
+    await saveFairRoll(client, seed, roll, "booster", fairInput, {
+      cards: pulls.map(p => ({ idKey: p.idKey, grade: p.grade, mint: p.mint ? 1 : 0 }))
+    }, drawPool);
+    await trackQuests(client, req.user.id, "open", pulls);
 
-    if (game === "magic") {
-      return res.json({
-        sets: offlineMagicSets.map(s => ({
-          id:   s.id,
-          name: s.name,
-        }))
-      });
-    }
+    await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: pulls.map(p => ({ game, setId: p.setId })) });
 
-    return res.json({ sets: [] });
+    return res.json({
+      ok: true,
+      money: moneyAfterPay,
+      xpAdd: xpTotal,
+      booster: { name: template.name, setId: setId || null, price, nonce: roll.nonce },
+      pulls
+    });
   } catch (e) {
-    return res.status(502).json({ error: "sets failed" });
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/open_booster failed:", e);
+    return res.status(500).json({ error: "Open booster failed" });
+  } finally {
+    client.release();
   }
 });
 
-  app.get("/api/set_cards", auth, async (req, res) => {
-    const game = getGame(req);
-    const setId = String(req.query.setId || "").trim();
-    if (!setId) return res.status(400).json({ error: "Missing setId" });
-
-    try {
-
-    
-    // ===== POKEMON =====
-    if (game === "pokemon") {
-    if (FORCE_OFFLINE && offlinePokemonCards.length) {
-      const cards = offlinePokemonCardsBySet.get(setId) || [];
-
-      return res.json({
-        setId,
-        cards: cards.map(c => ({
-          cardId: c.cardId || "",
-          localId: String(c.localId || ""),
-          name: c.name || "",
-          image: c.image || null,
-          imageHigh: c.imageHigh || c.image || null
-        }))
-      });
-    }
+// Route proxy pour extraction couleurs — contourne le CORS pour collection.html
+app.get("/api/foil_colors", auth, async (req, res) => {
+  const url = String(req.query.url || "").trim();
+  if (!url || !/^https?:\/\//.test(url)) {
+    return res.json({ colors: null });
+  }
+  try {
+    const colors = await extractFoilColors(url);
+    return res.json({ colors: colors || null });
+  } catch {
+    return res.json({ colors: null });
+  }
+});
 
-    const data = await getPokemonSetCardsCached(setId);
-    const cards = Array.isArray(data.cards) ? data.cards : [];
+app.get("/api/collection", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
 
-    const out = [];
-    for (const c of cards) {
-      const localId = String(c.localId || "").trim();
+  const game = getGame(req);
+  const eco = await getEconomy();
 
-      const lowFromApi  = normalizeImageField(c.image, "low", "webp");
-      const highFromApi = normalizeImageField(c.image, "high", "webp");
+  const items = await pool.query(
+  `SELECT idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt, rarity
+   FROM collection 
+   WHERE user_id=$1 AND game=$2
+   ORDER BY lastAt DESC`,
+  [req.user.id, game]
+);
 
-      let low = lowFromApi;
-      let high = highFromApi;
+  const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
+  const quotes = await sellQuotesFor(pool, eco, items.rows);
 
-      if (!low && setId && localId) {
-        const found = await firstWorkingTcgdexImages(setId, localId, c);
-        if (found) {
-          low = found.image;
-          high = found.imageHigh;
-        } else {
-          console.log(`❌ no image found for set=${setId} localId=${localId} cardId=${c.id || ""}`);
-        }
-      }
+  res.json({
+    money: me.rows[0]?.money || 0,
+    items: items.rows.map((x) => ({
+      idKey: x.idkey || x.idKey,
+      game: x.game || game, 
+      name: x.name,
+      set: x.setname || x.setName,
+      cardId: x.cardid || x.cardId || null,
+      setId: x.setid || x.setId || null,
+      localId: x.localid || x.localId || null,
+      image: x.image,
+      imageHigh: x.imagehigh || x.imageHigh || null,
+      grade: x.grade,
+      mint: Boolean(x.mint),
+      count: x.count,
+      lastAt: Number(x.lastat || x.lastAt),
+      rarity: quotes.get(x.idkey || x.idKey).rarity,
+      sellPrice: quotes.get(x.idkey || x.idKey).price,
+      sellQuote: quotes.get(x.idkey || x.idKey),
+    })),
+  });
+});
 
-      out.push({
-        cardId: c.id,
-        localId,
-        name: c.name || "",
-        image: low || null,
-        imageHigh: high || low || null
-      });
-    }
+app.get("/api/sets", auth, async (req, res) => {
+  const game = getGame(req);
 
-    return res.json({
-      setId,
-      cards: out
-    });
+  try {
+    const sets = await getGameAdapter(game).listSets();
+    return res.json({ sets });
+  } catch (e) {
+    return res.status(502).json({ error: "sets failed" });
   }
-      
-    // DRAGON BALL //
-    if (game === "dragonball") {
-  const cards = offlineDragonballCardsBySet.get(setId) || [];
-
-  return res.json({
-    setId,
-    cards: cards.map(c => ({
-      cardId: c.cardId || "",
-      localId: String(c.localId || ""),
-      name: c.name || "",
-      image: c.image || null,
-      imageHigh: c.imageHigh || c.image || null
-    }))
-  });
-}
-//UNION ARENA //
-    if (game === "unionarena") {
-
-  const rawCards = offlineUnionArenaCardsBySet.get(setId) || [];
+});
 
-  console.log("------ UNION ARENA DEBUG ------");
-  console.log("setId =", setId);
-  console.log("raw cards count =", rawCards.length);
+app.get("/api/set_cards", auth, async (req, res) => {
+  const game = getGame(req);
+  const setId = String(req.query.setId || "").trim();
+  if (!setId) return res.status(400).json({ error: "Missing setId" });
 
-  const cards = rawCards;
+  try {
+    const cards = await getGameAdapter(game).listSetCards(setId);
+    return res.json({ setId, cards });
+  } catch (e) {
+    return res.status(502).json({ error: "set_cards failed" });
+  }
+});
 
-  console.log("final cards count =", cards.length);
-  console.log("-------------------------------");
+// =========================
+// RECHERCHE DE CARTES (tous les catalogues offline)
+// =========================
+// ?game=magic,dragonball&name=goku&set=fb01&rarity=SR&color=Red&cost_max=3&page=1&pageSize=40
+app.get("/api/cards/search", auth, async (req, res) => {
+  const page = Math.max(1, Number(req.query.page || 1) | 0);
+  const pageSize = Math.max(1, Math.min(SEARCH_PAGE_SIZE_MAX, Number(req.query.pageSize || SEARCH_PAGE_SIZE) | 0));
+
+  const { total, cards } = searchCards(parseSearchQuery(req.query), { page, pageSize });
+
+  // possédée ? combien d'exemplaires ?
+  const owned = new Map();
+  if (cards.length) {
+    const q = await pool.query(
+      `SELECT idKey, count FROM collection WHERE user_id=$1 AND idKey = ANY($2::text[])`,
+      [req.user.id, cards.map(c => c.idKey)]
+    );
+    for (const r of q.rows) owned.set(r.idkey || r.idKey, Number(r.count || 0));
+  }
 
-  return res.json({
-    setId,
+  res.json({
+    page,
+    pageSize,
+    total,
+    pages: Math.ceil(total / pageSize),
     cards: cards.map(c => ({
-      cardId: c.cardId || "",
-      localId: String(c.localId || ""),
-      name: c.name || "",
-      image: c.image || null,
-      imageHigh: c.imageHigh || c.image || null
+      ...c,
+      owned: owned.has(c.idKey),
+      count: owned.get(c.idKey) || 0
     }))
   });
-}
-    // SENPAI GODDESS HAVEN //
-    if (game === "senpaigodesshaven") {
-      const cards = offlineSenpaiCardsBySet.get(setId) || [];
-      return res.json({
-        setId,
-        cards: cards.map(c => ({
-          cardId: c.cardId || "",
-          localId: String(c.localId || ""),
-          name: c.name || "",
-          image: c.image || null,
-          imageHigh: c.imageHigh || c.image || null
-        }))
-      });
-    }
-    // ===== MAGIC =====
-    if (game === "magic") {
-      const cards = (offlineMagicCardsBySet.get(setId) || []).map(c => ({
-        cardId:   c.cardId  || "",
-        localId:  String(c.localId || ""),
-        name:     c.name    || "",
-        image:    rewriteMagicImageUrl(c.imageHigh || c.image) || null,
-        imageHigh: rewriteMagicImageUrl(c.imageHigh || c.image) || null,
-      }));
-      return res.json({ setId, cards });
-    }
-
-    // ===== LORCANA =====
-    if (game === "lorcana") {
-      const cards = await getLorcanaCardsForSet(setId);
-      const out = cards.map(c => {
-        const { low, high } = pickImageLorcana(c);
-        const cardId  = String(c.id || c.card_id || c.uuid || "");
-        const localId = String(c.collector_number || c.number || c.card_number || "");
-        return {
-          cardId,
-          localId,
-          name: String(c.name || ""),
-          image: low || null,
-          imageHigh: high || low || null,
-        };
-      }).filter(x => x.cardId);
-
-      return res.json({ setId, cards: out });
-    }
-
-    // ===== ONE PIECE =====
-    if (game === "onepiece") {
-      const list = await getOpBriefList();
-
-      const out = list
-        .filter(c => {
-          const sId = pickFirst(c, ["set_id", "setId", "set_code", "setCode", "series_id"]) || (pickFirst(c, ["set_name","setName","set","series"]) || "One Piece");
-          return String(sId) === setId;
-        })
-        .map(c => {
-          const cardId  = pickFirst(c, ["card_set_id","cardSetId","card_id","cardId","id"]) || "";
-          const localId = pickFirst(c, ["card_number","number","collector_number","collectorNumber"]) || "";
-          const name    = pickFirst(c, ["card_name","name","title"]) || "";
-          const image   = pickFirst(c, ["card_image","image_url","imageUrl","image","img"]) || null;
-
-          return {
-            cardId: String(cardId),
-            localId: String(localId),
-            name: String(name),
-            image,
-            imageHigh: image
-          };
-        })
-        .filter(x => x.cardId);
-
-      return res.json({ setId, cards: out });
-    }
-
-    return res.json({ setId, cards: [] });
-  } catch (e) {
-    return res.status(502).json({ error: "set_cards failed" });
-  }
 });
 
 app.get("/api/pulls", auth, async (req, res) => {
   const game = getGame(req);
 
   const rows = await pool.query(
-  `SELECT game, name, setName, image, imageHigh, grade, mint, at
+  `SELECT game, name, setName, image, imageHigh, grade, mint, at, source
    FROM pulls
    WHERE user_id=$1 AND game=$2
    ORDER BY at DESC
@@ -2207,11 +2650,13 @@ app.get("/api/pulls", auth, async (req, res) => {
       grade: r.grade,
       mint: Boolean(r.mint),
       at: Number(r.at),
+      source: r.source || "open",
     })),
   });
 });
 
 app.post("/api/sell", auth, async (req, res) => {
+  const eco = await getEconomy();
   const idKey = String(req.body?.idKey || "");
   const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
   if (!idKey) return res.status(400).json({ error: "Missing idKey" });
@@ -2221,7 +2666,7 @@ app.post("/api/sell", auth, async (req, res) => {
     await client.query("BEGIN");
 
     const itemQ = await client.query(
-      `SELECT count, grade, mint FROM collection
+      `SELECT idKey, game, cardId, rarity, count, grade, mint FROM collection
        WHERE user_id=$1 AND idKey=$2
        FOR UPDATE`,
       [req.user.id, idKey]
@@ -2239,7 +2684,8 @@ app.post("/api/sell", auth, async (req, res) => {
       return res.status(400).json({ error: "Quantité insuffisante" });
     }
 
-    const unitPrice = sellPriceFor(it.grade, Number(it.mint) === 1);
+    const quote = (await sellQuotesFor(client, eco, [it])).get(it.idkey || it.idKey);
+    const unitPrice = quote.price;
     const total = unitPrice * qty;
 
     if (owned === qty) {
@@ -2259,15 +2705,20 @@ app.post("/api/sell", auth, async (req, res) => {
       `UPDATE users SET money = money + $1 WHERE id=$2`,
       [total, req.user.id]
     );
+    await recordMoney(client, req.user.id, "sell", total, { idKey, qty, unitPrice }, eco.version);
 
     // xp
-    const xpAdd = xpForSell(unitPrice, qty);
+    const xpAdd = xpForSell(eco, unitPrice, qty);
     await client.query(
       `UPDATE users SET xp = xp + $1 WHERE id=$2`,
       [xpAdd, req.user.id]
     );
+    await trackQuests(client, req.user.id, "sell", [{
+      game: it.game, grade: it.grade, mint: Number(it.mint) === 1, amount: qty, duplicates: Math.min(qty, owned - 1)
+    }]);
 
     await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: [] });
 
     const me = await pool.query(`SELECT money, xp FROM users WHERE id=$1`, [req.user.id]);
     res.json({
@@ -2275,6 +2726,7 @@ app.post("/api/sell", auth, async (req, res) => {
       money: me.rows[0]?.money || 0,
       xp: Number(me.rows[0]?.xp || 0),
       unitPrice,
+      quote,
       total,
       xpAdd
     });
@@ -2289,13 +2741,18 @@ app.post("/api/sell", auth, async (req, res) => {
 // SELL BULK//
 
 app.post("/api/sell_bulk", auth, async (req, res) => {
+  const eco = await getEconomy();
   const items = Array.isArray(req.body?.items) ? req.body.items : [];
-  const clean = items
-    .map(x => ({
-      idKey: String(x?.idKey || ""),
-      qty: Math.max(1, Number(x?.qty || 1) | 0),
-    }))
-    .filter(x => x.idKey);
+
+  // une ligne par idKey : la même carte répétée dans items[] est vérifiée (et payée) une seule fois
+  const merged = new Map();
+  for (const x of items) {
+    const idKey = String(x?.idKey || "");
+    if (!idKey) continue;
+    const qty = Math.max(1, Number(x?.qty || 1) | 0);
+    merged.set(idKey, (merged.get(idKey) || 0) + qty);
+  }
+  const clean = Array.from(merged, ([idKey, qty]) => ({ idKey, qty }));
 
   if (!clean.length) return res.status(400).json({ error: "Empty selection" });
   if (clean.length > 200) return res.status(400).json({ error: "Too many items" });
@@ -2307,7 +2764,7 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
     const keys = clean.map(x => x.idKey);
 
     const q = await client.query(
-      `SELECT idKey, count, grade, mint
+      `SELECT idKey, game, cardId, rarity, count, grade, mint
        FROM collection
        WHERE user_id=$1 AND idKey = ANY($2::text[])
        FOR UPDATE`,
@@ -2315,6 +2772,7 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
     );
 
     const byKey = new Map(q.rows.map(r => [r.idkey || r.idKey, r]));
+    const quotes = await sellQuotesFor(client, eco, q.rows);
 
     let total = 0;
     let xpTotal = 0;
@@ -2333,11 +2791,12 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
         return res.status(400).json({ error: "Quantité insuffisante: " + it.idKey });
       }
 
-      const unit = sellPriceFor(row.grade, Number(row.mint) === 1);
+      const unit = quotes.get(it.idKey).price;
+      it.unitPrice = unit;
       total += unit * it.qty;
 
       // ✅ XP bulk
-      xpTotal += xpForSell(unit, it.qty);
+      xpTotal += xpForSell(eco, unit, it.qty);
     }
 
     // 2) update/remove cards
@@ -2363,6 +2822,7 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
       `UPDATE users SET money = money + $1 WHERE id=$2`,
       [total, req.user.id]
     );
+    await recordMoney(client, req.user.id, "sell_bulk", total, { items: clean }, eco.version);
 
     if (xpTotal > 0) {
       await client.query(
@@ -2371,7 +2831,14 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
       );
     }
 
+    await trackQuests(client, req.user.id, "sell", clean.map(it => {
+      const row = byKey.get(it.idKey);
+      const owned = Number(row.count) || 0;
+      return { game: row.game, grade: row.grade, mint: Number(row.mint) === 1, amount: it.qty, duplicates: Math.min(it.qty, owned - 1) };
+    }));
+
     await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: [] });
 
     const me = await pool.query(`SELECT money, xp FROM users WHERE id=$1`, [req.user.id]);
     res.json({
@@ -2391,69 +2858,263 @@ app.post("/api/sell_bulk", auth, async (req, res) => {
 });
 
 // =========================
-// FRIENDS ROUTES
+// CRAFT : doublons -> éclats -> cartes manquantes
 // =========================
-app.post("/api/friends/add", auth, async (req, res) => {
-  const friendCode = String(req.body?.friendCode || "").trim().toUpperCase();
-  if (!friendCode) return res.status(400).json({ error: "Missing friendCode" });
-
-  const qFriend = await pool.query(`SELECT id, name, friendCode FROM users WHERE friendCode=$1`, [
-    friendCode,
-  ]);
-  const friend = qFriend.rows[0];
-  if (!friend) return res.status(404).json({ error: "Ami introuvable" });
-
-  if (friend.id === req.user.id) {
-    return res.status(400).json({ error: "Tu ne peux pas t'ajouter toi-même" });
-  }
-
-  await pool.query(
-    `INSERT INTO friends (user_id, friend_user_id, createdAt)
-     VALUES ($1,$2,$3)
-     ON CONFLICT DO NOTHING`,
-    [req.user.id, friend.id, Date.now()]
-  );
+// GET éclats du joueur + barèmes
+app.get("/api/craft", auth, async (req, res) => {
+  const game = getGame(req);
+  const eco = await getEconomy();
+  const all = await shardsJson(pool, req.user.id);
 
   res.json({
-    ok: true,
-    friend: { name: friend.name, friendCode: friend.friendcode || friend.friendCode },
+    game,
+    shards: all[game] || 0,
+    all,
+    dust: eco.craft.dust,
+    cost: eco.craft.cost,
+    maxGrade: eco.craft.maxGrade
   });
 });
 
-app.get("/api/friends", auth, async (req, res) => {
-  const { rows } = await pool.query(
-    `
-    SELECT u.name, u.friendCode
-    FROM friends f
-    JOIN users u ON u.id = f.friend_user_id
-    WHERE f.user_id=$1
-    ORDER BY u.name ASC
-    `,
-    [req.user.id]
-  );
+// GET ?setId=&cardId= -> coût de fabrication par grade d'une carte du binder
+app.get("/api/craft/quote", auth, async (req, res) => {
+  const game = getGame(req);
+  const setId = String(req.query.setId || "").trim();
+  const cardId = String(req.query.cardId || "").trim();
+  if (!setId || !cardId) return res.status(400).json({ error: "Missing setId/cardId" });
+
+  let c;
+  try {
+    c = await findSetCard(game, setId, cardId);
+  } catch (e) {
+    return res.status(502).json({ error: "set_cards failed" });
+  }
+  if (!c) return res.status(404).json({ error: "Carte introuvable dans ce set" });
+
+  const eco = await getEconomy();
+  const idKey = idKeyFor(game, c);
+  const [ownQ, all] = await Promise.all([
+    pool.query(`SELECT 1 FROM collection WHERE user_id=$1 AND idKey=$2`, [req.user.id, idKey]),
+    shardsJson(pool, req.user.id)
+  ]);
 
   res.json({
-    friends: rows.map((r) => ({
-      name: r.name,
-      friendCode: r.friendcode || r.friendCode,
-    })),
+    idKey,
+    name: c.name,
+    rarity: c.rarity || null,
+    owned: ownQ.rows.length > 0,
+    costs: craftCostsFor(eco, game, c.rarity),
+    shards: all[game] || 0
   });
 });
 
-app.get("/api/friends/:friendCode/collection", auth, async (req, res) => {
-  await applyPayForUser(req.user.id);
+// POST { items: [{ idKey, qty }] } -> doublons réduits en éclats (au moins 1 exemplaire reste)
+app.post("/api/craft/dust", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  const clean = items
+    .map(x => ({
+      idKey: String(x?.idKey || ""),
+      qty: Math.max(1, Number(x?.qty || 1) | 0),
+    }))
+    .filter(x => x.idKey);
 
-  const friendCode = String(req.params.friendCode || "").trim().toUpperCase();
-  if (!friendCode) return res.status(400).json({ error: "Missing friendCode" });
+  if (!clean.length) return res.status(400).json({ error: "Empty selection" });
+  if (clean.length > 200) return res.status(400).json({ error: "Too many items" });
 
-  const game = getGame(req); // ✅ pokemon / onepiece
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-  // autorisation : seulement si c’est dans ta liste d’amis
-  const q = await pool.query(
-    `
-    SELECT u.id
-    FROM friends f
-    JOIN users u ON u.id = f.friend_user_id
+    const q = await client.query(
+      `SELECT idKey, game, cardId, rarity, name, count, grade
+       FROM collection
+       WHERE user_id=$1 AND idKey = ANY($2::text[])
+       FOR UPDATE`,
+      [req.user.id, clean.map(x => x.idKey)]
+    );
+    const byKey = new Map(q.rows.map(r => [r.idkey || r.idKey, r]));
+
+    const gained = {};
+    for (const it of clean) {
+      const row = byKey.get(it.idKey);
+      if (!row) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not owned: " + it.idKey });
+      }
+      if (Number(row.count) - 1 < it.qty) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `Seuls les doublons partent en éclats : ${row.name}` });
+      }
+
+      const unit = dustFor(eco, { idKey: it.idKey, game: row.game, cardId: row.cardid || row.cardId, rarity: row.rarity, grade: row.grade });
+      gained[row.game] = (gained[row.game] || 0) + unit * it.qty;
+      row.count = Number(row.count) - it.qty;
+
+      await client.query(
+        `UPDATE collection SET count = count - $3 WHERE user_id=$1 AND idKey=$2`,
+        [req.user.id, it.idKey, it.qty]
+      );
+    }
+
+    const now = Date.now();
+    for (const [game, amount] of Object.entries(gained)) {
+      await client.query(
+        `INSERT INTO shards (user_id, game, amount, updatedAt) VALUES ($1,$2,$3,$4)
+         ON CONFLICT (user_id, game) DO UPDATE SET amount = shards.amount + EXCLUDED.amount, updatedAt = EXCLUDED.updatedAt`,
+        [req.user.id, game, amount, now]
+      );
+    }
+
+    const shards = await shardsJson(client, req.user.id);
+    await client.query("COMMIT");
+
+    res.json({ ok: true, gained, shards });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/craft/dust failed:", e);
+    res.status(500).json({ error: "Dust failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST { setId, cardId, grade } -> fabrique une carte manquante (pulls.source = "craft", jamais mint)
+app.post("/api/craft", auth, async (req, res) => {
+  const game = getGame(req);
+  const eco = await getEconomy();
+  const setId = String(req.body?.setId || "").trim();
+  const cardId = String(req.body?.cardId || "").trim();
+  const grade = Number(req.body?.grade) | 0;
+
+  if (!setId || !cardId) return res.status(400).json({ error: "Missing setId/cardId" });
+  if (grade < 1 || grade > eco.craft.maxGrade) {
+    return res.status(400).json({ error: `Grade fabricable : 1 à ${eco.craft.maxGrade}` });
+  }
+
+  let c;
+  try {
+    c = await findSetCard(game, setId, cardId);
+  } catch (e) {
+    return res.status(502).json({ error: "set_cards failed" });
+  }
+  if (!c) return res.status(404).json({ error: "Carte introuvable dans ce set" });
+
+  const cost = craftCostsFor(eco, game, c.rarity)[grade];
+  const idKey = idKeyFor(game, c);
+  const now = Date.now();
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // la ligne d'éclats du jeu sert de verrou : deux crafts du même jeu passent l'un après l'autre
+    await client.query(
+      `INSERT INTO shards (user_id, game, amount, updatedAt) VALUES ($1,$2,0,$3)
+       ON CONFLICT (user_id, game) DO NOTHING`,
+      [req.user.id, game, now]
+    );
+    const payQ = await client.query(
+      `UPDATE shards SET amount = amount - $3, updatedAt = $4
+       WHERE user_id=$1 AND game=$2 AND amount >= $3
+       RETURNING amount`,
+      [req.user.id, game, cost, now]
+    );
+    if (!payQ.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Pas assez d'éclats" });
+    }
+
+    const ownQ = await client.query(`SELECT 1 FROM collection WHERE user_id=$1 AND idKey=$2`, [req.user.id, idKey]);
+    if (ownQ.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Tu as déjà cette carte" });
+    }
+
+    const { isNew } = await savePull(client, req.user.id, game, c, grade, 0, now, eco.version, "craft");
+
+    await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: [{ game, setId: c.setId }] });
+
+    res.json({
+      ok: true,
+      cost,
+      shards: Number(payQ.rows[0].amount),
+      card: { ...pulledCardJson(game, c, idKey, grade, 0, isNew), rarity: c.rarity || "" }
+    });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/craft failed:", e);
+    res.status(500).json({ error: "Craft failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// =========================
+// FRIENDS ROUTES
+// =========================
+app.post("/api/friends/add", auth, async (req, res) => {
+  const friendCode = String(req.body?.friendCode || "").trim().toUpperCase();
+  if (!friendCode) return res.status(400).json({ error: "Missing friendCode" });
+
+  const qFriend = await pool.query(`SELECT id, name, friendCode FROM users WHERE friendCode=$1`, [
+    friendCode,
+  ]);
+  const friend = qFriend.rows[0];
+  if (!friend) return res.status(404).json({ error: "Ami introuvable" });
+
+  if (friend.id === req.user.id) {
+    return res.status(400).json({ error: "Tu ne peux pas t'ajouter toi-même" });
+  }
+
+  await pool.query(
+    `INSERT INTO friends (user_id, friend_user_id, createdAt)
+     VALUES ($1,$2,$3)
+     ON CONFLICT DO NOTHING`,
+    [req.user.id, friend.id, Date.now()]
+  );
+
+  res.json({
+    ok: true,
+    friend: { name: friend.name, friendCode: friend.friendcode || friend.friendCode },
+  });
+});
+
+app.get("/api/friends", auth, async (req, res) => {
+  const { rows } = await pool.query(
+    `
+    SELECT u.name, u.friendCode
+    FROM friends f
+    JOIN users u ON u.id = f.friend_user_id
+    WHERE f.user_id=$1
+    ORDER BY u.name ASC
+    `,
+    [req.user.id]
+  );
+
+  res.json({
+    friends: rows.map((r) => ({
+      name: r.name,
+      friendCode: r.friendcode || r.friendCode,
+    })),
+  });
+});
+
+app.get("/api/friends/:friendCode/collection", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+
+  const friendCode = String(req.params.friendCode || "").trim().toUpperCase();
+  if (!friendCode) return res.status(400).json({ error: "Missing friendCode" });
+
+  const game = getGame(req); // ✅ pokemon / onepiece
+
+  // autorisation : seulement si c’est dans ta liste d’amis
+  const q = await pool.query(
+    `
+    SELECT u.id
+    FROM friends f
+    JOIN users u ON u.id = f.friend_user_id
     WHERE f.user_id=$1 AND u.friendCode=$2
     `,
     [req.user.id, friendCode]
@@ -2487,106 +3148,596 @@ app.get("/api/friends/:friendCode/collection", auth, async (req, res) => {
   });
 });
 // =========================
-// MARKETPLACE ROUTES
+// TRADES (offres d'échange entre amis)
 // =========================
+// from propose give (ses cartes) + money (ses Dollax) contre take (cartes de to).
+// Rien n'est bloqué à la proposition : l'acceptation revérifie tout sous verrou et échange d'un bloc.
+// status: pending -> accepted | declined | cancelled | countered (une nouvelle offre inverse pointe vers parent_id)
+const TRADE_MAX_ITEMS = 20;
+const TRADE_HISTORY_DAYS = 30;
+
+// amis dans un sens ou dans l'autre
+async function areFriends(db, a, b) {
+  const q = await db.query(
+    `SELECT 1 FROM friends
+     WHERE (user_id=$1 AND friend_user_id=$2) OR (user_id=$2 AND friend_user_id=$1)
+     LIMIT 1`,
+    [a, b]
+  );
+  return q.rows.length > 0;
+}
 
-// GET market listings
-// =========================
-// MARKETPLACE ROUTES (MULTI GAME OK)
-// =========================
+// [{ idKey, qty }] -> fusionné par idKey, null si invalide
+function cleanTradeItems(raw) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) return null;
+  const byKey = new Map();
+  for (const x of raw) {
+    const idKey = String(x?.idKey || "");
+    const qty = Number(x?.qty || 1) | 0;
+    if (!idKey || qty < 1) return null;
+    byKey.set(idKey, (byKey.get(idKey) || 0) + qty);
+  }
+  return [...byKey.entries()].map(([idKey, qty]) => ({ idKey, qty }));
+}
 
-// GET market listings
-app.get("/api/market", auth, async (req, res) => {
-  const q = String(req.query.search || "").toLowerCase().trim();
-  const sort = String(req.query.sort || "recent");
-  const game = getGame(req); // filtre par jeu (pokemon/onepiece)
+// Vérifie (sans verrou) et enregistre l'offre -> { id } ou { status, error }
+async function createTradeOffer(client, fromId, toId, body, parentId = null) {
+  const give = cleanTradeItems(body?.give);
+  const take = cleanTradeItems(body?.take);
+  const money = Number(body?.money || 0) | 0;
 
-  const params = [game];
-  let where = `WHERE m.game = $1`;
+  if (!give || !take) return { status: 400, error: "Cartes invalides" };
+  if (!give.length && !take.length) return { status: 400, error: "Échange vide" };
+  if (give.length > TRADE_MAX_ITEMS || take.length > TRADE_MAX_ITEMS) {
+    return { status: 400, error: `Maximum ${TRADE_MAX_ITEMS} cartes différentes de chaque côté` };
+  }
+  if (money < 0) return { status: 400, error: "Montant invalide" };
+  if (Number(fromId) === Number(toId)) return { status: 400, error: "Échange avec toi-même" };
+  if (!(await areFriends(client, fromId, toId))) return { status: 403, error: "Pas dans tes amis" };
 
-  if (q) {
-    params.push(`%${q}%`);
-    where += ` AND (LOWER(m.name) LIKE $2 OR LOWER(m.setName) LIKE $2)`;
+  const snapshot = async (userId, items, side) => {
+    if (!items.length) return [];
+    const q = await client.query(
+      `SELECT idKey, name, setName, image, grade, mint, count FROM collection WHERE user_id=$1 AND idKey = ANY($2::text[])`,
+      [userId, items.map(x => x.idKey)]
+    );
+    const byKey = new Map(q.rows.map(r => [r.idkey || r.idKey, r]));
+    return items.map(x => {
+      const r = byKey.get(x.idKey);
+      if (!r || Number(r.count) < x.qty) return null;
+      return { ...x, side, name: r.name, setName: r.setname || r.setName, image: r.image, grade: r.grade, mint: r.mint };
+    });
+  };
+
+  const rows = [...(await snapshot(fromId, give, "give")), ...(await snapshot(toId, take, "take"))];
+  if (rows.some(r => !r)) return { status: 400, error: "Une des cartes n'est pas (ou plus) disponible" };
+
+  if (money > 0) {
+    const mQ = await client.query(`SELECT money FROM users WHERE id=$1`, [fromId]);
+    if (Number(mQ.rows[0]?.money ?? 0) < money) return { status: 400, error: "Pas assez de Pokédollars" };
   }
 
-  let order = "m.createdAt DESC";
-  if (sort === "price") order = "m.price ASC, m.createdAt DESC";
-  if (sort === "grade") order = "m.grade DESC, m.createdAt DESC";
-  if (sort === "name") order = "m.name ASC, m.createdAt DESC";
+  const ins = await client.query(
+    `INSERT INTO trade_offers (from_user_id, to_user_id, money, parent_id, createdAt)
+     VALUES ($1,$2,$3,$4,$5)
+     RETURNING id`,
+    [fromId, toId, money, parentId, Date.now()]
+  );
+  const id = ins.rows[0].id;
+
+  for (const r of rows) {
+    await client.query(
+      `INSERT INTO trade_offer_items (offer_id, side, idKey, qty, name, setName, image, grade, mint)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [id, r.side, r.idKey, r.qty, r.name, r.setName, r.image, r.grade, r.mint ? 1 : 0]
+    );
+  }
+  return { id };
+}
+
+function tradeSummary(items, money) {
+  const cards = items.reduce((sum, x) => sum + Number(x.qty), 0);
+  return `${cards} carte${cards > 1 ? "s" : ""}${money ? ` + ${money}💵` : ""}`;
+}
 
+// GET offres en attente (reçues / envoyées) + historique récent
+app.get("/api/trades", auth, async (req, res) => {
   const { rows } = await pool.query(
-    `
-    SELECT 
-      m.id,
-      m.seller_user_id AS "sellerUserId",
-      u.name AS "sellerName",
-      m.idKey,
-      m.game,
-      m.name,
-      m.setName,
-      m.image,
-      m.grade,
-      m.mint,
-      m.price,
-      m.qty,
-      m.createdAt
-    FROM market_listings m
-    JOIN users u ON u.id = m.seller_user_id
-    ${where}
-    ORDER BY ${order}
-    LIMIT 200
-    `,
-    params
+    `SELECT t.id, t.from_user_id, t.to_user_id, t.money, t.status, t.parent_id, t.createdAt, t.respondedAt,
+       fu.name AS "fromName", fu.friendCode AS "fromCode", tu.name AS "toName", tu.friendCode AS "toCode"
+     FROM trade_offers t
+     JOIN users fu ON fu.id = t.from_user_id
+     JOIN users tu ON tu.id = t.to_user_id
+     WHERE (t.from_user_id=$1 OR t.to_user_id=$1)
+       AND (t.status='pending' OR t.createdAt >= $2)
+     ORDER BY t.createdAt DESC
+     LIMIT 100`,
+    [req.user.id, Date.now() - TRADE_HISTORY_DAYS * 24 * 60 * 60 * 1000]
   );
 
+  const itemsQ = rows.length
+    ? await pool.query(
+        `SELECT offer_id, side, idKey, qty, name, setName, image, grade, mint
+         FROM trade_offer_items WHERE offer_id = ANY($1::int[]) ORDER BY id ASC`,
+        [rows.map(r => r.id)]
+      )
+    : { rows: [] };
+  const itemsByOffer = new Map();
+  for (const x of itemsQ.rows) {
+    const list = itemsByOffer.get(x.offer_id) || [];
+    list.push({
+      side: x.side,
+      idKey: x.idkey || x.idKey,
+      qty: Number(x.qty),
+      name: x.name,
+      setName: x.setname || x.setName,
+      image: x.image,
+      grade: x.grade,
+      mint: Boolean(x.mint)
+    });
+    itemsByOffer.set(x.offer_id, list);
+  }
+
   res.json({
-    listings: rows.map((r) => ({
-      ...r,
-      game: r.game || "pokemon",
-      mint: Boolean(r.mint),
-      idKey: r.idkey || r.idKey,
-      setName: r.setname || r.setName,
-      sellerName: r.sellerName || r.sellername,
-    })),
+    trades: rows.map(r => {
+      const items = itemsByOffer.get(r.id) || [];
+      return {
+        id: r.id,
+        direction: Number(r.from_user_id) === Number(req.user.id) ? "out" : "in",
+        from: { name: r.fromName ?? r.fromname, friendCode: r.fromCode ?? r.fromcode },
+        to: { name: r.toName ?? r.toname, friendCode: r.toCode ?? r.tocode },
+        money: Number(r.money),
+        status: r.status,
+        parentId: r.parent_id,
+        give: items.filter(x => x.side === "give"),
+        take: items.filter(x => x.side === "take"),
+        createdAt: Number(r.createdat ?? r.createdAt),
+        respondedAt: (r.respondedat ?? r.respondedAt) == null ? null : Number(r.respondedat ?? r.respondedAt)
+      };
+    })
   });
 });
 
-// POST create listing
-app.post("/api/market/list", auth, async (req, res) => {
-  const idKey = String(req.body?.idKey || "");
-  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
-  const price = Math.max(1, Number(req.body?.price || 1) | 0);
-
-  if (!idKey) return res.status(400).json({ error: "Missing idKey" });
+// POST { friendCode, give: [{ idKey, qty }], take: [{ idKey, qty }], money? }
+app.post("/api/trades", auth, async (req, res) => {
+  const friendCode = String(req.body?.friendCode || "").trim().toUpperCase();
+  if (!friendCode) return res.status(400).json({ error: "Missing friendCode" });
 
-  // game vient de l'idKey (game__...__...__...)
-  const gameFromKey = String(idKey.split("__")[0] || "pokemon").toLowerCase();
-  const safeGame =
-    gameFromKey === "onepiece" ? "onepiece" :
-    gameFromKey === "lorcana" ? "lorcana" :
-    gameFromKey === "dragonball" ? "dragonball" :
-    gameFromKey === "unionarena" ? "unionarena" :
-    gameFromKey === "senpaigodesshaven" ? "senpaigodesshaven" :
-    gameFromKey === "magic" ? "magic" :
-    "pokemon";
+  const fQ = await pool.query(`SELECT id FROM users WHERE friendCode=$1`, [friendCode]);
+  const friend = fQ.rows[0];
+  if (!friend) return res.status(404).json({ error: "Ami introuvable" });
 
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
+    const r = await createTradeOffer(client, req.user.id, friend.id, req.body);
+    if (r.error) {
+      await client.query("ROLLBACK");
+      return res.status(r.status).json({ error: r.error });
+    }
+    await client.query("COMMIT");
 
-    // ✅ On récupère aussi cardId/setId/localId/imageHigh depuis la collection
-    const cQ = await client.query(
-      `SELECT game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count
-       FROM collection
-       WHERE user_id=$1 AND idKey=$2
-       FOR UPDATE`,
-      [req.user.id, idKey]
+    const money = Number(req.body?.money || 0) | 0;
+    await notify(
+      friend.id,
+      "trade_offer",
+      "🔁 Proposition d'échange",
+      `${req.user.name} te propose ${tradeSummary(cleanTradeItems(req.body?.give), money)} contre ${tradeSummary(cleanTradeItems(req.body?.take), 0)}`,
+      { tradeId: r.id }
     );
 
-    const it = cQ.rows[0];
-    if (!it) {
+    res.json({ ok: true, tradeId: r.id });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("❌ /api/trades failed:", e);
+    res.status(500).json({ error: "Trade failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// Offre en attente verrouillée, adressée à (ou envoyée par) userId -> { offer } ou { status, error }
+async function lockPendingTrade(client, tradeId, userId, role) {
+  const q = await client.query(
+    `SELECT id, from_user_id, to_user_id, money, status FROM trade_offers WHERE id=$1 FOR UPDATE`,
+    [tradeId]
+  );
+  const offer = q.rows[0];
+  if (!offer) return { status: 404, error: "Échange introuvable" };
+  const owner = role === "to" ? offer.to_user_id : offer.from_user_id;
+  if (Number(owner) !== Number(userId)) return { status: 403, error: "Interdit" };
+  if (offer.status !== "pending") return { status: 400, error: "Échange déjà clos" };
+  return { offer };
+}
+
+// POST { tradeId } -> échange cartes + Dollax d'un bloc
+app.post("/api/trades/accept", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+  const eco = await getEconomy();
+  const tradeId = Number(req.body?.tradeId || 0) | 0;
+  if (!tradeId) return res.status(400).json({ error: "Missing tradeId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const locked = await lockPendingTrade(client, tradeId, req.user.id, "to");
+    if (locked.error) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Not owned" });
+      return res.status(locked.status).json({ error: locked.error });
+    }
+    const offer = locked.offer;
+    const fromId = Number(offer.from_user_id);
+    const toId = Number(offer.to_user_id);
+    const money = Number(offer.money);
+
+    if (!(await areFriends(client, fromId, toId))) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Pas dans tes amis" });
+    }
+
+    // comptes d'abord (par id), collections ensuite : même ordre de verrous que les routes market
+    const uQ = await client.query(
+      `SELECT id, money FROM users WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+      [[fromId, toId]]
+    );
+    const fromMoney = Number(uQ.rows.find(u => Number(u.id) === fromId)?.money ?? 0);
+
+    const itemsQ = await client.query(`SELECT side, idKey, qty, grade, mint FROM trade_offer_items WHERE offer_id=$1`, [tradeId]);
+    const moves = itemsQ.rows.map(x => ({
+      idKey: x.idkey || x.idKey,
+      qty: Number(x.qty),
+      grade: Number(x.grade),
+      mint: Boolean(x.mint),
+      owner: x.side === "give" ? fromId : toId,
+      dest: x.side === "give" ? toId : fromId
+    }));
+
+    // verrouille toutes les lignes concernées, toujours dans le même ordre
+    const cQ = await client.query(
+      `SELECT user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count
+       FROM collection
+       WHERE (user_id=$1 AND idKey = ANY($2::text[])) OR (user_id=$3 AND idKey = ANY($4::text[]))
+       ORDER BY user_id, idKey
+       FOR UPDATE`,
+      [
+        fromId, moves.filter(m => m.owner === fromId).map(m => m.idKey),
+        toId, moves.filter(m => m.owner === toId).map(m => m.idKey)
+      ]
+    );
+    const rowFor = new Map(cQ.rows.map(r => [`${r.user_id}|${r.idkey || r.idKey}`, r]));
+
+    for (const m of moves) {
+      const row = rowFor.get(`${m.owner}|${m.idKey}`);
+      if (!row || Number(row.count) < m.qty) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `${row?.name || m.idKey} n'est plus disponible` });
+      }
+      // la ligne collection a pu changer depuis la proposition (grade monté, mint obtenu...) :
+      // on n'échange que ce qui a été montré dans l'offre
+      if (Number(row.grade) !== m.grade || Boolean(row.mint) !== m.mint) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: `${row.name} a changé depuis la proposition (grade / mint), refais une offre` });
+      }
+    }
+
+    if (money > 0) {
+      if (fromMoney < money) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "L'autre joueur n'a plus assez de Pokédollars" });
+      }
+    }
+
+    const now = Date.now();
+    const sets = { [fromId]: [], [toId]: [] };
+    // tous les retraits d'abord : une même carte peut partir dans les deux sens
+    for (const m of moves) {
+      const row = rowFor.get(`${m.owner}|${m.idKey}`);
+      if (Number(row.count) === m.qty) {
+        await client.query(`DELETE FROM collection WHERE user_id=$1 AND idKey=$2`, [m.owner, m.idKey]);
+      } else {
+        await client.query(`UPDATE collection SET count = count - $3 WHERE user_id=$1 AND idKey=$2`, [m.owner, m.idKey, m.qty]);
+      }
+    }
+    for (const m of moves) {
+      const { game, setId } = await addListingToCollection(client, m.dest, rowFor.get(`${m.owner}|${m.idKey}`), m.qty, now);
+      sets[m.dest].push({ game, setId });
+    }
+
+    if (money > 0) {
+      await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [money, fromId]);
+      await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [money, toId]);
+      await recordMoney(client, fromId, "trade", -money, { tradeId, withId: toId }, eco.version);
+      await recordMoney(client, toId, "trade", money, { tradeId, withId: fromId }, eco.version);
+    }
+
+    await client.query(`UPDATE trade_offers SET status='accepted', respondedAt=$2 WHERE id=$1`, [tradeId, now]);
+    await client.query("COMMIT");
+
+    queueAchievements(fromId, { sets: sets[fromId] });
+    queueAchievements(toId, { sets: sets[toId] });
+    await notify(fromId, "trade_accepted", "🤝 Échange accepté !", `${req.user.name} a accepté ton échange`, { tradeId });
+    await notify(toId, "trade_accepted", "🤝 Échange conclu !", `Les cartes échangées sont dans ta collection`, { tradeId });
+
+    const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
+    res.json({ ok: true, money: me.rows[0]?.money || 0 });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("❌ /api/trades/accept failed:", e);
+    res.status(500).json({ error: "Trade accept failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST { tradeId } -> refusée (destinataire) / annulée (auteur)
+async function closeTrade(req, res, role, status) {
+  const tradeId = Number(req.body?.tradeId || 0) | 0;
+  if (!tradeId) return res.status(400).json({ error: "Missing tradeId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const locked = await lockPendingTrade(client, tradeId, req.user.id, role);
+    if (locked.error) {
+      await client.query("ROLLBACK");
+      return res.status(locked.status).json({ error: locked.error });
+    }
+    await client.query(`UPDATE trade_offers SET status=$2, respondedAt=$3 WHERE id=$1`, [tradeId, status, Date.now()]);
+    await client.query("COMMIT");
+
+    if (status === "declined") {
+      await notify(locked.offer.from_user_id, "trade_declined", "❌ Échange refusé", `${req.user.name} a refusé ton échange`, { tradeId });
+    } else {
+      await notify(locked.offer.to_user_id, "trade_cancelled", "↩️ Échange annulé", `${req.user.name} a retiré sa proposition`, { tradeId });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: "Trade update failed" });
+  } finally {
+    client.release();
+  }
+}
+
+app.post("/api/trades/decline", auth, (req, res) => closeTrade(req, res, "to", "declined"));
+app.post("/api/trades/cancel", auth, (req, res) => closeTrade(req, res, "from", "cancelled"));
+
+// POST { tradeId, give, take, money? } -> contre-offre du destinataire (give = mes cartes, take = celles de l'auteur)
+app.post("/api/trades/counter", auth, async (req, res) => {
+  const tradeId = Number(req.body?.tradeId || 0) | 0;
+  if (!tradeId) return res.status(400).json({ error: "Missing tradeId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const locked = await lockPendingTrade(client, tradeId, req.user.id, "to");
+    if (locked.error) {
+      await client.query("ROLLBACK");
+      return res.status(locked.status).json({ error: locked.error });
+    }
+
+    const r = await createTradeOffer(client, req.user.id, locked.offer.from_user_id, req.body, tradeId);
+    if (r.error) {
+      await client.query("ROLLBACK");
+      return res.status(r.status).json({ error: r.error });
+    }
+    await client.query(`UPDATE trade_offers SET status='countered', respondedAt=$2 WHERE id=$1`, [tradeId, Date.now()]);
+    await client.query("COMMIT");
+
+    await notify(
+      locked.offer.from_user_id,
+      "trade_countered",
+      "🔁 Contre-offre",
+      `${req.user.name} te propose plutôt ${tradeSummary(cleanTradeItems(req.body?.give), Number(req.body?.money || 0) | 0)} contre ${tradeSummary(cleanTradeItems(req.body?.take), 0)}`,
+      { tradeId: r.id }
+    );
+    res.json({ ok: true, tradeId: r.id });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("❌ /api/trades/counter failed:", e);
+    res.status(500).json({ error: "Trade counter failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// =========================
+// MARKETPLACE ROUTES
+// =========================
+
+// Ligne market_listings (ou enchère) -> collection de userId, avec binder fields + imageHigh
+// -> { game, setId } pour les succès
+async function addListingToCollection(client, userId, l, qty, now) {
+  // ✅ Fallback parse si jamais vieux listing sans colonnes
+  const key = String(l.idkey || l.idKey || "");
+  const ids = parseIdKeyServer(key);
+
+  const gameFinal = (l.game || ids.game || "pokemon");
+  const cardIdFinal  = (l.cardid  || l.cardId  || ids.cardId  || null);
+  const setIdFinal   = (l.setid   || l.setId   || ids.setId   || null);
+  const localIdFinal = (l.localid || l.localId || ids.localId || null);
+  const imageHighFinal = (l.imagehigh || l.imageHigh || l.image);
+
+  await client.query(
+    `
+    INSERT INTO collection
+      (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt)
+    VALUES
+      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+    ON CONFLICT (user_id, idKey)
+    DO UPDATE SET
+      count = collection.count + EXCLUDED.count,
+      grade = GREATEST(collection.grade, EXCLUDED.grade),
+      mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
+      imageHigh = COALESCE(collection.imageHigh, EXCLUDED.imageHigh),
+      lastAt = EXCLUDED.lastAt,
+      cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
+      setId  = COALESCE(collection.setId,  EXCLUDED.setId),
+      localId= COALESCE(collection.localId,EXCLUDED.localId)
+    `,
+    [
+      userId,
+      key,
+      gameFinal,
+      cardIdFinal,
+      setIdFinal,
+      localIdFinal,
+      l.name,
+      l.setname || l.setName,
+      l.image,
+      imageHighFinal,
+      l.grade,
+      l.mint ? 1 : 0,
+      qty,
+      now,
+    ]
+  );
+
+  return { game: gameFinal, setId: setIdFinal };
+}
+
+// Listing verrouillé (FOR UPDATE) -> qty exemplaires retirés du stock (supprimé s'il est vide)
+async function takeFromListing(client, l, qty) {
+  if (Number(l.qty) === qty) {
+    await client.query(`DELETE FROM market_listings WHERE id=$1`, [l.id]);
+  } else {
+    await client.query(`UPDATE market_listings SET qty = qty - $2 WHERE id=$1`, [l.id, qty]);
+  }
+}
+
+// Listing verrouillé (FOR UPDATE) -> qty cartes rendues au vendeur (annulation ou échéance)
+async function returnListingToSeller(client, l, qty, now) {
+  await addListingToCollection(client, l.seller_user_id, l, qty, now);
+  await takeFromListing(client, l, qty);
+}
+
+// Frais de vente : eco.market.feePct % du total, arrondi à l'inférieur
+function marketFee(eco, total) {
+  return Math.floor(total * eco.market.feePct / 100);
+}
+
+// Crédite le vendeur du total (type market_sale / auction_sale) puis retire les frais (market_fee).
+// Les frais ne vont à personne : ils sortent de la circulation. -> frais prélevés
+async function paySeller(client, eco, sellerId, total, meta, type = "market_sale") {
+  const fee = marketFee(eco, total);
+  await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [total, sellerId]);
+  await recordMoney(client, sellerId, type, total, meta, eco.version);
+  if (fee > 0) {
+    await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [fee, sellerId]);
+    await recordMoney(client, sellerId, "market_fee", -fee, { ...meta, total, feePct: eco.market.feePct }, eco.version);
+  }
+  return fee;
+}
+
+// "… pour 100💵" + frais éventuels
+function saleText(total, fee) {
+  return fee > 0 ? `${total}💵 (frais ${fee}💵, net ${total - fee}💵)` : `${total}💵`;
+}
+
+// GET market listings
+// =========================
+// MARKETPLACE ROUTES (MULTI GAME OK)
+// =========================
+
+// GET market listings
+app.get("/api/market", auth, async (req, res) => {
+  const q = String(req.query.search || "").toLowerCase().trim();
+  const sort = String(req.query.sort || "recent");
+  const game = getGame(req); // filtre par jeu (pokemon/onepiece)
+
+  // les ventes échues disparaissent tout de suite, même avant le passage de expireListings()
+  const params = [game, Date.now()];
+  let where = `WHERE m.game = $1 AND m.expiresAt > $2`;
+
+  if (q) {
+    params.push(`%${q}%`);
+    where += ` AND (LOWER(m.name) LIKE $3 OR LOWER(m.setName) LIKE $3)`;
+  }
+
+  let order = "m.createdAt DESC";
+  if (sort === "price") order = "m.price ASC, m.createdAt DESC";
+  if (sort === "grade") order = "m.grade DESC, m.createdAt DESC";
+  if (sort === "name") order = "m.name ASC, m.createdAt DESC";
+
+  const { rows } = await pool.query(
+    `
+    SELECT 
+      m.id,
+      m.seller_user_id AS "sellerUserId",
+      u.name AS "sellerName",
+      m.idKey,
+      m.game,
+      m.name,
+      m.setName,
+      m.image,
+      m.grade,
+      m.mint,
+      m.price,
+      m.qty,
+      m.createdAt,
+      m.expiresAt
+    FROM market_listings m
+    JOIN users u ON u.id = m.seller_user_id
+    ${where}
+    ORDER BY ${order}
+    LIMIT 200
+    `,
+    params
+  );
+
+  const lastSales = await lastSalesFor(pool, [...new Set(rows.map(r => r.idkey || r.idKey))]);
+
+  res.json({
+    listings: rows.map((r) => ({
+      ...r,
+      game: r.game || "pokemon",
+      mint: Boolean(r.mint),
+      idKey: r.idkey || r.idKey,
+      setName: r.setname || r.setName,
+      sellerName: r.sellerName || r.sellername,
+      expiresAt: Number(r.expiresat ?? r.expiresAt),
+      lastSale: lastSales.get(r.idkey || r.idKey) || null,
+    })),
+    feePct: (await getEconomy()).market.feePct,
+  });
+});
+
+// POST create listing ({ idKey, qty, price, hours? } : durée entre minHours et maxHours, defaultHours sinon)
+app.post("/api/market/list", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const idKey = String(req.body?.idKey || "");
+  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
+  const price = Math.max(1, Number(req.body?.price || 1) | 0);
+  const { defaultHours, minHours, maxHours } = eco.market.listing;
+  const hours = req.body?.hours == null ? defaultHours : Number(req.body.hours) | 0;
+
+  if (!idKey) return res.status(400).json({ error: "Missing idKey" });
+  if (hours < minHours || hours > maxHours) {
+    return res.status(400).json({ error: `Durée entre ${minHours} et ${maxHours} heures` });
+  }
+
+  // game vient de l'idKey (game__...__...__...)
+  const safeGame = resolveGame(idKey.split("__")[0]);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // ✅ On récupère aussi cardId/setId/localId/imageHigh depuis la collection
+    const cQ = await client.query(
+      `SELECT game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count
+       FROM collection
+       WHERE user_id=$1 AND idKey=$2
+       FOR UPDATE`,
+      [req.user.id, idKey]
+    );
+
+    const it = cQ.rows[0];
+    if (!it) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not owned" });
     }
     if (Number(it.count) < qty) {
       await client.query("ROLLBACK");
@@ -2607,357 +3758,1353 @@ app.post("/api/market/list", auth, async (req, res) => {
     }
 
     const now = Date.now();
-
-    // ✅ On stocke tout dans market_listings (y compris binder ids + imageHigh)
+    const expiresAt = now + hours * 60 * 60 * 1000;
+
+    // ✅ On stocke tout dans market_listings (y compris binder ids + imageHigh)
+    const ins = await client.query(
+      `INSERT INTO market_listings
+        (seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, price, qty, createdAt, expiresAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+       RETURNING id`,
+      [
+        req.user.id,
+        idKey,
+        it.game || safeGame,
+        it.cardid || it.cardId || null,
+        it.setid  || it.setId  || null,
+        it.localid|| it.localId|| null,
+        it.name,
+        it.setname || it.setName,
+        it.image,
+        it.imagehigh || it.imageHigh || it.image,
+        it.grade,
+        it.mint ? 1 : 0,
+        price,
+        qty,
+        now,
+        expiresAt,
+      ]
+    );
+    const listingId = ins.rows[0].id;
+
+    // ordres d'achat compatibles : remplis tout de suite, dans la même transaction
+    const fill = await fillBuyOrders(client, eco, {
+      ...it,
+      id: listingId,
+      seller_user_id: req.user.id,
+      idKey,
+      game: it.game || safeGame,
+      price,
+      qty,
+    }, now);
+
+    await client.query("COMMIT");
+    await afterBuyOrders(fill.after);
+
+    res.json({ ok: true, listingId, sold: fill.sold, remaining: qty - fill.sold, expiresAt });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: "Market list failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST buy listing
+app.post("/api/market/buy", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+  const eco = await getEconomy();
+
+  const listingId = Number(req.body?.listingId || 0) | 0;
+  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
+  if (!listingId) return res.status(400).json({ error: "Missing listingId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // ✅ On récupère aussi binder ids + imageHigh
+    const lQ = await client.query(
+      `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, price, qty, expiresAt
+       FROM market_listings
+       WHERE id=$1
+       FOR UPDATE`,
+      [listingId]
+    );
+
+    const l = lQ.rows[0];
+    if (!l) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Listing introuvable" });
+    }
+    if (Number(l.expiresat ?? l.expiresAt) <= Date.now()) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Vente expirée" });
+    }
+    if (Number(l.qty) < qty) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Plus assez en stock" });
+    }
+    if (Number(l.seller_user_id) === Number(req.user.id)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Tu ne peux pas acheter ta propre vente" });
+    }
+
+    // lock buyer money
+    const bQ = await client.query(`SELECT money FROM users WHERE id=$1 FOR UPDATE`, [req.user.id]);
+    const buyerMoney = Number(bQ.rows[0]?.money ?? 0);
+    const total = Number(l.price) * qty;
+
+    if (buyerMoney < total) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Pas assez de Pokédollars" });
+    }
+
+    // move money
+    await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [total, req.user.id]);
+
+    const tradeMeta = { listingId, idKey: String(l.idkey || l.idKey || ""), qty, price: Number(l.price) };
+    await recordMoney(client, req.user.id, "market_buy", -total, { ...tradeMeta, sellerId: Number(l.seller_user_id) }, eco.version);
+    const fee = await paySeller(client, eco, l.seller_user_id, total, { ...tradeMeta, buyerId: Number(req.user.id) });
+
+    const { game: gameFinal, setId: setIdFinal } = await addListingToCollection(client, req.user.id, l, qty, Date.now());
+    await recordSale(client, {
+      idKey: tradeMeta.idKey, game: gameFinal, name: l.name, grade: l.grade, mint: l.mint,
+      price: Number(l.price), qty, fee, sellerId: l.seller_user_id, buyerId: req.user.id, source: "listing"
+    });
+
+    // update/remove listing stock
+    await takeFromListing(client, l, qty);
+
+    await trackQuests(client, req.user.id, "market_buy", [{ game: gameFinal, amount: qty }]);
+
+    await client.query("COMMIT");
+    queueAchievements(req.user.id, { sets: [{ game: gameFinal, setId: setIdFinal }] });
+
+    // notif vendeur (hors transaction)
+    await notify(
+      l.seller_user_id,
+      "sale",
+      "💰 Vente réussie !",
+      `${qty}× ${l.name} vendu pour ${saleText(total, fee)}`
+    );
+
+    const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
+    res.json({ ok: true, money: me.rows[0]?.money || 0 });
+
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: "Buy failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// GET my listings
+app.get("/api/market/mine", auth, async (req, res) => {
+  const { rows } = await pool.query(
+    `
+    SELECT 
+      m.id,
+      m.seller_user_id AS "sellerUserId",
+      u.name AS "sellerName",
+      m.idKey,
+      m.game,
+      m.name,
+      m.setName,
+      m.image,
+      m.grade,
+      m.mint,
+      m.price,
+      m.qty,
+      m.createdAt,
+      m.expiresAt
+    FROM market_listings m
+    JOIN users u ON u.id = m.seller_user_id
+    WHERE m.seller_user_id = $1
+    ORDER BY m.createdAt DESC
+    LIMIT 200
+    `,
+    [req.user.id]
+  );
+
+  res.json({
+    listings: rows.map((r) => ({
+      ...r,
+      game: r.game || "pokemon",
+      mint: Boolean(r.mint),
+      idKey: r.idkey || r.idKey,
+      setName: r.setname || r.setName,
+      sellerName: r.sellerName || r.sellername,
+      expiresAt: Number(r.expiresat ?? r.expiresAt),
+    })),
+  });
+});
+
+// POST cancel listing (return cards to seller)
+app.post("/api/market/cancel", auth, async (req, res) => {
+  const listingId = Number(req.body?.listingId || 0) | 0;
+  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
+  if (!listingId) return res.status(400).json({ error: "Missing listingId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const lQ = await client.query(
+      `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, qty
+       FROM market_listings
+       WHERE id=$1
+       FOR UPDATE`,
+      [listingId]
+    );
+    const l = lQ.rows[0];
+
+    if (!l) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Listing introuvable" });
+    }
+    if (Number(l.seller_user_id) !== Number(req.user.id)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Interdit" });
+    }
+    if (Number(l.qty) < qty) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Quantité invalide" });
+    }
+
+    await returnListingToSeller(client, l, qty, Date.now());
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: "Cancel failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// Ventes échues -> cartes rendues au vendeur, comme une annulation (SKIP LOCKED, voir settleAuctions)
+async function expireListings() {
+  const due = await pool.query(
+    `SELECT id FROM market_listings WHERE expiresAt <= $1 ORDER BY expiresAt ASC LIMIT 50`,
+    [Date.now()]
+  );
+
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const lQ = await client.query(
+        `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, qty
+         FROM market_listings
+         WHERE id=$1 AND expiresAt <= $2
+         FOR UPDATE SKIP LOCKED`,
+        [id, Date.now()]
+      );
+      const l = lQ.rows[0];
+      if (!l) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      await returnListingToSeller(client, l, Number(l.qty), Date.now());
+      await client.query("COMMIT");
+
+      await notify(
+        l.seller_user_id,
+        "listing_expired",
+        "⏱️ Vente expirée",
+        `${l.qty}× ${l.name} invendu : la carte revient dans ta collection`
+      ).catch(e => console.log("❌ listing notify failed:", e.message));
+    } catch (e) {
+      try { await client.query("ROLLBACK"); } catch {}
+      console.error(`❌ listing ${id} expiry failed:`, e);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// =========================
+// MARKET AUCTIONS
+// =========================
+// La carte quitte la collection du vendeur à la création. Chaque offre bloque les Dollax de
+// l'enchérisseur ; l'offre précédente est rendue (auction_refund) et son auteur prévenu.
+// À endsAt, settleAuctions() donne la carte au meilleur enchérisseur et la mise au vendeur,
+// ou rend la carte au vendeur s'il n'y a pas eu d'offre. L'achat immédiat (buyNow) clôt tout de suite.
+const MARKET_SETTLE_EVERY_MS = 30 * 1000;
+
+const AUCTION_COLUMNS = `id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh,
+  grade, mint, startBid, buyNow, topBid, topBidder, status, endsAt`;
+
+// offre minimale acceptée
+function auctionMinBid(eco, a) {
+  const top = Number(a.topbid ?? a.topBid ?? 0);
+  if (!top) return Number(a.startbid ?? a.startBid);
+  return top + Math.max(1, Math.ceil(top * eco.market.auction.minIncrementPct / 100));
+}
+
+function auctionJson(eco, r) {
+  const topBid = r.topbid ?? r.topBid;
+  return {
+    id: r.id,
+    sellerUserId: r.sellerUserId ?? r.selleruserid,
+    sellerName: r.sellerName ?? r.sellername,
+    idKey: r.idkey || r.idKey,
+    game: r.game,
+    name: r.name,
+    setName: r.setname || r.setName,
+    image: r.image,
+    imageHigh: r.imagehigh || r.imageHigh || r.image,
+    grade: r.grade,
+    mint: Boolean(r.mint),
+    startBid: Number(r.startbid ?? r.startBid),
+    buyNow: (r.buynow ?? r.buyNow) == null ? null : Number(r.buynow ?? r.buyNow),
+    topBid: topBid == null ? null : Number(topBid),
+    topBidderName: r.topBidderName ?? r.topbiddername ?? null,
+    bids: Number(r.bids || 0),
+    minBid: auctionMinBid(eco, r),
+    status: r.status,
+    endsAt: Number(r.endsat ?? r.endsAt),
+    createdAt: Number(r.createdat ?? r.createdAt)
+  };
+}
+
+// Enchère verrouillée (FOR UPDATE) -> carte au gagnant + mise au vendeur, ou carte rendue au vendeur.
+// -> notifications / succès à envoyer après COMMIT
+async function finishAuction(client, eco, a, now) {
+  const seller = Number(a.seller_user_id);
+  const winner = a.topbidder ?? a.topBidder;
+  const price = Number(a.topbid ?? a.topBid ?? 0);
+  const after = { notes: [], achievements: null };
+
+  if (winner == null) {
+    await addListingToCollection(client, seller, a, 1, now);
+    await client.query(`UPDATE market_auctions SET status='unsold', settledAt=$2 WHERE id=$1`, [a.id, now]);
+    after.notes.push([seller, "auction_unsold", "⏱️ Enchère terminée", `Aucune offre pour ${a.name} : la carte revient dans ta collection`]);
+    return after;
+  }
+
+  // la mise est déjà bloquée sur le compte du gagnant : seul le vendeur bouge
+  const fee = await paySeller(client, eco, seller, price, {
+    auctionId: a.id,
+    idKey: String(a.idkey || a.idKey || ""),
+    buyerId: Number(winner)
+  }, "auction_sale");
+
+  const { game, setId } = await addListingToCollection(client, winner, a, 1, now);
+  await recordSale(client, {
+    idKey: String(a.idkey || a.idKey || ""), game, name: a.name, grade: a.grade, mint: a.mint,
+    price, qty: 1, fee, sellerId: seller, buyerId: winner, source: "auction", at: now
+  });
+  await client.query(`UPDATE market_auctions SET status='sold', settledAt=$2 WHERE id=$1`, [a.id, now]);
+  await trackQuests(client, winner, "market_buy", [{ game, amount: 1 }]);
+
+  after.notes.push([winner, "auction_won", "🏆 Enchère remportée !", `${a.name} est à toi pour ${price}💵`]);
+  after.notes.push([seller, "auction_sold", "💰 Enchère vendue !", `${a.name} vendu pour ${saleText(price, fee)}`]);
+  after.achievements = [winner, { sets: [{ game, setId }] }];
+  return after;
+}
+
+async function afterAuction(after) {
+  if (after.achievements) queueAchievements(...after.achievements);
+  for (const [userId, type, title, body] of after.notes) {
+    await notify(userId, type, title, body).catch(e => console.log("❌ auction notify failed:", e.message));
+  }
+}
+
+// Clôture des enchères échues (SKIP LOCKED : plusieurs instances peuvent tourner en même temps)
+async function settleAuctions() {
+  const eco = await getEconomy();
+  const due = await pool.query(
+    `SELECT id FROM market_auctions WHERE status='open' AND endsAt <= $1 ORDER BY endsAt ASC LIMIT 50`,
+    [Date.now()]
+  );
+
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const aQ = await client.query(
+        `SELECT ${AUCTION_COLUMNS} FROM market_auctions WHERE id=$1 AND status='open' FOR UPDATE SKIP LOCKED`,
+        [id]
+      );
+      if (!aQ.rows[0]) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      const after = await finishAuction(client, eco, aQ.rows[0], Date.now());
+      await client.query("COMMIT");
+      await afterAuction(after);
+    } catch (e) {
+      try { await client.query("ROLLBACK"); } catch {}
+      console.error(`❌ auction ${id} settle failed:`, e);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// enchères échues + ventes à prix fixe échues
+function startMarketSettler() {
+  const run = async () => {
+    await settleAuctions().catch(e => console.error("❌ auction settler failed:", e));
+    await expireListings().catch(e => console.error("❌ listing expiry failed:", e));
+  };
+  run();
+  setInterval(run, MARKET_SETTLE_EVERY_MS).unref();
+}
+
+// GET enchères en cours du jeu
+app.get("/api/market/auctions", auth, async (req, res) => {
+  const q = String(req.query.search || "").toLowerCase().trim();
+  const sort = String(req.query.sort || "ending");
+  const game = getGame(req);
+  const eco = await getEconomy();
+
+  const params = [game];
+  let where = `WHERE a.game = $1 AND a.status = 'open'`;
+
+  if (q) {
+    params.push(`%${q}%`);
+    where += ` AND (LOWER(a.name) LIKE $2 OR LOWER(a.setName) LIKE $2)`;
+  }
+
+  let order = "a.endsAt ASC";
+  if (sort === "recent") order = "a.createdAt DESC";
+  if (sort === "price") order = "COALESCE(a.topBid, a.startBid) ASC, a.endsAt ASC";
+  if (sort === "grade") order = "a.grade DESC, a.endsAt ASC";
+
+  const { rows } = await pool.query(
+    `
+    SELECT a.*, a.seller_user_id AS "sellerUserId", u.name AS "sellerName", b.name AS "topBidderName",
+      (SELECT COUNT(*) FROM market_bids mb WHERE mb.auction_id = a.id) AS bids
+    FROM market_auctions a
+    JOIN users u ON u.id = a.seller_user_id
+    LEFT JOIN users b ON b.id = a.topBidder
+    ${where}
+    ORDER BY ${order}
+    LIMIT 200
+    `,
+    params
+  );
+
+  res.json({
+    auctions: rows.map(r => ({ ...auctionJson(eco, r), mine: Number(r.seller_user_id) === Number(req.user.id) }))
+  });
+});
+
+// GET mes enchères : celles que je vends (toutes) et celles où j'ai enchéri
+app.get("/api/market/auctions/mine", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const select = `
+    SELECT a.*, a.seller_user_id AS "sellerUserId", u.name AS "sellerName", b.name AS "topBidderName",
+      (SELECT COUNT(*) FROM market_bids mb WHERE mb.auction_id = a.id) AS bids
+    FROM market_auctions a
+    JOIN users u ON u.id = a.seller_user_id
+    LEFT JOIN users b ON b.id = a.topBidder`;
+
+  const [selling, bidding] = await Promise.all([
+    pool.query(`${select} WHERE a.seller_user_id = $1 ORDER BY a.createdAt DESC LIMIT 100`, [req.user.id]),
+    pool.query(
+      `${select}
+       WHERE a.id IN (SELECT DISTINCT auction_id FROM market_bids WHERE user_id = $1)
+       ORDER BY a.endsAt DESC LIMIT 100`,
+      [req.user.id]
+    )
+  ]);
+
+  res.json({
+    selling: selling.rows.map(r => auctionJson(eco, r)),
+    bidding: bidding.rows.map(r => ({ ...auctionJson(eco, r), leading: Number(r.topbidder ?? r.topBidder) === Number(req.user.id) }))
+  });
+});
+
+// POST { idKey, startBid, buyNow?, hours } -> met 1 exemplaire aux enchères
+app.post("/api/market/auctions", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const { minHours, maxHours } = eco.market.auction;
+
+  const idKey = String(req.body?.idKey || "");
+  const startBid = Number(req.body?.startBid) | 0;
+  const buyNow = req.body?.buyNow == null || req.body.buyNow === "" ? null : Number(req.body.buyNow) | 0;
+  const hours = Number(req.body?.hours) | 0;
+
+  if (!idKey) return res.status(400).json({ error: "Missing idKey" });
+  if (startBid < 1) return res.status(400).json({ error: "Mise de départ invalide" });
+  if (buyNow != null && buyNow <= startBid) {
+    return res.status(400).json({ error: "L'achat immédiat doit dépasser la mise de départ" });
+  }
+  if (hours < minHours || hours > maxHours) {
+    return res.status(400).json({ error: `Durée : ${minHours} à ${maxHours} h` });
+  }
+
+  const safeGame = resolveGame(idKey.split("__")[0]);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const cQ = await client.query(
+      `SELECT game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count
+       FROM collection
+       WHERE user_id=$1 AND idKey=$2
+       FOR UPDATE`,
+      [req.user.id, idKey]
+    );
+    const it = cQ.rows[0];
+    if (!it) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not owned" });
+    }
+
+    if (Number(it.count) === 1) {
+      await client.query(`DELETE FROM collection WHERE user_id=$1 AND idKey=$2`, [req.user.id, idKey]);
+    } else {
+      await client.query(`UPDATE collection SET count = count - 1 WHERE user_id=$1 AND idKey=$2`, [req.user.id, idKey]);
+    }
+
+    const now = Date.now();
+    const ins = await client.query(
+      `INSERT INTO market_auctions
+        (seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint,
+         startBid, buyNow, endsAt, createdAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+       RETURNING id, endsAt`,
+      [
+        req.user.id,
+        idKey,
+        it.game || safeGame,
+        it.cardid || it.cardId || null,
+        it.setid || it.setId || null,
+        it.localid || it.localId || null,
+        it.name,
+        it.setname || it.setName,
+        it.image,
+        it.imagehigh || it.imageHigh || it.image,
+        it.grade,
+        it.mint ? 1 : 0,
+        startBid,
+        buyNow,
+        now + hours * 60 * 60 * 1000,
+        now,
+      ]
+    );
+
+    await client.query("COMMIT");
+    res.json({ ok: true, auctionId: ins.rows[0].id, endsAt: Number(ins.rows[0].endsat ?? ins.rows[0].endsAt) });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("❌ /api/market/auctions failed:", e);
+    res.status(500).json({ error: "Auction create failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST { auctionId, amount } -> enchérit (amount >= buyNow : achat immédiat au prix buyNow)
+app.post("/api/market/auctions/bid", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+  const eco = await getEconomy();
+
+  const auctionId = Number(req.body?.auctionId || 0) | 0;
+  const buyNowRequested = Boolean(req.body?.buyNow);
+  let amount = Number(req.body?.amount || 0) | 0;
+  if (!auctionId) return res.status(400).json({ error: "Missing auctionId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const aQ = await client.query(`SELECT ${AUCTION_COLUMNS} FROM market_auctions WHERE id=$1 FOR UPDATE`, [auctionId]);
+    const a = aQ.rows[0];
+    const now = Date.now();
+
+    if (!a) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Enchère introuvable" });
+    }
+    if (a.status !== "open" || Number(a.endsat ?? a.endsAt) <= now) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Enchère terminée" });
+    }
+    if (Number(a.seller_user_id) === Number(req.user.id)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Tu ne peux pas enchérir sur ta propre vente" });
+    }
+
+    const buyNow = a.buynow ?? a.buyNow;
+    if (buyNowRequested) {
+      if (buyNow == null) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Pas d'achat immédiat sur cette enchère" });
+      }
+      amount = Number(buyNow);
+    }
+    const instant = buyNow != null && amount >= Number(buyNow);
+    if (instant) amount = Number(buyNow);
+
+    const minBid = auctionMinBid(eco, a);
+    if (!instant && amount < minBid) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `Offre minimale : ${minBid}💵` });
+    }
+
+    // rend la mise bloquée de l'ancien meilleur enchérisseur (éventuellement moi-même)
+    const prevBidder = a.topbidder ?? a.topBidder;
+    const prevBid = Number(a.topbid ?? a.topBid ?? 0);
+    if (prevBidder != null) {
+      await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [prevBid, prevBidder]);
+      await recordMoney(client, prevBidder, "auction_refund", prevBid, { auctionId, outbidBy: Number(req.user.id) }, eco.version);
+    }
+
+    const bQ = await client.query(`SELECT money FROM users WHERE id=$1 FOR UPDATE`, [req.user.id]);
+    if (Number(bQ.rows[0]?.money ?? 0) < amount) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Pas assez de Pokédollars" });
+    }
+
+    await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [amount, req.user.id]);
+    await recordMoney(client, req.user.id, "auction_bid", -amount, { auctionId, idKey: String(a.idkey || a.idKey || ""), buyNow: instant }, eco.version);
+
+    await client.query(
+      `INSERT INTO market_bids (auction_id, user_id, amount, createdAt) VALUES ($1,$2,$3,$4)`,
+      [auctionId, req.user.id, amount, now]
+    );
+    await client.query(`UPDATE market_auctions SET topBid=$2, topBidder=$3 WHERE id=$1`, [auctionId, amount, req.user.id]);
+
+    let after = { notes: [], achievements: null };
+    if (instant) {
+      after = await finishAuction(client, eco, { ...a, topbid: amount, topbidder: req.user.id }, now);
+    }
+
+    await client.query("COMMIT");
+
+    if (prevBidder != null && Number(prevBidder) !== Number(req.user.id)) {
+      after.notes.push([
+        prevBidder,
+        "auction_outbid",
+        "📣 Surenchère !",
+        instant
+          ? `${a.name} a été acheté immédiatement : tes ${prevBid}💵 te sont rendus`
+          : `Nouvelle offre de ${amount}💵 sur ${a.name} : tes ${prevBid}💵 te sont rendus`
+      ]);
+    }
+    await afterAuction(after);
+
+    const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
+    res.json({ ok: true, won: instant, amount, money: me.rows[0]?.money || 0 });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("❌ /api/market/auctions/bid failed:", e);
+    res.status(500).json({ error: "Bid failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST { auctionId } -> annule une enchère sans offre (la carte revient au vendeur)
+app.post("/api/market/auctions/cancel", auth, async (req, res) => {
+  const auctionId = Number(req.body?.auctionId || 0) | 0;
+  if (!auctionId) return res.status(400).json({ error: "Missing auctionId" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const aQ = await client.query(`SELECT ${AUCTION_COLUMNS} FROM market_auctions WHERE id=$1 FOR UPDATE`, [auctionId]);
+    const a = aQ.rows[0];
+
+    if (!a) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Enchère introuvable" });
+    }
+    if (Number(a.seller_user_id) !== Number(req.user.id)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Interdit" });
+    }
+    if (a.status !== "open") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Enchère terminée" });
+    }
+    if ((a.topbidder ?? a.topBidder) != null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Impossible d'annuler : il y a déjà une offre" });
+    }
+
+    const now = Date.now();
+    await addListingToCollection(client, req.user.id, a, 1, now);
+    await client.query(`UPDATE market_auctions SET status='unsold', settledAt=$2 WHERE id=$1`, [auctionId, now]);
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: "Cancel failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// =========================
+// MARKET BUY ORDERS
+// =========================
+// "Je paie jusqu'à maxPrice par exemplaire de idKey, grade >= minGrade" : maxPrice x qty est bloqué
+// à la création (buy_order). Un ordre est rempli :
+//  - à sa création par les mises en vente déjà présentes (fillOrderFromListings) : les moins chères
+//    d'abord puis les plus anciennes ;
+//  - ensuite par chaque nouvelle mise en vente compatible, dans la transaction de /api/market/list
+//    (fillBuyOrders) : meilleur prix d'abord puis le plus ancien.
+// Toujours au prix de la vente ; l'écart avec maxPrice revient à l'acheteur (buy_order_refund).
+const BUY_ORDER_MAX_QTY = 99;
+const BUY_ORDER_MAX_OPEN = 50;
+
+function buyOrderJson(r) {
+  return {
+    id: r.id,
+    idKey: r.idkey || r.idKey,
+    game: r.game,
+    name: r.name,
+    setName: r.setname ?? r.setName,
+    image: r.image,
+    maxPrice: Number(r.maxprice ?? r.maxPrice),
+    minGrade: Number(r.mingrade ?? r.minGrade),
+    qty: Number(r.qty),
+    filled: Number(r.filled || 0),
+    status: r.status,
+    createdAt: Number(r.createdat ?? r.createdAt),
+    closedAt: (r.closedat ?? r.closedAt) == null ? null : Number(r.closedat ?? r.closedAt)
+  };
+}
+
+// Listing tout juste créé (verrouillé par la transaction de /api/market/list) -> ordres remplis.
+// -> { sold, after: { notes, achievements } } (notifications / succès à envoyer après COMMIT)
+async function fillBuyOrders(client, eco, listing, now) {
+  const after = { notes: [], achievements: [] };
+  const price = Number(listing.price);
+  let remaining = Number(listing.qty);
+
+  const oQ = await client.query(
+    `SELECT id, user_id, maxPrice, qty
+     FROM market_buy_orders
+     WHERE idKey=$1 AND status='open' AND minGrade <= $2 AND maxPrice >= $3 AND user_id <> $4
+     ORDER BY maxPrice DESC, createdAt ASC
+     LIMIT 50
+     FOR UPDATE`,
+    [listing.idKey, listing.grade, price, listing.seller_user_id]
+  );
+
+  let sold = 0;
+  const orderIds = [];
+  for (const o of oQ.rows) {
+    if (remaining <= 0) break;
+    const n = Math.min(Number(o.qty), remaining);
+    const buyer = Number(o.user_id);
+    const maxPrice = Number(o.maxprice ?? o.maxPrice);
+
+    // frais calculés une fois sur le total vendu (paySeller plus bas) : part de cet ordre pour market_sales
+    const fee = marketFee(eco, price * (sold + n)) - marketFee(eco, price * sold);
+
+    const refund = (maxPrice - price) * n;
+    if (refund > 0) {
+      await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [refund, buyer]);
+      await recordMoney(client, buyer, "buy_order_refund", refund, { orderId: o.id, idKey: listing.idKey, qty: n, price }, eco.version);
+    }
+
+    const { game, setId } = await addListingToCollection(client, buyer, listing, n, now);
+    await recordSale(client, {
+      idKey: listing.idKey, game, name: listing.name, grade: listing.grade, mint: listing.mint,
+      price, qty: n, fee, sellerId: listing.seller_user_id, buyerId: buyer, source: "buy_order", at: now
+    });
+    await client.query(
+      `UPDATE market_buy_orders
+       SET qty = qty - $2, filled = filled + $2,
+           status = CASE WHEN qty = $2 THEN 'filled' ELSE status END,
+           closedAt = CASE WHEN qty = $2 THEN $3 ELSE closedAt END
+       WHERE id=$1`,
+      [o.id, n, now]
+    );
+    await trackQuests(client, buyer, "market_buy", [{ game, amount: n }]);
+
+    after.notes.push([buyer, "buy_order_filled", "🛒 Ordre d'achat exécuté !", `${n}× ${listing.name} (G${listing.grade}) acheté ${price}💵 pièce`]);
+    after.achievements.push([buyer, { sets: [{ game, setId }] }]);
+
+    orderIds.push(o.id);
+    remaining -= n;
+    sold += n;
+  }
+
+  if (sold) {
+    const fees = await paySeller(client, eco, listing.seller_user_id, sold * price, {
+      listingId: listing.id, orderIds, idKey: listing.idKey, qty: sold, price
+    });
+    await takeFromListing(client, listing, sold);
+    after.notes.push([
+      listing.seller_user_id,
+      "sale",
+      "💰 Vente réussie !",
+      `${sold}× ${listing.name} vendu à des ordres d'achat pour ${saleText(sold * price, fees)}`
+    ]);
+  }
+
+  return { sold, after };
+}
+
+// Ordre tout juste créé (fonds bloqués, ligne insérée par /api/market/orders) -> mises en vente
+// existantes compatibles achetées dans la même transaction. -> { bought, after } (voir fillBuyOrders)
+async function fillOrderFromListings(client, eco, order, now) {
+  const after = { notes: [], achievements: [] };
+  const buyer = Number(order.user_id);
+  const maxPrice = Number(order.maxPrice);
+  let remaining = Number(order.qty);
+
+  const lQ = await client.query(
+    `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, price, qty
+     FROM market_listings
+     WHERE idKey=$1 AND grade >= $2 AND price <= $3 AND seller_user_id <> $4 AND expiresAt > $5
+     ORDER BY price ASC, createdAt ASC
+     LIMIT 50
+     FOR UPDATE`,
+    [order.idKey, order.minGrade, maxPrice, buyer, now]
+  );
+
+  let bought = 0;
+  let spent = 0;
+  const quests = [];
+  const sets = [];
+  for (const l of lQ.rows) {
+    if (remaining <= 0) break;
+    const n = Math.min(Number(l.qty), remaining);
+    const price = Number(l.price);
+    const total = price * n;
+    const sellerId = Number(l.seller_user_id);
+
+    const fee = await paySeller(client, eco, sellerId, total, {
+      listingId: l.id, orderId: order.id, idKey: order.idKey, qty: n, price, buyerId: buyer
+    });
+
+    const { game, setId } = await addListingToCollection(client, buyer, l, n, now);
+    await recordSale(client, {
+      idKey: order.idKey, game, name: l.name, grade: l.grade, mint: l.mint,
+      price, qty: n, fee, sellerId, buyerId: buyer, source: "buy_order", at: now
+    });
+    await takeFromListing(client, l, n);
+
+    after.notes.push([sellerId, "sale", "💰 Vente réussie !", `${n}× ${l.name} vendu à un ordre d'achat pour ${saleText(total, fee)}`]);
+    quests.push({ game, amount: n });
+    sets.push({ game, setId });
+
+    remaining -= n;
+    bought += n;
+    spent += total;
+  }
+
+  if (bought) {
+    const refund = maxPrice * bought - spent;
+    if (refund > 0) {
+      await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [refund, buyer]);
+      await recordMoney(client, buyer, "buy_order_refund", refund, { orderId: order.id, idKey: order.idKey, qty: bought, spent }, eco.version);
+    }
+    await client.query(
+      `UPDATE market_buy_orders
+       SET qty = qty - $2, filled = filled + $2,
+           status = CASE WHEN qty = $2 THEN 'filled' ELSE status END,
+           closedAt = CASE WHEN qty = $2 THEN $3 ELSE closedAt END
+       WHERE id=$1`,
+      [order.id, bought, now]
+    );
+    await trackQuests(client, buyer, "market_buy", quests);
+
+    after.notes.push([buyer, "buy_order_filled", "🛒 Ordre d'achat exécuté !", `${bought}× ${order.name} acheté pour ${spent}💵`]);
+    after.achievements.push([buyer, { sets }]);
+  }
+
+  return { bought, after };
+}
+
+async function afterBuyOrders(after) {
+  for (const a of after.achievements) queueAchievements(...a);
+  for (const [userId, type, title, body] of after.notes) {
+    await notify(userId, type, title, body).catch(e => console.log("❌ buy order notify failed:", e.message));
+  }
+}
+
+// GET mes ordres d'achat (?all=1 : aussi les ordres remplis / annulés récents)
+app.get("/api/market/orders", auth, async (req, res) => {
+  const all = String(req.query.all || "") === "1";
+  const { rows } = await pool.query(
+    `SELECT id, idKey, game, name, setName, image, maxPrice, minGrade, qty, filled, status, createdAt, closedAt
+     FROM market_buy_orders
+     WHERE user_id=$1 ${all ? "" : "AND status='open'"}
+     ORDER BY createdAt DESC
+     LIMIT 100`,
+    [req.user.id]
+  );
+  res.json({ orders: rows.map(buyOrderJson) });
+});
+
+// POST { idKey, maxPrice, minGrade?, qty? } -> bloque maxPrice x qty
+app.post("/api/market/orders", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+  const eco = await getEconomy();
+
+  const idKey = String(req.body?.idKey || "");
+  const maxPrice = Number(req.body?.maxPrice) | 0;
+  const minGrade = Math.max(0, Math.min(10, Number(req.body?.minGrade || 0) | 0));
+  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
+
+  // game__setId__localId__cardId, le cardId peut lui-même contenir "__" (Magic)
+  const ids = parseIdKeyServer(idKey);
+  const cardId = idKey.split("__").slice(3).join("__");
+  if (!idKey || !ids.setId || !cardId) return res.status(400).json({ error: "idKey invalide" });
+  if (maxPrice < 1) return res.status(400).json({ error: "Prix maximum invalide" });
+  if (qty > BUY_ORDER_MAX_QTY) return res.status(400).json({ error: `Quantité max : ${BUY_ORDER_MAX_QTY}` });
+
+  const game = resolveGame(ids.game);
+  let c;
+  try {
+    c = await findSetCard(game, ids.setId, cardId);
+  } catch (e) {
+    return res.status(502).json({ error: "set_cards failed" });
+  }
+  if (!c || idKeyFor(game, c) !== idKey) return res.status(404).json({ error: "Carte introuvable" });
+
+  const total = maxPrice * qty;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const bQ = await client.query(`SELECT money FROM users WHERE id=$1 FOR UPDATE`, [req.user.id]);
+    if (Number(bQ.rows[0]?.money ?? 0) < total) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Pas assez de Pokédollars" });
+    }
+
+    const openQ = await client.query(
+      `SELECT COUNT(*)::int AS n FROM market_buy_orders WHERE user_id=$1 AND status='open'`,
+      [req.user.id]
+    );
+    if (Number(openQ.rows[0].n) >= BUY_ORDER_MAX_OPEN) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `Maximum ${BUY_ORDER_MAX_OPEN} ordres ouverts` });
+    }
+
+    const now = Date.now();
     const ins = await client.query(
-      `INSERT INTO market_listings
-        (seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, price, qty, createdAt)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+      `INSERT INTO market_buy_orders (user_id, idKey, game, name, setName, image, maxPrice, minGrade, qty, createdAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
        RETURNING id`,
-      [
-        req.user.id,
-        idKey,
-        it.game || safeGame,
-        it.cardid || it.cardId || null,
-        it.setid  || it.setId  || null,
-        it.localid|| it.localId|| null,
-        it.name,
-        it.setname || it.setName,
-        it.image,
-        it.imagehigh || it.imageHigh || it.image,
-        it.grade,
-        it.mint ? 1 : 0,
-        price,
-        qty,
-        now,
-      ]
+      [req.user.id, idKey, game, c.name, c.set || "", c.imageHigh || c.image || "", maxPrice, minGrade, qty, now]
     );
+    const orderId = ins.rows[0].id;
+
+    await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [total, req.user.id]);
+    await recordMoney(client, req.user.id, "buy_order", -total, { orderId, idKey, qty, maxPrice, minGrade }, eco.version);
+
+    // mises en vente déjà compatibles : achetées tout de suite, dans la même transaction
+    const fill = await fillOrderFromListings(client, eco, {
+      id: orderId, user_id: req.user.id, idKey, name: c.name, maxPrice, minGrade, qty
+    }, now);
 
     await client.query("COMMIT");
-    res.json({ ok: true, listingId: ins.rows[0].id });
+    await afterBuyOrders(fill.after);
+
+    const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
+    res.json({ ok: true, orderId, filled: fill.bought, remaining: qty - fill.bought, money: me.rows[0]?.money || 0 });
   } catch (e) {
     await client.query("ROLLBACK");
-    res.status(500).json({ error: "Market list failed" });
+    console.error("❌ /api/market/orders failed:", e);
+    res.status(500).json({ error: "Buy order failed" });
   } finally {
     client.release();
   }
 });
 
-// POST buy listing
-app.post("/api/market/buy", auth, async (req, res) => {
-  await applyPayForUser(req.user.id);
-
-  const listingId = Number(req.body?.listingId || 0) | 0;
-  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
-  if (!listingId) return res.status(400).json({ error: "Missing listingId" });
+// POST { orderId } -> annule un ordre ouvert, rend les Dollax encore bloqués
+app.post("/api/market/orders/cancel", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const orderId = Number(req.body?.orderId || 0) | 0;
+  if (!orderId) return res.status(400).json({ error: "Missing orderId" });
 
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    // ✅ On récupère aussi binder ids + imageHigh
-    const lQ = await client.query(
-      `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, price, qty
-       FROM market_listings
-       WHERE id=$1
-       FOR UPDATE`,
-      [listingId]
+    const oQ = await client.query(
+      `SELECT id, user_id, idKey, maxPrice, qty, status FROM market_buy_orders WHERE id=$1 FOR UPDATE`,
+      [orderId]
     );
+    const o = oQ.rows[0];
 
-    const l = lQ.rows[0];
-    if (!l) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Listing introuvable" });
-    }
-    if (Number(l.qty) < qty) {
+    if (!o) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Plus assez en stock" });
+      return res.status(404).json({ error: "Ordre introuvable" });
     }
-    if (Number(l.seller_user_id) === Number(req.user.id)) {
+    if (Number(o.user_id) !== Number(req.user.id)) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Tu ne peux pas acheter ta propre vente" });
+      return res.status(403).json({ error: "Interdit" });
     }
-
-    // lock buyer money
-    const bQ = await client.query(`SELECT money FROM users WHERE id=$1 FOR UPDATE`, [req.user.id]);
-    const buyerMoney = Number(bQ.rows[0]?.money ?? 0);
-    const total = Number(l.price) * qty;
-
-    if (buyerMoney < total) {
+    if (o.status !== "open") {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Pas assez de Pokédollars" });
+      return res.status(400).json({ error: "Ordre déjà clos" });
     }
 
-    // move money
-    await client.query(`UPDATE users SET money = money - $1 WHERE id=$2`, [total, req.user.id]);
-    await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [total, l.seller_user_id]);
-
-    const now = Date.now();
-
-    // ✅ Fallback parse si jamais vieux listing sans colonnes
-    const key = String(l.idkey || l.idKey || "");
-    const ids = parseIdKeyServer(key);
-
-    const gameFinal = (l.game || ids.game || "pokemon");
-    const cardIdFinal  = (l.cardid  || l.cardId  || ids.cardId  || null);
-    const setIdFinal   = (l.setid   || l.setId   || ids.setId   || null);
-    const localIdFinal = (l.localid || l.localId || ids.localId || null);
-
-    const imageHighFinal = (l.imagehigh || l.imageHigh || l.image);
-
-    // ✅ remet en collection AVEC binder fields + imageHigh
+    const refund = Number(o.maxprice ?? o.maxPrice) * Number(o.qty);
     await client.query(
-      `
-      INSERT INTO collection
-        (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt)
-      VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
-      ON CONFLICT (user_id, idKey)
-      DO UPDATE SET
-        count = collection.count + EXCLUDED.count,
-        grade = GREATEST(collection.grade, EXCLUDED.grade),
-        mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
-        imageHigh = COALESCE(collection.imageHigh, EXCLUDED.imageHigh),
-        lastAt = EXCLUDED.lastAt,
-        cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
-        setId  = COALESCE(collection.setId,  EXCLUDED.setId),
-        localId= COALESCE(collection.localId,EXCLUDED.localId)
-      `,
-      [
-        req.user.id,
-        key,
-        gameFinal,
-        cardIdFinal,
-        setIdFinal,
-        localIdFinal,
-        l.name,
-        l.setname || l.setName,
-        l.image,
-        imageHighFinal,
-        l.grade,
-        l.mint ? 1 : 0,
-        qty,
-        now,
-      ]
+      `UPDATE market_buy_orders SET status='cancelled', closedAt=$2 WHERE id=$1`,
+      [orderId, Date.now()]
     );
-
-    // update/remove listing stock
-    if (Number(l.qty) === qty) {
-      await client.query(`DELETE FROM market_listings WHERE id=$1`, [listingId]);
-    } else {
-      await client.query(`UPDATE market_listings SET qty = qty - $2 WHERE id=$1`, [listingId, qty]);
-    }
+    await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [refund, req.user.id]);
+    await recordMoney(client, req.user.id, "buy_order_refund", refund, { orderId, idKey: o.idkey || o.idKey, cancelled: true }, eco.version);
 
     await client.query("COMMIT");
 
-    // notif vendeur (hors transaction)
-    await notify(
-      l.seller_user_id,
-      "sale",
-      "💰 Vente réussie !",
-      `${qty}× ${l.name} vendu pour ${total}💵`
-    );
-
     const me = await pool.query(`SELECT money FROM users WHERE id=$1`, [req.user.id]);
-    res.json({ ok: true, money: me.rows[0]?.money || 0 });
-
+    res.json({ ok: true, refund, money: me.rows[0]?.money || 0 });
   } catch (e) {
     await client.query("ROLLBACK");
-    res.status(500).json({ error: "Buy failed" });
+    res.status(500).json({ error: "Cancel failed" });
   } finally {
     client.release();
   }
 });
 
-// GET my listings
-app.get("/api/market/mine", auth, async (req, res) => {
+// =========================
+// MARKET SALE HISTORY
+// =========================
+// Une ligne par vente conclue (prix unitaire) : achat d'un listing, ordre d'achat rempli, enchère gagnée.
+// source: listing | buy_order | auction ; fee : frais prélevés au vendeur sur la ligne (voir paySeller)
+const MARKET_STATS_MAX_DAYS = 90;
+
+async function recordSale(db, sale) {
+  await db.query(
+    `INSERT INTO market_sales (idKey, game, name, grade, mint, price, qty, fee, seller_user_id, buyer_user_id, source, createdAt)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+    [
+      sale.idKey,
+      sale.game,
+      sale.name,
+      sale.grade,
+      sale.mint ? 1 : 0,
+      sale.price,
+      sale.qty,
+      sale.fee || 0,
+      sale.sellerId,
+      sale.buyerId,
+      sale.source,
+      sale.at || Date.now()
+    ]
+  );
+}
+
+// lignes { price, qty } -> moyenne pondérée par la quantité, min, max
+function saleSummary(rows) {
+  if (!rows.length) return { sales: 0, volume: 0, avg: null, min: null, max: null };
+  let volume = 0;
+  let total = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const r of rows) {
+    volume += r.qty;
+    total += r.price * r.qty;
+    min = Math.min(min, r.price);
+    max = Math.max(max, r.price);
+  }
+  return { sales: rows.length, volume, avg: Math.round(total / volume), min, max };
+}
+
+// idKeys -> Map idKey -> { price, grade, mint, at } (dernière vente)
+async function lastSalesFor(db, idKeys) {
+  const out = new Map();
+  if (!idKeys.length) return out;
+  const q = await db.query(
+    `SELECT DISTINCT ON (idKey) idKey, price, grade, mint, createdAt
+     FROM market_sales
+     WHERE idKey = ANY($1::text[])
+     ORDER BY idKey, id DESC`,
+    [idKeys]
+  );
+  for (const r of q.rows) {
+    out.set(r.idkey || r.idKey, {
+      price: Number(r.price),
+      grade: Number(r.grade),
+      mint: Boolean(r.mint),
+      at: Number(r.createdat ?? r.createdAt)
+    });
+  }
+  return out;
+}
+
+// GET ?idKey=&days= -> dernière vente, résumés 7 / 30 jours, volume par grade, série par jour (DAILY_TIMEZONE)
+app.get("/api/market/stats", auth, async (req, res) => {
+  const idKey = String(req.query.idKey || "");
+  if (!idKey) return res.status(400).json({ error: "Missing idKey" });
+  const days = Math.max(1, Math.min(MARKET_STATS_MAX_DAYS, Number(req.query.days || 30) | 0));
+
+  const now = Date.now();
+  const DAY = 24 * 60 * 60 * 1000;
+  const since = now - Math.max(days, 30) * DAY;
+
+  const [recentQ, last] = await Promise.all([
+    pool.query(
+      `SELECT price, qty, grade, mint, createdAt
+       FROM market_sales
+       WHERE idKey=$1 AND createdAt >= $2
+       ORDER BY createdAt ASC`,
+      [idKey, since]
+    ),
+    lastSalesFor(pool, [idKey])
+  ]);
+
+  const rows = recentQ.rows.map(r => ({
+    price: Number(r.price),
+    qty: Number(r.qty),
+    grade: Number(r.grade),
+    mint: Boolean(r.mint),
+    at: Number(r.createdat ?? r.createdAt)
+  }));
+  const within = (d) => rows.filter(r => r.at >= now - d * DAY);
+
+  const last30 = within(30);
+  const byGrade = new Map();
+  for (const r of last30) {
+    const list = byGrade.get(r.grade) || [];
+    list.push(r);
+    byGrade.set(r.grade, list);
+  }
+
+  const byDay = new Map();
+  for (const r of within(days)) {
+    const key = dayParts(r.at).key;
+    const list = byDay.get(key) || [];
+    list.push(r);
+    byDay.set(key, list);
+  }
+
+  res.json({
+    idKey,
+    last: last.get(idKey) || null,
+    d7: saleSummary(within(7)),
+    d30: saleSummary(last30),
+    byGrade: [...byGrade.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .map(([grade, list]) => ({ grade, ...saleSummary(list) })),
+    series: [...byDay.entries()].map(([day, list]) => ({ day, ...saleSummary(list) }))
+  });
+});
+
+// GET notifications (latest)
+app.get("/api/notifications", auth, async (req, res) => {
+  await applyDailyNotice(req.user.id);
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit || 20) | 0));
+  const onlyUnread = String(req.query.unread || "") === "1";
+
   const { rows } = await pool.query(
     `
-    SELECT 
-      m.id,
-      m.seller_user_id AS "sellerUserId",
-      u.name AS "sellerName",
-      m.idKey,
-      m.game,
-      m.name,
-      m.setName,
-      m.image,
-      m.grade,
-      m.mint,
-      m.price,
-      m.qty,
-      m.createdAt
-    FROM market_listings m
-    JOIN users u ON u.id = m.seller_user_id
-    WHERE m.seller_user_id = $1
-    ORDER BY m.createdAt DESC
-    LIMIT 200
+    SELECT id, type, title, body, meta, is_read, createdAt
+    FROM notifications
+    WHERE user_id=$1
+      ${onlyUnread ? "AND is_read=0" : ""}
+    ORDER BY createdAt DESC
+    LIMIT ${limit}
     `,
     [req.user.id]
   );
 
+  const unreadQ = await pool.query(
+    `SELECT COUNT(*)::int AS c FROM notifications WHERE user_id=$1 AND is_read=0`,
+    [req.user.id]
+  );
+
   res.json({
-    listings: rows.map((r) => ({
-      ...r,
-      game: r.game || "pokemon",
-      mint: Boolean(r.mint),
-      idKey: r.idkey || r.idKey,
-      setName: r.setname || r.setName,
-      sellerName: r.sellerName || r.sellername,
+    unread: unreadQ.rows[0]?.c || 0,
+    notifications: rows.map(r => ({
+      id: r.id,
+      type: r.type,
+      title: r.title,
+      body: r.body,
+      meta: r.meta,
+      isRead: Boolean(r.is_read),
+      createdAt: Number(r.createdat || r.createdAt),
+    }))
+  });
+});
+
+// POST mark as read
+app.post("/api/notifications/read", auth, async (req, res) => {
+  const id = Number(req.body?.id || 0) | 0;
+  if (!id) return res.status(400).json({ error: "Missing id" });
+
+  await pool.query(
+    `UPDATE notifications SET is_read=1 WHERE user_id=$1 AND id=$2`,
+    [req.user.id, id]
+  );
+
+  res.json({ ok: true });
+});
+
+// POST mark all as read
+app.post("/api/notifications/read_all", auth, async (req, res) => {
+  await pool.query(
+    `UPDATE notifications SET is_read=1 WHERE user_id=$1`,
+    [req.user.id]
+  );
+  res.json({ ok: true });
+});
+
+// =========================
+// SHOP (cosmétiques)
+// =========================
+// GET catalogue + ce que le joueur possède / porte
+app.get("/api/shop", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+  await applyTicketsForUser(req.user.id);
+
+  const [invQ, uQ] = await Promise.all([
+    pool.query(`SELECT itemId, equipped FROM cosmetics_inventory WHERE user_id=$1`, [req.user.id]),
+    pool.query(`SELECT money, tickets FROM users WHERE id=$1`, [req.user.id])
+  ]);
+  const owned = new Map(invQ.rows.map(r => [r.itemid ?? r.itemId, Boolean(r.equipped)]));
+
+  res.json({
+    kinds: COSMETIC_KINDS,
+    items: getCosmetics().items.map(c => ({
+      ...c,
+      owned: owned.has(c.id),
+      equipped: owned.get(c.id) === true
     })),
+    money: Number(uQ.rows[0]?.money || 0),
+    tickets: Number(uQ.rows[0]?.tickets || 0)
   });
 });
 
-// POST cancel listing (return cards to seller)
-app.post("/api/market/cancel", auth, async (req, res) => {
-  const listingId = Number(req.body?.listingId || 0) | 0;
-  const qty = Math.max(1, Number(req.body?.qty || 1) | 0);
-  if (!listingId) return res.status(400).json({ error: "Missing listingId" });
+// POST { itemId, currency? } -> achat (currency obligatoire si l'objet a deux prix)
+app.post("/api/shop/buy", auth, async (req, res) => {
+  const eco = await getEconomy();
+  const itemId = String(req.body?.itemId || "").trim();
+  if (!itemId) return res.status(400).json({ error: "Missing itemId" });
+
+  const item = getCosmetics().byId.get(itemId);
+  if (!item) return res.status(404).json({ error: "Objet introuvable" });
+
+  const currencies = Object.keys(item.price);
+  const currency = String(req.body?.currency || (currencies.length === 1 ? currencies[0] : "")).trim();
+  if (!currencies.includes(currency)) {
+    return res.status(400).json({ error: `Paiement possible en : ${currencies.join(", ")}` });
+  }
+  const price = item.price[currency];
+
+  if (currency === "money") await applyPayForUser(req.user.id);
+  else await applyTicketsForUser(req.user.id);
 
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    const lQ = await client.query(
-      `SELECT id, seller_user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, qty
-       FROM market_listings
-       WHERE id=$1
-       FOR UPDATE`,
-      [listingId]
+    const invQ = await client.query(
+      `INSERT INTO cosmetics_inventory (user_id, itemId, kind, currency, price, purchasedAt)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (user_id, itemId) DO NOTHING
+       RETURNING itemId`,
+      [req.user.id, item.id, item.kind, currency, price, Date.now()]
     );
-    const l = lQ.rows[0];
-
-    if (!l) {
+    if (!invQ.rows[0]) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Listing introuvable" });
+      return res.status(400).json({ error: "Tu as déjà cet objet" });
     }
-    if (Number(l.seller_user_id) !== Number(req.user.id)) {
+
+    // paiement atomique (colonne choisie dans une liste fermée)
+    const column = currency === "money" ? "money" : "tickets";
+    const payQ = await client.query(
+      `UPDATE users
+       SET ${column} = ${column} - $1
+       WHERE id = $2
+         AND ${column} >= $1
+       RETURNING money, tickets`,
+      [price, req.user.id]
+    );
+    if (!payQ.rows[0]) {
       await client.query("ROLLBACK");
-      return res.status(403).json({ error: "Interdit" });
+      return res.status(400).json({ error: currency === "money" ? "Pas assez de Dollax" : "Pas assez de tickets" });
     }
-    if (Number(l.qty) < qty) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Quantité invalide" });
+
+    if (currency === "money") {
+      await recordMoney(client, req.user.id, "cosmetic", -price, { itemId: item.id, kind: item.kind }, eco.version);
     }
 
-    const now = Date.now();
+    await client.query("COMMIT");
+
+    res.json({
+      ok: true,
+      item: { ...item, owned: true, equipped: false },
+      currency,
+      price,
+      money: Number(payQ.rows[0].money || 0),
+      tickets: Number(payQ.rows[0].tickets || 0)
+    });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/shop/buy failed:", e);
+    res.status(500).json({ error: "Achat impossible" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST { itemId } -> équipe (remplace l'objet du même type)
+app.post("/api/shop/equip", auth, async (req, res) => {
+  const itemId = String(req.body?.itemId || "").trim();
+  if (!itemId) return res.status(400).json({ error: "Missing itemId" });
+
+  const item = getCosmetics().byId.get(itemId);
+  if (!item) return res.status(404).json({ error: "Objet introuvable" });
 
-    const key = String(l.idkey || l.idKey || "");
-    const ids = parseIdKeyServer(key);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-    const gameFinal = (l.game || ids.game || "pokemon");
-    const cardIdFinal  = (l.cardid  || l.cardId  || ids.cardId  || null);
-    const setIdFinal   = (l.setid   || l.setId   || ids.setId   || null);
-    const localIdFinal = (l.localid || l.localId || ids.localId || null);
-    const imageHighFinal = (l.imagehigh || l.imageHigh || l.image);
+    const ownQ = await client.query(
+      `SELECT 1 FROM cosmetics_inventory WHERE user_id=$1 AND itemId=$2 FOR UPDATE`,
+      [req.user.id, item.id]
+    );
+    if (!ownQ.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Tu n'as pas cet objet" });
+    }
 
     await client.query(
-      `
-      INSERT INTO collection
-        (user_id, idKey, game, cardId, setId, localId, name, setName, image, imageHigh, grade, mint, count, lastAt)
-      VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
-      ON CONFLICT (user_id, idKey)
-      DO UPDATE SET
-        count = collection.count + EXCLUDED.count,
-        grade = GREATEST(collection.grade, EXCLUDED.grade),
-        mint  = CASE WHEN collection.mint = 1 OR EXCLUDED.mint = 1 THEN 1 ELSE 0 END,
-        imageHigh = COALESCE(collection.imageHigh, EXCLUDED.imageHigh),
-        lastAt = EXCLUDED.lastAt,
-        cardId = COALESCE(collection.cardId, EXCLUDED.cardId),
-        setId  = COALESCE(collection.setId,  EXCLUDED.setId),
-        localId= COALESCE(collection.localId,EXCLUDED.localId)
-      `,
-      [
-        req.user.id,
-        key,
-        gameFinal,
-        cardIdFinal,
-        setIdFinal,
-        localIdFinal,
-        l.name,
-        l.setname || l.setName,
-        l.image,
-        imageHighFinal,
-        l.grade,
-        l.mint ? 1 : 0,
-        qty,
-        now,
-      ]
+      `UPDATE cosmetics_inventory SET equipped=false WHERE user_id=$1 AND kind=$2 AND equipped AND itemId<>$3`,
+      [req.user.id, item.kind, item.id]
+    );
+    await client.query(
+      `UPDATE cosmetics_inventory SET equipped=true WHERE user_id=$1 AND itemId=$2`,
+      [req.user.id, item.id]
     );
 
-    if (Number(l.qty) === qty) {
-      await client.query(`DELETE FROM market_listings WHERE id=$1`, [listingId]);
-    } else {
-      await client.query(`UPDATE market_listings SET qty = qty - $2 WHERE id=$1`, [listingId, qty]);
-    }
-
     await client.query("COMMIT");
-    res.json({ ok: true });
+    res.json({ ok: true, cosmetics: await equippedCosmeticsJson(req.user.id) });
   } catch (e) {
-    await client.query("ROLLBACK");
-    res.status(500).json({ error: "Cancel failed" });
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/shop/equip failed:", e);
+    res.status(500).json({ error: "Equip failed" });
   } finally {
     client.release();
   }
 });
 
-// GET notifications (latest)
-app.get("/api/notifications", auth, async (req, res) => {
-  const limit = Math.min(50, Math.max(1, Number(req.query.limit || 20) | 0));
-  const onlyUnread = String(req.query.unread || "") === "1";
-
-  const { rows } = await pool.query(
-    `
-    SELECT id, type, title, body, meta, is_read, createdAt
-    FROM notifications
-    WHERE user_id=$1
-      ${onlyUnread ? "AND is_read=0" : ""}
-    ORDER BY createdAt DESC
-    LIMIT ${limit}
-    `,
-    [req.user.id]
-  );
-
-  const unreadQ = await pool.query(
-    `SELECT COUNT(*)::int AS c FROM notifications WHERE user_id=$1 AND is_read=0`,
-    [req.user.id]
-  );
-
-  res.json({
-    unread: unreadQ.rows[0]?.c || 0,
-    notifications: rows.map(r => ({
-      id: r.id,
-      type: r.type,
-      title: r.title,
-      body: r.body,
-      meta: r.meta,
-      isRead: Boolean(r.is_read),
-      createdAt: Number(r.createdat || r.createdAt),
-    }))
-  });
-});
-
-// POST mark as read
-app.post("/api/notifications/read", auth, async (req, res) => {
-  const id = Number(req.body?.id || 0) | 0;
-  if (!id) return res.status(400).json({ error: "Missing id" });
-
-  await pool.query(
-    `UPDATE notifications SET is_read=1 WHERE user_id=$1 AND id=$2`,
-    [req.user.id, id]
-  );
-
-  res.json({ ok: true });
-});
+// POST { kind } -> retire l'objet porté de ce type
+app.post("/api/shop/unequip", auth, async (req, res) => {
+  const kind = String(req.body?.kind || "").trim();
+  if (!COSMETIC_KINDS.includes(kind)) return res.status(400).json({ error: `kind : ${COSMETIC_KINDS.join(", ")}` });
 
-// POST mark all as read
-app.post("/api/notifications/read_all", auth, async (req, res) => {
   await pool.query(
-    `UPDATE notifications SET is_read=1 WHERE user_id=$1`,
-    [req.user.id]
+    `UPDATE cosmetics_inventory SET equipped=false WHERE user_id=$1 AND kind=$2 AND equipped`,
+    [req.user.id, kind]
   );
-  res.json({ ok: true });
+  res.json({ ok: true, cosmetics: await equippedCosmeticsJson(req.user.id) });
 });
 
 app.get("/api/profile/me", auth, async (req, res) => {
@@ -2980,6 +5127,8 @@ app.get("/api/profile/me", auth, async (req, res) => {
   );
 
   const xp = Number(u?.xp || 0);
+  const achievements = await achievementsJson(req.user.id);
+  const cosmetics = await equippedCosmeticsJson(req.user.id);
 
   res.json({
     name: u.name,
@@ -2989,6 +5138,9 @@ app.get("/api/profile/me", auth, async (req, res) => {
     banner: u.banner || "",
     xp,
     level: levelForXp(xp),
+    achievements,
+    achievementsTotal: ACHIEVEMENTS.length,
+    cosmetics,
     favorites: favQ.rows.map(r => ({
       idKey: r.idkey || r.idKey,
       game: r.game || "pokemon",
@@ -3076,6 +5228,8 @@ app.get("/api/profile/:friendCode", auth, async (req, res) => {
   );
 
   const xp = Number(u?.xp || 0);
+  const achievements = await achievementsJson(u.id);
+  const cosmetics = await equippedCosmeticsJson(u.id);
 
   res.json({
     name: u.name,
@@ -3085,6 +5239,9 @@ app.get("/api/profile/:friendCode", auth, async (req, res) => {
     banner: u.banner || "",
     xp,
     level: levelForXp(xp),
+    achievements,
+    achievementsTotal: ACHIEVEMENTS.length,
+    cosmetics,
     favorites: favQ.rows.map(r => ({
       idKey: r.idkey || r.idKey,
       game: r.game || "pokemon",
@@ -3151,6 +5308,7 @@ app.get("/api/leaderboard/xp", auth, async (req, res) => {
 // GET solde tickets + dollax + temps avant prochain ticket
 app.get("/api/tickets", auth, async (req, res) => {
   await applyTicketsForUser(req.user.id);
+  const { tickets: cfg } = await getEconomy();
   const { rows } = await pool.query(
     `SELECT tickets, money, lastTicketPay FROM users WHERE id=$1`,
     [req.user.id]
@@ -3163,18 +5321,265 @@ app.get("/api/tickets", auth, async (req, res) => {
 
   // Calcul du prochain ticket
   let nextTicketInMs = 0;
-  if (tickets < TICKET_CAP) {
+  if (tickets < cfg.cap) {
     const elapsed = now - lastTicketPay;
-    const remaining = TICKET_EVERY_MS - (elapsed % TICKET_EVERY_MS);
+    const remaining = cfg.everyMs - (elapsed % cfg.everyMs);
     nextTicketInMs = remaining;
   }
 
-  res.json({ tickets, dollax, nextTicketInMs, ticketCap: TICKET_CAP });
+  res.json({ tickets, dollax, nextTicketInMs, ticketCap: cfg.cap });
+});
+
+// =========================
+// DAILY LOGIN
+// =========================
+// POST ?game=... -> récompense du jour (le pack éventuel est ouvert dans ce jeu)
+app.post("/api/daily/claim", auth, async (req, res) => {
+  await applyPayForUser(req.user.id);
+
+  const eco = await getEconomy();
+  const game = getGame(req);
+  const now = Date.now();
+  const today = dayParts(now).key;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      `INSERT INTO daily_login (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING`,
+      [req.user.id]
+    );
+    const dQ = await client.query(
+      `SELECT streak, bestStreak, lastDay FROM daily_login WHERE user_id=$1 FOR UPDATE`,
+      [req.user.id]
+    );
+    const d = dQ.rows[0];
+    const gap = daysBetween(d.lastday ?? d.lastDay, today);
+
+    if (gap === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Récompense du jour déjà récupérée" });
+    }
+
+    const streak = gap === 1 ? Number(d.streak || 0) + 1 : 1;
+    const reward = dailyRewardFor(eco, streak);
+
+    if (reward.money) {
+      await client.query(`UPDATE users SET money = money + $1 WHERE id=$2`, [reward.money, req.user.id]);
+      await recordMoney(client, req.user.id, "daily", reward.money, { day: today, streak }, eco.version);
+    }
+
+    // plafonné au cap, sans baisser un solde déjà au-dessus (cap abaissé par l'admin)
+    if (reward.tickets) {
+      await client.query(
+        `UPDATE users SET tickets = GREATEST(tickets, LEAST(tickets + $1, $2)) WHERE id=$3`,
+        [reward.tickets, eco.tickets.cap, req.user.id]
+      );
+    }
+
+    // pack gratuit : même tirage qu'une ouverture (pity comprise)
+    const pulls = [];
+    let xpTotal = 0;
+    if (reward.pack) {
+      const pity = await loadPity(client, req.user.id, game);
+      const seed = await loadFairSeed(client, req.user.id, { lock: true });
+
+      for (let i = 0; i < reward.pack; i++) {
+        const roll = fairRoll(seed);
+        const fairInput = { game, setId: null, gradePity: pity.grade, rarityPity: pity.rarity, economyVersion: eco.version };
+
+        let c, drawPool;
+        try {
+          ({ card: c, pool: drawPool } = await drawCard(game, null, pity.rarity, roll.card));
+        } catch (e) {
+          console.error("❌ drawCard failed in /api/daily/claim:", e);
+          await client.query("ROLLBACK");
+          return res.status(502).json({ error: e?.message || "Erreur image (réessaie)" });
+        }
+
+        const grade = rollGradeWithPity(eco, pity.grade, roll.grade);
+        const mint = rollMintForGrade(grade, roll.grade);
+        const xpAdd = xpForOpen(eco, grade);
+        xpTotal += xpAdd;
+        advancePity(eco, pity, game, c, grade);
+
+        const { idKey, isNew } = await savePull(client, req.user.id, game, c, grade, mint, now + i, eco.version);
+        await saveFairRoll(client, seed, roll, "pull", fairInput, { idKey, grade, mint }, drawPool);
+        pulls.push({ ...pulledCardJson(game, c, idKey, grade, mint, isNew), xpAdd, nonce: roll.nonce });
+      }
+
+      await client.query(`UPDATE users SET xp = xp + $1 WHERE id=$2`, [xpTotal, req.user.id]);
+      await savePity(client, req.user.id, game, pity);
+    }
+
+    await client.query(
+      `UPDATE daily_login
+       SET streak=$2, bestStreak=GREATEST(bestStreak, $2), lastDay=$3, lastClaimAt=$4
+       WHERE user_id=$1`,
+      [req.user.id, streak, today, now]
+    );
+
+    const uQ = await client.query(`SELECT money, tickets FROM users WHERE id=$1`, [req.user.id]);
+
+    await client.query("COMMIT");
+    if (pulls.length) queueAchievements(req.user.id, { sets: pulls.map(p => ({ game, setId: p.setId })) });
+
+    res.json({
+      ok: true,
+      day: today,
+      streak,
+      reward,
+      money: Number(uQ.rows[0]?.money || 0),
+      tickets: Number(uQ.rows[0]?.tickets || 0),
+      xpAdd: xpTotal,
+      pulls,
+      next: dailyStatusJson(eco, { streak, bestStreak: Math.max(streak, Number(d.beststreak ?? d.bestStreak ?? 0)), lastDay: today }, now)
+    });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/daily/claim failed:", e);
+    res.status(500).json({ error: "Daily claim failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// =========================
+// QUESTS
+// =========================
+function questJson(q, row, now) {
+  const progress = Number(row?.progress || 0);
+  const claimed = Number(row?.claimedat ?? row?.claimedAt ?? 0) > 0;
+  return {
+    id: q.id,
+    kind: q.kind,
+    title: q.title,
+    event: q.event,
+    target: q.target,
+    progress: Math.min(progress, q.target),
+    done: progress >= q.target,
+    claimed,
+    claimable: progress >= q.target && !claimed,
+    reward: q.reward,
+    period: questPeriod(q.kind, now)
+  };
+}
+
+// GET quêtes de la période en cours + progression
+app.get("/api/quests", auth, async (req, res) => {
+  const now = Date.now();
+  const defs = getQuestDefs();
+
+  const q = await pool.query(
+    `SELECT questId, period, progress, claimedAt
+     FROM quest_progress
+     WHERE user_id=$1 AND questId = ANY($2::text[]) AND period = ANY($3::text[])`,
+    [req.user.id, defs.map(d => d.id), [questPeriod("daily", now), questPeriod("weekly", now)]]
+  );
+  const rows = new Map(q.rows.map(r => [`${r.questid || r.questId}|${r.period}`, r]));
+
+  const nextDayInMs = dailyStatusJson(await getEconomy(), null, now).nextDayInMs;
+  const weekday = (new Date(`${questPeriod("daily", now)}T00:00:00Z`).getUTCDay() + 6) % 7; // lundi = 0
+
+  res.json({
+    daily: defs.filter(d => d.kind === "daily").map(d => questJson(d, rows.get(`${d.id}|${questPeriod("daily", now)}`), now)),
+    weekly: defs.filter(d => d.kind === "weekly").map(d => questJson(d, rows.get(`${d.id}|${questPeriod("weekly", now)}`), now)),
+    dailyResetInMs: nextDayInMs,
+    weeklyResetInMs: nextDayInMs + (6 - weekday) * 24 * 60 * 60 * 1000
+  });
+});
+
+// POST { questId } -> récompense d'une quête terminée (période en cours)
+app.post("/api/quests/claim", auth, async (req, res) => {
+  const questId = String(req.body?.questId || "").trim();
+  if (!questId) return res.status(400).json({ error: "Missing questId" });
+
+  const quest = getQuestDefs().find(q => q.id === questId);
+  if (!quest) return res.status(404).json({ error: "Quête introuvable" });
+
+  const eco = await getEconomy();
+  const now = Date.now();
+  const period = questPeriod(quest.kind, now);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const pQ = await client.query(
+      `SELECT progress, claimedAt FROM quest_progress
+       WHERE user_id=$1 AND questId=$2 AND period=$3
+       FOR UPDATE`,
+      [req.user.id, questId, period]
+    );
+    const row = pQ.rows[0];
+
+    if (!row || Number(row.progress) < quest.target) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Quête pas encore terminée" });
+    }
+    if (Number(row.claimedat ?? row.claimedAt ?? 0) > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Récompense déjà récupérée" });
+    }
+
+    // tickets plafonnés au cap, sans jamais baisser un solde déjà au-dessus (cap abaissé par l'admin)
+    const { money, tickets, xp } = quest.reward;
+    const uQ = await client.query(
+      `UPDATE users
+       SET money = money + $1,
+           tickets = CASE WHEN $2 > 0 THEN GREATEST(tickets, LEAST(tickets + $2, $3)) ELSE tickets END,
+           xp = xp + $4
+       WHERE id=$5
+       RETURNING money, tickets, xp`,
+      [money, tickets, eco.tickets.cap, xp, req.user.id]
+    );
+    await recordMoney(client, req.user.id, "quest", money, { questId, period }, eco.version);
+
+    await client.query(
+      `UPDATE quest_progress SET claimedAt=$4 WHERE user_id=$1 AND questId=$2 AND period=$3`,
+      [req.user.id, questId, period, now]
+    );
+
+    await client.query("COMMIT");
+    if (xp) queueAchievements(req.user.id, { sets: [] });
+
+    const u = uQ.rows[0];
+    res.json({
+      ok: true,
+      quest: questJson(quest, { progress: row.progress, claimedAt: now }, now),
+      reward: quest.reward,
+      money: Number(u?.money || 0),
+      tickets: Number(u?.tickets || 0),
+      xp: Number(u?.xp || 0),
+      level: levelForXp(u?.xp || 0)
+    });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/quests/claim failed:", e);
+    res.status(500).json({ error: "Quest claim failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// GET table de gains active (lue par slot.html) + RTP exact
+app.get("/api/slots/paytable", async (req, res) => {
+  const eco = await getEconomy();
+  const stats = slotsAnalytics(eco.slots);
+
+  res.json({
+    version: eco.version,
+    ...eco.slots,
+    rtp: stats.rtp,
+    hitRate: stats.hitRate
+  });
 });
 
 // POST jouer la slot machine
 app.post("/api/slots/spin", auth, async (req, res) => {
-  const bet = Math.max(1, Math.min(1000, Number(req.body?.bet) | 0));
+  const eco = await getEconomy();
+  const bet = Math.max(1, Math.min(eco.slots.maxBet, Number(req.body?.bet) | 0));
 
   await applyTicketsForUser(req.user.id);
 
@@ -3193,36 +5598,19 @@ app.post("/api/slots/spin", auth, async (req, res) => {
       return res.status(400).json({ error: "Pas assez de tickets" });
     }
 
-    // Tirage pondéré (même proba que côté client)
-    const SYMBOLS = [
-      { id:"diamant", weight:4  },  // ultra rare  ×5000
-      { id:"star",    weight:6  },  // très rare   ×1000
-      { id:"cards",   weight:15  },  // rare        ×400
-      { id:"heart",   weight:20 },  // peu commun  ×250
-      { id:"dollax",  weight:25 },  // commun      ×150
-      { id:"thunder", weight:30 },  // commun      ×80
-    ];
-    const MULTS = { diamant:5000, star:1000, cards:400, heart:250, dollax:150, thunder:80 };
-    const POOL  = SYMBOLS.flatMap(s => Array(s.weight).fill(s.id));
-    const rand  = () => POOL[Math.floor(Math.random() * POOL.length)];
-    const result    = [rand(), rand(), rand()];
-    const [a,b,c]   = result;
-
-    let gain = 0;
-    let winType = "none";
-    if (a === b && b === c) {
-      gain    = bet * (MULTS[a] ?? 20);
-      winType = a === "diamant" ? "jackpot" : "triple";
-    } else if (a === b || b === c || a === c) {
-      gain    = bet * 15;
-      winType = "pair";
-    }
+    const seed = await loadFairSeed(client, req.user.id, { lock: true });
+    const roll = fairRoll(seed);
+    const result = spinReels(eco.slots, roll.slots);
+    const { gain, winType } = slotsPayout(eco.slots, bet, result);
 
     // Mettre à jour DB
     await client.query(
       `UPDATE users SET tickets = tickets - $1, money = money + $2 WHERE id=$3`,
       [bet, gain, req.user.id]
     );
+    await recordMoney(client, req.user.id, "slots_spin", gain, { bet, result, winType, nonce: roll.nonce }, eco.version);
+    await saveFairRoll(client, seed, roll, "slots", { bet, economyVersion: eco.version }, { result });
+    await trackQuests(client, req.user.id, "slots_spin", [{ winType }]);
     await client.query("COMMIT");
 
     // Retourner résultat + nouveau solde
@@ -3234,6 +5622,7 @@ app.post("/api/slots/spin", auth, async (req, res) => {
       result,
       gain,
       winType,
+      nonce: roll.nonce,
       tickets: Number(newQ.rows[0]?.tickets || 0),
       dollax:  Number(newQ.rows[0]?.money   || 0),
     });
@@ -3246,6 +5635,119 @@ app.post("/api/slots/spin", auth, async (req, res) => {
   }
 });
 
+// =========================
+// PROVABLY FAIR
+// =========================
+// GET seed actif (hash seulement) + seeds déjà révélés
+app.get("/api/fair", auth, async (req, res) => {
+  const active = await loadFairSeed(pool, req.user.id);
+  const q = await pool.query(
+    `SELECT * FROM fair_seeds WHERE user_id=$1 AND revealedAt IS NOT NULL ORDER BY id DESC LIMIT 20`,
+    [req.user.id]
+  );
+
+  res.json({
+    algorithm: FAIR_ALGORITHM,
+    active: fairSeedJson(active),
+    revealed: q.rows.map(r => fairSeedJson(fairSeedRow(r)))
+  });
+});
+
+// POST { clientSeed? } -> révèle le seed actif et en engage un nouveau (nonce à 0)
+app.post("/api/fair/rotate", auth, async (req, res) => {
+  const raw = req.body?.clientSeed;
+  const clientSeed = raw == null || raw === "" ? newClientSeed() : cleanClientSeed(raw);
+  if (!clientSeed) return res.status(400).json({ error: "clientSeed : 1 à 64 caractères (lettres, chiffres, - et _)" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // verrou : attend la fin d'un tirage en cours sur ce seed
+    const old = await loadFairSeed(client, req.user.id, { lock: true });
+    const now = Date.now();
+    await client.query(`UPDATE fair_seeds SET revealedAt=$2 WHERE id=$1`, [old.id, now]);
+    await createFairSeed(client, req.user.id, clientSeed);
+    const active = await loadFairSeed(client, req.user.id);
+
+    await client.query("COMMIT");
+
+    res.json({
+      ok: true,
+      revealed: fairSeedJson({ ...old, revealedAt: now }),
+      active: fairSeedJson(active)
+    });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("❌ /api/fair/rotate failed:", e);
+    res.status(500).json({ error: "Rotation failed" });
+  } finally {
+    client.release();
+  }
+});
+
+// GET ?seedId=&from= -> rejoue les tirages d'un seed révélé (par paquets de FAIR_VERIFY_MAX)
+app.get("/api/fair/verify", auth, async (req, res) => {
+  const seedId = Number(req.query.seedId) | 0;
+  const from = Math.max(0, Number(req.query.from) | 0);
+  if (!seedId) return res.status(400).json({ error: "Missing seedId" });
+
+  const sQ = await pool.query(`SELECT * FROM fair_seeds WHERE id=$1 AND user_id=$2`, [seedId, req.user.id]);
+  if (!sQ.rows[0]) return res.status(404).json({ error: "Seed introuvable" });
+
+  const seed = fairSeedRow(sQ.rows[0]);
+  if (!seed.revealedAt) {
+    return res.status(400).json({ error: "Seed encore actif : fais une rotation pour le révéler" });
+  }
+
+  const rQ = await pool.query(
+    `SELECT nonce, kind, input, result, createdAt FROM fair_rolls
+     WHERE seedId=$1 AND nonce >= $2
+     ORDER BY nonce ASC
+     LIMIT $3`,
+    [seed.id, from, FAIR_VERIFY_MAX + 1]
+  );
+  const rows = rQ.rows.slice(0, FAIR_VERIFY_MAX);
+
+  const ecoByVersion = new Map();
+  const getEco = async (version) => {
+    if (!ecoByVersion.has(version)) ecoByVersion.set(version, await getEconomyVersion(version));
+    return ecoByVersion.get(version);
+  };
+
+  const poolByHash = new Map();
+  const getPool = async (hash) => {
+    if (!poolByHash.has(hash)) poolByHash.set(hash, await loadDrawPool(hash));
+    return poolByHash.get(hash);
+  };
+
+  const rolls = [];
+  for (const r of rows) {
+    const nonce = Number(r.nonce);
+    const replay = await replayFairRoll(seed, nonce, r.kind, r.input, getEco, getPool);
+    rolls.push({
+      nonce,
+      kind: r.kind,
+      createdAt: Number(r.createdat ?? r.createdAt ?? 0),
+      input: r.input,
+      result: r.result,
+      replay,
+      ok: fairResultMatches(r.kind, r.result, replay)
+    });
+  }
+
+  res.json({
+    algorithm: FAIR_ALGORITHM,
+    seed: fairSeedJson(seed),
+    hashOk: hashServerSeed(seed.serverSeed) === seed.serverSeedHash,
+    rolls,
+    // ok null = non vérifiable (carte tirée via l'API) : allOk reste false
+    allOk: rolls.every(r => r.ok === true),
+    unverifiable: rolls.filter(r => r.ok === null).length,
+    nextFrom: rQ.rows.length > FAIR_VERIFY_MAX ? rolls[rolls.length - 1].nonce + 1 : null
+  });
+});
+
 // =========================
 // PROFILE PUBLIC (for leaderboard)
 // Accessible to everyone (auth required)
@@ -3265,25 +5767,27 @@ app.get("/api/profile_public/:friendCode", async (req, res) => {
   const u = uQ.rows[0];
   if (!u) return res.status(404).json({ error: "Profil introuvable" });
 
-  const [pQ, oQ, lQ, dQ, uAQ, sGQ, mQ] = await Promise.all([
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='pokemon'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='onepiece'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='lorcana'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='dragonball'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='unionarena'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='senpaigodesshaven'`, [u.id]),
-    pool.query(`SELECT COALESCE(SUM(count),0)::int AS total FROM collection WHERE user_id=$1 AND game='magic'`, [u.id]),
-  ]);
+  // une ligne par jeu présent dans la collection
+  const countsQ = await pool.query(
+    `SELECT game, COALESCE(SUM(count),0)::int AS total
+     FROM collection
+     WHERE user_id=$1
+     GROUP BY game`,
+    [u.id]
+  );
+  const byGame = new Map(countsQ.rows.map(r => [r.game, Number(r.total) || 0]));
 
-  const pokemon = pQ.rows[0]?.total || 0;
-  const onepiece = oQ.rows[0]?.total || 0;
-  const lorcana = lQ.rows[0]?.total || 0;
-  const dragonball = dQ.rows[0]?.total || 0;
-  const unionarena = uAQ.rows[0]?.total || 0;
-  const senpaigodesshaven = sGQ.rows[0]?.total || 0;
-  const magic = mQ.rows[0]?.total || 0;
+  const stats = {};
+  let total = 0;
+  for (const g of listGameIds()) {
+    stats[g] = byGame.get(g) || 0;
+    total += stats[g];
+  }
+  stats.total = total;
 
   const xp = Number(u?.xp || 0);
+  const achievements = await achievementsJson(u.id);
+  const cosmetics = await equippedCosmeticsJson(u.id);
 
   res.json({
     name: u.name,
@@ -3293,23 +5797,139 @@ app.get("/api/profile_public/:friendCode", async (req, res) => {
     banner: u.banner || "",
     xp,
     level: levelForXp(xp),
-    stats: {
-    pokemon,
-    onepiece,
-    lorcana,
-    dragonball,
-    unionarena,
-    senpaigodesshaven,
-    magic,
-    total: pokemon + onepiece + lorcana + dragonball + unionarena + senpaigodesshaven + magic
+    achievements,
+    achievementsTotal: ACHIEVEMENTS.length,
+    cosmetics,
+    stats
+  });
+});
+// =========================
+// ADMIN: CATALOGUES OFFLINE
+// =========================
+// body: { game? } -> un jeu, sinon tous les jeux avec catalogue offline
+app.post("/api/admin/catalogs/reload", auth, adminOnly, (req, res) => {
+  const game = String(req.body?.game || req.query.game || "").trim();
+  const results = game ? [reloadCatalog(game)] : reloadAllCatalogs();
+
+  const failed = results.filter(r => !r.ok);
+  res.status(failed.length ? 422 : 200).json({ ok: !failed.length, results });
+});
+
+// =========================
+// ADMIN: ÉCONOMIE
+// =========================
+// GET -> config active + historique des versions
+app.get("/api/admin/economy", auth, adminOnly, async (req, res) => {
+  clearEconomyCache();
+  const { version, ...config } = await getEconomy();
+
+  const q = await pool.query(
+    `SELECT e.version, e.note, e.createdAt, u.name AS createdBy
+     FROM economy_config e
+     LEFT JOIN users u ON u.id = e.createdBy
+     ORDER BY e.version DESC
+     LIMIT 50`
+  );
+
+  res.json({
+    version,
+    config,
+    defaults: DEFAULT_ECONOMY,
+    slots: slotsAnalytics(config.slots),
+    history: q.rows.map(r => ({
+      version: Number(r.version),
+      note: r.note || null,
+      createdBy: r.createdby ?? r.createdBy ?? null,
+      at: Number(r.createdat ?? r.createdAt ?? 0)
+    }))
+  });
+});
+
+// POST body: { config: {...partiel}, note? } -> nouvelle version (fusionnée avec l'active)
+app.post("/api/admin/economy", auth, adminOnly, async (req, res) => {
+  const patch = req.body?.config;
+  if (!isPlainObject(patch)) return res.status(400).json({ error: "config manquante" });
+
+  clearEconomyCache();
+  const { version: current, ...active } = await getEconomy();
+
+  const config = mergeEconomy(active, patch);
+  const invalid = validateEconomy(config);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const note = String(req.body?.note || "").trim().slice(0, 200) || null;
+  const q = await pool.query(
+    `INSERT INTO economy_config (config, note, createdBy, createdAt)
+     VALUES ($1,$2,$3,$4)
+     RETURNING version`,
+    [JSON.stringify(config), note, req.user.id, Date.now()]
+  );
+  clearEconomyCache();
+
+  const version = Number(q.rows[0].version);
+  console.log(`💰 Economy v${current} -> v${version} par ${req.user.name}${note ? ` (${note})` : ""}`);
+  res.json({ ok: true, version, config });
+});
+
+// =========================
+// ADMIN: FRAIS DU MARCHÉ
+// =========================
+// GET ?days= -> Dollax détruits par les frais de vente : total, période, par jour (DAILY_TIMEZONE) et par source
+app.get("/api/admin/market/fees", auth, adminOnly, async (req, res) => {
+  const days = Math.max(1, Math.min(MARKET_STATS_MAX_DAYS, Number(req.query.days || 30) | 0));
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+
+  const [allQ, recentQ] = await Promise.all([
+    pool.query(`SELECT COALESCE(SUM(fee), 0) AS fees, COALESCE(SUM(price * qty), 0) AS volume FROM market_sales`),
+    pool.query(
+      `SELECT fee, price, qty, source, createdAt FROM market_sales WHERE createdAt >= $1 ORDER BY createdAt ASC`,
+      [since]
+    )
+  ]);
+
+  const byDay = new Map();
+  const bySource = new Map();
+  let fees = 0;
+  let volume = 0;
+  for (const r of recentQ.rows) {
+    const fee = Number(r.fee);
+    const total = Number(r.price) * Number(r.qty);
+    fees += fee;
+    volume += total;
+
+    const day = dayParts(Number(r.createdat ?? r.createdAt)).key;
+    const d = byDay.get(day) || { day, sales: 0, volume: 0, fees: 0 };
+    d.sales++;
+    d.volume += total;
+    d.fees += fee;
+    byDay.set(day, d);
+
+    const s = bySource.get(r.source) || { source: r.source, sales: 0, volume: 0, fees: 0 };
+    s.sales++;
+    s.volume += total;
+    s.fees += fee;
+    bySource.set(r.source, s);
   }
+
+  res.json({
+    feePct: (await getEconomy()).market.feePct,
+    allTime: { fees: Number(allQ.rows[0].fees), volume: Number(allQ.rows[0].volume) },
+    days,
+    period: { sales: recentQ.rows.length, volume, fees },
+    byDay: [...byDay.values()],
+    bySource: [...bySource.values()]
   });
 });
+
 // =========================
 // START
 // =========================
 initDb()
   .then(() => {
+    setUpstreamCacheStore(createPgCacheStore(pool));
+    if (WATCH_CATALOGS) watchCatalogs();
+    startMarketSettler();
+
     app.listen(PORT, () => {
       console.log(`✅ Server listening on port ${PORT}`);
       console.log(`✅ Render PORT env is ${process.env.PORT || "(not set locally)"}`);